@@ -0,0 +1,259 @@
+/**
+ * BackupManager - Komplett-Backup als ZIP (Rezepte, Bilder, Einstellungen)
+ *
+ * Aufbau des Archivs:
+ *   backup.json          - Format, Version, Zeitpunkt, Anzahl
+ *   recipes.json         - Alle Rezepte (wie im RecipeStore)
+ *   settings.json        - LocalStorage-Einstellungen (siehe SETTINGS_KEYS)
+ *   images/index.json    - Rezept → Bilddateien + Transformationen + Position im Sheet
+ *   images/<n>/<i>.<ext> - Bild-Blobs
+ */
+
+class BackupManager {
+    /** Archiv-Kennung in backup.json */
+    static get FORMAT() {
+        return 'findYourDinner-backup';
+    }
+
+    /** Aktuelle Archiv-Version - ältere Versionen müssen lesbar bleiben */
+    static get VERSION() {
+        return 1;
+    }
+
+    /**
+     * LocalStorage-Schlüssel, die zu den Benutzer-Einstellungen gehören
+     * Neue Einstellungen hier ergänzen, damit sie im Backup landen.
+     * @returns {string[]}
+     */
+    static get SETTINGS_KEYS() {
+        return ['layoutProfiles', 'pantry', 'mealPlans', 'shoppingList', 'recipeJournal', 'recipePicker', 'recipeOverrides', 'nutritionMatches'];
+    }
+
+    /**
+     * Erstellt das Backup-Archiv
+     * @param {Array} recipes - Alle Rezepte
+     * @param {ImageStore} imageStore - Quelle der Bilder
+     * @param {Function} progressCallback - Optional: Fortschritts-Callback
+     * @returns {Promise<Blob>} ZIP-Datei
+     */
+    static async createBackup(recipes, imageStore, progressCallback = null) {
+        if (typeof JSZip === 'undefined') {
+            throw new Error('JSZip nicht verfügbar');
+        }
+
+        if (progressCallback) progressCallback({ phase: 'data', progress: 0, message: 'Sichere Rezepte...' });
+
+        const zip = new JSZip();
+        zip.file('recipes.json', JSON.stringify(recipes));
+        zip.file('settings.json', JSON.stringify(this.readSettings()));
+
+        // Alle Einträge im ImageStore - auch Bilder, deren Rezept es nicht mehr gibt
+        const recipeNames = imageStore ? await imageStore.getAllRecipeNames() : [];
+        const imageIndex = [];
+        let imageCount = 0;
+
+        for (let i = 0; i < recipeNames.length; i++) {
+            const recipeName = recipeNames[i];
+            const { blobs, transforms, anchors } = await imageStore.getImagesWithTransforms(recipeName);
+
+            const files = [];
+            for (let index = 0; index < blobs.length; index++) {
+                const path = `images/${i}/${index}.${this.getExtension(blobs[index].type)}`;
+                zip.file(path, await blobs[index].arrayBuffer());
+                files.push({ path, type: blobs[index].type, transform: transforms[index], anchor: anchors[index] });
+            }
+            imageIndex.push({ recipeName, files });
+            imageCount += files.length;
+
+            if (progressCallback) {
+                const progress = 10 + Math.floor(((i + 1) / recipeNames.length) * 60);
+                progressCallback({ phase: 'images', progress, message: `Bilder ${i + 1}/${recipeNames.length} gesichert...` });
+            }
+        }
+
+        zip.file('images/index.json', JSON.stringify(imageIndex));
+        zip.file('backup.json', JSON.stringify({
+            format: this.FORMAT,
+            version: this.VERSION,
+            createdAt: new Date().toISOString(),
+            recipeCount: recipes.length,
+            imageCount
+        }, null, 2));
+
+        if (progressCallback) progressCallback({ phase: 'images', progress: 75, message: 'Packe Archiv...' });
+
+        const blob = await zip.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+
+        if (progressCallback) progressCallback({ phase: 'complete', progress: 100, message: 'Backup fertig!' });
+        return blob;
+    }
+
+    /**
+     * Liest und prüft ein Backup-Archiv (schreibt noch nichts)
+     * @param {File|Blob} file - ZIP-Datei
+     * @returns {Promise<{info: Object, recipes: Array, settings: Object, images: Array<{recipeName: string, blobs: Blob[], transforms: Object[], anchors: Array<Object|null>}>}>}
+     * @throws {Error} Wenn die Datei kein gültiges Backup ist
+     */
+    static async readBackup(file) {
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(await file.arrayBuffer());
+        } catch (error) {
+            throw new Error('Datei ist kein ZIP-Archiv');
+        }
+
+        const info = await this.readJson(zip, 'backup.json');
+        if (!info || info.format !== this.FORMAT) {
+            throw new Error('Datei ist kein Backup dieser App (backup.json fehlt)');
+        }
+        if (!Number.isInteger(info.version) || info.version > this.VERSION) {
+            throw new Error(`Backup-Version ${info.version} wird nicht unterstützt - bitte App aktualisieren`);
+        }
+
+        const recipes = await this.readJson(zip, 'recipes.json');
+        if (!Array.isArray(recipes) || recipes.some(recipe => !recipe || typeof recipe.name !== 'string' || !recipe.name)) {
+            throw new Error('recipes.json fehlt oder enthält ungültige Rezepte');
+        }
+
+        const settings = await this.readJson(zip, 'settings.json') || {};
+        const imageIndex = await this.readJson(zip, 'images/index.json') || [];
+
+        const images = [];
+        for (const entry of imageIndex) {
+            const blobs = [];
+            const transforms = [];
+            const anchors = [];
+            for (const file of entry.files || []) {
+                const imageFile = zip.file(file.path);
+                if (!imageFile) {
+                    console.warn(`Bild fehlt im Backup: ${file.path}`);
+                    continue;
+                }
+                const data = await imageFile.async('arraybuffer');
+                blobs.push(new Blob([data], { type: file.type || XMLParser.getMimeType(XMLParser.getFileExtension(file.path)) }));
+                transforms.push(file.transform || XMLParser.getDefaultTransform());
+                anchors.push(file.anchor || null);
+            }
+            if (blobs.length > 0) {
+                images.push({ recipeName: entry.recipeName, blobs, transforms, anchors });
+            }
+        }
+
+        return { info, recipes, settings, images };
+    }
+
+    /**
+     * Liest die Einstellungen aus dem LocalStorage (Rohwerte als String)
+     * @returns {Object} Schlüssel → Wert
+     */
+    static readSettings() {
+        const settings = {};
+        for (const key of this.SETTINGS_KEYS) {
+            const value = localStorage.getItem(key);
+            if (value !== null) settings[key] = value;
+        }
+        return settings;
+    }
+
+    /**
+     * Schreibt Einstellungen aus einem Backup zurück
+     * @param {Object} settings - Schlüssel → Wert aus settings.json
+     * @param {boolean} overwrite - Ersetzen: vorhandene Werte überschreiben und im Backup fehlende
+     *                              entfernen (sonst nur fehlende ergänzen, recipeOverrides pro Rezept)
+     * @returns {number} Anzahl geschriebener Einstellungen
+     */
+    static writeSettings(settings, overwrite) {
+        let written = 0;
+        for (const key of this.SETTINGS_KEYS) {
+            // Nur bekannte Schlüssel - ein Backup darf keine fremden Daten einschleusen
+            let value = Object.prototype.hasOwnProperty.call(settings, key) ? settings[key] : undefined;
+            if (typeof value !== 'string') {
+                // Z.B. recipeOverrides aus einem älteren Backup: sonst bliebe der lokale Stand stehen
+                if (overwrite) localStorage.removeItem(key);
+                continue;
+            }
+
+            const local = localStorage.getItem(key);
+            if (!overwrite && local !== null) {
+                // Bearbeitete Rezepte aus dem Backup tragen `original` - ohne ihren Eintrag
+                // verwirft der nächste Workbook-Import die Änderungen
+                if (key !== 'recipeOverrides') continue;
+                value = this.mergeOverrides(local, value);
+                if (value === null) continue;
+            }
+            localStorage.setItem(key, value);
+            written++;
+        }
+        return written;
+    }
+
+    /**
+     * Führt lokale und gesicherte Rezept-Änderungen zusammen (Backup gewinnt pro Rezept,
+     * wie bei den Rezepten selbst)
+     * @param {string} local - Wert von recipeOverrides im LocalStorage
+     * @param {string} backup - Wert von recipeOverrides im Backup
+     * @returns {string|null} Zusammengeführter Wert oder null (Backup unbrauchbar)
+     */
+    static mergeOverrides(local, backup) {
+        const parse = (value) => {
+            try {
+                const parsed = JSON.parse(value);
+                return parsed && parsed.overrides && typeof parsed.overrides === 'object' ? parsed.overrides : null;
+            } catch (error) {
+                return null;
+            }
+        };
+
+        const backupOverrides = parse(backup);
+        if (!backupOverrides) return null;
+        return JSON.stringify({ overrides: { ...parse(local), ...backupOverrides } });
+    }
+
+    /**
+     * Lädt die globalen Instanzen nach writeSettings() neu - sie lesen den LocalStorage nur
+     * beim Start, der nächste save() würde die wiederhergestellten Werte sonst überschreiben
+     */
+    static reloadSettings() {
+        const instances = [
+            typeof pantry !== 'undefined' ? pantry : null,
+            typeof mealPlanner !== 'undefined' ? mealPlanner : null,
+            typeof shoppingList !== 'undefined' ? shoppingList : null,
+            typeof recipeJournal !== 'undefined' ? recipeJournal : null,
+            typeof recipePicker !== 'undefined' ? recipePicker : null,
+            typeof recipeOverrides !== 'undefined' ? recipeOverrides : null,
+            typeof nutrition !== 'undefined' ? nutrition : null
+        ];
+        instances.filter(Boolean).forEach(instance => instance.load());
+    }
+
+    /**
+     * @param {JSZip} zip - Archiv
+     * @param {string} path - Pfad im Archiv
+     * @returns {Promise<*>} Geparstes JSON oder null wenn nicht vorhanden
+     * @throws {Error} Bei beschädigtem JSON
+     */
+    static async readJson(zip, path) {
+        const file = zip.file(path);
+        if (!file) return null;
+
+        try {
+            return JSON.parse(await file.async('text'));
+        } catch (error) {
+            throw new Error(`${path} im Backup ist beschädigt`);
+        }
+    }
+
+    /**
+     * Dateiendung im Archiv (der MIME-Type steht zusätzlich in images/index.json)
+     * @param {string} mimeType - z.B. 'image/jpeg'
+     * @returns {string} Dateiendung, z.B. 'jpeg'
+     */
+    static getExtension(mimeType) {
+        return (mimeType && mimeType.split('/')[1]) || 'bin';
+    }
+}
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BackupManager;
+}
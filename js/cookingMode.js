@@ -0,0 +1,134 @@
+/**
+ * CookingMode - Auswertung der Anleitung für den Kochmodus
+ * Findet Zeitangaben ("20 Minuten backen") für Timer und die Zutaten,
+ * die in einem Schritt vorkommen.
+ */
+
+class CookingMode {
+    /**
+     * Zeiteinheiten und ihre Dauer in Sekunden
+     * @returns {Array<{pattern: RegExp, seconds: number}>}
+     */
+    static get TIME_UNITS() {
+        return [
+            { pattern: /^(?:sekunden?|sek\.?)$/i, seconds: 1 },
+            { pattern: /^(?:minuten?|min\.?)$/i, seconds: 60 },
+            { pattern: /^(?:stunden?|std\.?)$/i, seconds: 3600 }
+        ];
+    }
+
+    /**
+     * Zahl (auch Bereich, Bruch, gemischte Zahl wie "1 1/2" / "1½" oder "eine halbe") + Zeiteinheit
+     * @returns {RegExp}
+     */
+    static get TIME_PATTERN() {
+        return /(?<![\wäöüß])((?:ca\.?\s*)?(?:\d+\s+\d+\/\d+|\d*\s*[½¼¾]|\d+(?:[.,]\d+)?(?:\s*(?:-|–|bis)\s*\d+(?:[.,]\d+)?)?|\d+\/\d+|ein(?:e[nr]?)?\s+halbe[nr]?|ein(?:e[nr]?)?))\s*(sekunden?|sek\.?|minuten?|min\.?|stunden?|std\.?)(?![\wäöüß])/gi;
+    }
+
+    /**
+     * Findet Zeitangaben in einem Anleitungsschritt
+     * "1 Stunde 30 Minuten" wird zu einem Timer zusammengefasst; bei Bereichen
+     * ("10-15 Min.") gilt die kürzere Zeit - nachsehen kann man immer noch.
+     * @param {string} text - Schritt-Text
+     * @returns {Array<{label: string, seconds: number, index: number, length: number}>}
+     */
+    static detectTimers(text) {
+        const source = String(text ?? '');
+        const timers = [];
+
+        for (const match of source.matchAll(CookingMode.TIME_PATTERN)) {
+            const seconds = CookingMode.parseDuration(match[1], match[2]);
+            if (!seconds) continue;
+
+            const previous = timers[timers.length - 1];
+            const between = previous ? source.slice(previous.index + previous.length, match.index) : null;
+            if (previous && previous.unitSeconds > CookingMode.getUnitSeconds(match[2]) && /^\s*(?:und\s*)?$/i.test(between)) {
+                previous.seconds += seconds;
+                previous.length = match.index + match[0].length - previous.index;
+                previous.label = source.slice(previous.index, previous.index + previous.length);
+                previous.unitSeconds = CookingMode.getUnitSeconds(match[2]);
+                continue;
+            }
+
+            timers.push({
+                label: match[0],
+                seconds,
+                index: match.index,
+                length: match[0].length,
+                unitSeconds: CookingMode.getUnitSeconds(match[2])
+            });
+        }
+
+        return timers.map(({ unitSeconds, ...timer }) => timer);
+    }
+
+    /**
+     * @param {string} amount - Zahl aus der Zeitangabe ("20", "10-15", "½", "eine halbe")
+     * @param {string} unit - Einheit ("Minuten", "Std.")
+     * @returns {number|null} Sekunden
+     */
+    static parseDuration(amount, unit) {
+        const text = amount.trim().toLowerCase().replace(/^ca\.?\s*/, '');
+        let value;
+        if (/^ein/.test(text)) {
+            value = /halbe/.test(text) ? 0.5 : 1;
+        } else {
+            const parsed = Quantity.parse(text);
+            value = parsed ? parsed.min : null;
+        }
+
+        const unitSeconds = CookingMode.getUnitSeconds(unit);
+        return value > 0 && unitSeconds ? Math.round(value * unitSeconds) : null;
+    }
+
+    /**
+     * @param {string} unit - Zeiteinheit
+     * @returns {number|null} Sekunden pro Einheit
+     */
+    static getUnitSeconds(unit) {
+        const match = CookingMode.TIME_UNITS.find(entry => entry.pattern.test(unit));
+        return match ? match.seconds : null;
+    }
+
+    /**
+     * Welche Zutaten kommen in einem Schritt vor?
+     * Verglichen werden die Wortstämme der Zutat ab 4 Buchstaben (Zusätze wie "rot" zählen
+     * nicht) und das letzte Wort ("Ei") - auch als Wortende: "Sahne" im Schritt passt zu
+     * "Schlagsahne" und umgekehrt.
+     * @param {string} text - Schritt-Text
+     * @param {Array} ingredients - Zutaten des Rezepts
+     * @returns {number[]} Indizes der Zutaten
+     */
+    static findIngredients(text, ingredients) {
+        const stepWords = Pantry.normalizeIngredient(String(text ?? '').replace(/,/g, ' '));
+        const matches = [];
+
+        (ingredients || []).forEach((ingredient, index) => {
+            const words = Pantry.normalizeIngredient(ingredient.product).filter(key => !/^\d+$/.test(key));
+            const keys = words.filter((key, keyIndex) => key.length >= 4 || keyIndex === words.length - 1);
+            const found = keys.some(key => stepWords.some(word =>
+                word === key || (key.length >= 3 && word.endsWith(key)) || (word.length >= 4 && key.endsWith(word))
+            ));
+            if (found) matches.push(index);
+        });
+
+        return matches;
+    }
+
+    /**
+     * @param {number} seconds - Dauer
+     * @returns {string} "4:05" bzw. "1:04:05"
+     */
+    static formatDuration(seconds) {
+        const total = Math.max(0, Math.ceil(seconds));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const rest = String(total % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+    }
+}
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CookingMode;
+}
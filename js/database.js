@@ -0,0 +1,88 @@
+/**
+ * RecipeDatabase - Gemeinsame IndexedDB für Rezepte und Bilder
+ * Öffnet die Datenbank genau einmal und führt Schema-Migrationen aus
+ */
+
+class RecipeDatabase {
+    constructor() {
+        this.dbName = 'RecipeImagesDB';
+        this.dbVersion = 2;
+        this.db = null;
+        this.openPromise = null;
+    }
+
+    /**
+     * Öffnet die Datenbank (mehrfacher Aufruf liefert dieselbe Verbindung)
+     * @returns {Promise<IDBDatabase>}
+     */
+    async open() {
+        if (this.db) return this.db;
+        if (this.openPromise) return this.openPromise;
+
+        this.openPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onerror = () => {
+                this.openPromise = null;
+                reject(new Error('IndexedDB konnte nicht geöffnet werden'));
+            };
+
+            request.onblocked = () => {
+                console.warn('IndexedDB-Upgrade blockiert - bitte andere Tabs der App schließen');
+            };
+
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+
+                // Anderer Tab will upgraden → Verbindung freigeben
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    this.openPromise = null;
+                };
+
+                resolve(this.db);
+            };
+
+            request.onupgradeneeded = (event) => {
+                this.upgrade(event.target.result, event.oldVersion);
+            };
+        });
+
+        return this.openPromise;
+    }
+
+    /**
+     * Schema-Migrationen - jede Version baut auf der vorherigen auf
+     * @param {IDBDatabase} db - Datenbank im Upgrade-Modus
+     * @param {number} oldVersion - Bisherige Version (0 = neu angelegt)
+     */
+    upgrade(db, oldVersion) {
+        // Version 1: Bilder pro Rezept
+        if (oldVersion < 1) {
+            if (!db.objectStoreNames.contains('images')) {
+                db.createObjectStore('images', { keyPath: 'recipeName' });
+            }
+        }
+
+        // Version 2: Rezept-Daten (vorher LocalStorage) + Metadaten
+        if (oldVersion < 2) {
+            if (!db.objectStoreNames.contains('recipes')) {
+                const recipes = db.createObjectStore('recipes', { keyPath: 'id' });
+                recipes.createIndex('name', 'name', { unique: false });
+                recipes.createIndex('category', 'category', { unique: false });
+            }
+            if (!db.objectStoreNames.contains('meta')) {
+                db.createObjectStore('meta', { keyPath: 'key' });
+            }
+        }
+    }
+}
+
+// Globale Instanz erstellen
+const recipeDatabase = new RecipeDatabase();
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipeDatabase;
+}
@@ -1,42 +1,66 @@
 /**
  * ImageStore - IndexedDB Manager für Rezeptbilder
- * Speichert und lädt Bilder offline-fähig
+ * Speichert und lädt Bilder offline-fähig. Neben dem Original liegen verkleinerte
+ * Fassungen (thumb/medium), in die Zuschnitt, Drehung und Spiegelung aus Excel
+ * bereits eingerechnet sind; ausgeliefert wird als Object URL statt Data URL.
+ * Das Original bleibt unverändert (Export, Backup, erneutes Berechnen).
+ * Titelbild ist das größte Bild im Sheet (bei gleicher Größe das obere); ein in der
+ * App festgelegtes Titelbild steht im RecipeJournal und wird hier nur aufgelöst.
  */
 
 class ImageStore {
+    /**
+     * Längste Kante der verkleinerten Fassungen in Pixeln
+     * thumb: Karten im Grid und Galerie-Vorschau, medium: großes Bild der Rezeptseite
+     * @returns {Object}
+     */
+    static get VARIANT_SIZES() {
+        return { thumb: 480, medium: 1280 };
+    }
+
+    /**
+     * JPEG-Qualität der verkleinerten Fassungen
+     * @returns {number}
+     */
+    static get VARIANT_QUALITY() {
+        return 0.82;
+    }
+
+    /**
+     * Erhöhen, wenn sich die Berechnung der Fassungen ändert - ältere werden dann neu erzeugt
+     * (1: nur verkleinert, 2: mit eingerechneter Transformation)
+     * @returns {number}
+     */
+    static get VARIANT_VERSION() {
+        return 2;
+    }
+
+    /**
+     * Bis zu diesem Größenunterschied gelten Bilder bei der Titelbild-Wahl als gleich groß
+     * (dann gewinnt das obere) - Schrittfotos im Raster sind selten pixelgenau gleich
+     * @returns {number}
+     */
+    static get COVER_SIZE_TOLERANCE() {
+        return 0.1;
+    }
+
     constructor() {
-        this.dbName = 'RecipeImagesDB';
-        this.dbVersion = 1;
+        this.database = typeof recipeDatabase !== 'undefined' ? recipeDatabase : null;
         this.storeName = 'images';
         this.db = null;
+        // Verkleinern nacheinander - mehrere dekodierte Fotos gleichzeitig sprengen den Speicher am Handy
+        this.variantQueue = Promise.resolve();
     }
 
     /**
-     * Initialisiert die IndexedDB
+     * Initialisiert die IndexedDB (gemeinsame Datenbank, siehe database.js)
      * @returns {Promise<void>}
      */
     async init() {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, this.dbVersion);
-
-            request.onerror = () => {
-                reject(new Error('IndexedDB konnte nicht geöffnet werden'));
-            };
-
-            request.onsuccess = (event) => {
-                this.db = event.target.result;
-                resolve();
-            };
-
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                
-                // Erstelle Object Store falls nicht vorhanden
-                if (!db.objectStoreNames.contains(this.storeName)) {
-                    db.createObjectStore(this.storeName, { keyPath: 'recipeName' });
-                }
-            };
-        });
+        if (!this.database) {
+            throw new Error('IndexedDB konnte nicht geöffnet werden');
+        }
+        this.db = await this.database.open();
     }
 
     /**
@@ -44,35 +68,101 @@ class ImageStore {
      * @param {string} recipeName - Name des Rezepts
      * @param {Blob|Blob[]} imageBlob - Bild als Blob oder Array von Blobs
      * @param {Object|Object[]} transforms - Transformations-Daten (optional)
+     * @param {Array<Object|null>} anchors - Position pro Bild wie von XMLParser.extractAnchor() (optional)
      * @returns {Promise<void>}
      */
-    async saveImage(recipeName, imageBlob, transforms = null) {
+    async saveImage(recipeName, imageBlob, transforms = null, anchors = null) {
         if (!this.db) {
             await this.init();
         }
 
+        // Vorschaubilder vor der Transaktion erzeugen (IndexedDB-Transaktionen überstehen kein await)
+        const record = await this.createRecord(recipeName, imageBlob, transforms, anchors);
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            const request = store.put(record);
+
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(new Error(`Fehler beim Speichern von ${recipeName}`));
+        });
+    }
+
+    /**
+     * Baut den Eintrag für die IndexedDB inkl. verkleinerter Fassungen (ohne zu speichern)
+     * @param {string} recipeName - Name des Rezepts
+     * @param {Blob|Blob[]} imageBlob - Bild als Blob oder Array von Blobs
+     * @param {Object|Object[]} transforms - Transformations-Daten (optional)
+     * @param {Array<Object|null>} anchors - Position pro Bild (optional)
+     * @returns {Promise<Object>} Eintrag wie in der IndexedDB
+     */
+    async createRecord(recipeName, imageBlob, transforms = null, anchors = null) {
         // Normalisiere zu Array
         const imageBlobs = Array.isArray(imageBlob) ? imageBlob : [imageBlob];
-        const transformsArray = transforms ? (Array.isArray(transforms) ? transforms : [transforms]) : [];
+        const transformsArray = transforms ? (Array.isArray(transforms) ? [...transforms] : [transforms]) : [];
 
         // Fülle fehlende Transformationen mit Default-Werten
         while (transformsArray.length < imageBlobs.length) {
             transformsArray.push(this.getDefaultTransform());
         }
+        const anchorsArray = imageBlobs.map((blob, index) => (anchors && anchors[index]) || null);
+
+        const variants = await this.createVariants(imageBlobs, transformsArray);
+
+        const record = {
+            recipeName: recipeName,
+            imageBlobs: imageBlobs,
+            transforms: transformsArray, // NEU: Transformations-Metadaten
+            anchors: anchorsArray,
+            coverIndex: ImageStore.chooseCoverIndex(anchorsArray),
+            timestamp: new Date().toISOString()
+        };
+        // Ohne OffscreenCanvas fehlen sie und werden später nachgetragen
+        if (variants) {
+            record.variants = variants;
+            record.variantVersion = ImageStore.VARIANT_VERSION;
+        }
+        return record;
+    }
+
+    /**
+     * Ersetzt die Bilder mehrerer Rezepte in einer einzigen Transaktion (Import)
+     * Die Fassungen werden vorher berechnet; wird davor abgebrochen, bleibt der Store
+     * unverändert - es gibt nie nur teilweise geschriebene Bilder.
+     * @param {Map<string, {blobs: Blob[], transforms: Object[], anchors: Array}>} imageMap - recipeName → Bilder
+     * @param {string[]} removeNames - Bilder dieser Rezepte löschen (ohne Ersatz)
+     * @param {Object} options - { signal: AbortSignal, onProgress: ({completed, total}) pro Rezept }
+     * @returns {Promise<void>}
+     * @throws {DOMException} AbortError, wenn signal vor dem Schreiben abgebrochen wurde
+     */
+    async replaceImages(imageMap, removeNames = [], { signal = null, onProgress = null } = {}) {
+        if (!this.db) {
+            await this.init();
+        }
+
+        const records = [];
+        let completed = 0;
+        for (const [recipeName, data] of imageMap) {
+            if (signal) signal.throwIfAborted();
+            if (onProgress) onProgress({ completed, total: imageMap.size });
+
+            records.push(await this.createRecord(recipeName, data.blobs, data.transforms, data.anchors));
+            completed++;
+        }
+        if (onProgress) onProgress({ completed, total: imageMap.size });
+        if (signal) signal.throwIfAborted();
 
         return new Promise((resolve, reject) => {
             const transaction = this.db.transaction([this.storeName], 'readwrite');
             const store = transaction.objectStore(this.storeName);
 
-            const request = store.put({
-                recipeName: recipeName,
-                imageBlobs: imageBlobs,
-                transforms: transformsArray, // NEU: Transformations-Metadaten
-                timestamp: new Date().toISOString()
-            });
+            removeNames.forEach(recipeName => store.delete(recipeName));
+            records.forEach(record => store.put(record));
 
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(new Error(`Fehler beim Speichern von ${recipeName}`));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(new Error('Fehler beim Speichern der importierten Bilder'));
+            transaction.onabort = () => reject(new Error('Speichern der importierten Bilder abgebrochen'));
         });
     }
 
@@ -149,11 +239,11 @@ class ImageStore {
     }
 
     /**
-     * Gibt ein Bild als Data URL zurück (erstes Bild) mit Transformation
+     * Lädt alle Bilder eines Rezepts als Blobs zusammen mit ihren Transformationen
      * @param {string} recipeName - Name des Rezepts
-     * @returns {Promise<{dataUrl: string, transform: Object}|null>} Objekt mit dataUrl und transform oder null
+     * @returns {Promise<{blobs: Blob[], transforms: Object[], anchors: Array<Object|null>}>} Leere Arrays wenn nicht gefunden
      */
-    async getImageDataURL(recipeName) {
+    async getImagesWithTransforms(recipeName) {
         if (!this.db) {
             await this.init();
         }
@@ -165,36 +255,24 @@ class ImageStore {
 
             request.onsuccess = () => {
                 const result = request.result;
-                if (!result) {
-                    resolve(null);
-                    return;
-                }
-                
-                let blob = null;
-                let transform = this.getDefaultTransform();
-                
+                let blobs = [];
+                let transforms = [];
+
                 // Unterstütze alte (imageBlob) und neue (imageBlobs[]) Struktur
-                if (result.imageBlobs && result.imageBlobs.length > 0) {
-                    blob = result.imageBlobs[0];
-                    if (result.transforms && result.transforms.length > 0) {
-                        transform = result.transforms[0];
-                    }
-                } else if (result.imageBlob) {
-                    blob = result.imageBlob;
-                    transform = result.transform || this.getDefaultTransform();
+                if (result && result.imageBlobs && result.imageBlobs.length > 0) {
+                    blobs = result.imageBlobs;
+                    transforms = result.transforms || [];
+                } else if (result && result.imageBlob) {
+                    blobs = [result.imageBlob];
+                    transforms = [result.transform || this.getDefaultTransform()];
                 }
-                
-                if (!blob) {
-                    resolve(null);
-                    return;
+
+                while (transforms.length < blobs.length) {
+                    transforms.push(this.getDefaultTransform());
                 }
-                
-                const reader = new FileReader();
-                reader.onloadend = () => resolve({
-                    dataUrl: reader.result,
-                    transform: transform
-                });
-                reader.readAsDataURL(blob);
+                const anchors = blobs.map((blob, index) => (result && result.anchors && result.anchors[index]) || null);
+
+                resolve({ blobs, transforms, anchors });
             };
 
             request.onerror = () => reject(new Error(`Fehler beim Laden von ${recipeName}`));
@@ -220,64 +298,357 @@ class ImageStore {
     }
 
     /**
-     * Gibt ALLE Bilder als Data URLs zurück mit Transformationen
+     * Object URL für das Titelbild eines Rezepts (für die Karten im Grid)
+     * Der Aufrufer gibt die URL mit URL.revokeObjectURL() wieder frei.
+     * @param {string} recipeName - Name des Rezepts
+     * @param {string} variant - 'thumb', 'medium' oder 'original' (ohne eingerechnete Transformation)
+     * @param {string|null} pinnedKey - In der App festgelegtes Titelbild (getImageKey()), sonst automatisch
+     * @returns {Promise<{url: string, transform: Object}|null>} null wenn kein Bild
+     */
+    async getImageURL(recipeName, variant = 'thumb', pinnedKey = null) {
+        const images = await this.getImageVariants(recipeName, pinnedKey);
+        const cover = images.find(image => image.isCover);
+        if (!cover) return null;
+
+        return {
+            url: URL.createObjectURL(cover[variant]),
+            transform: cover.transform
+        };
+    }
+
+    /**
+     * Object URLs für ALLE Bilder eines Rezepts (für die Galerie der Rezeptseite)
+     * Der Aufrufer gibt beide URLs pro Bild mit URL.revokeObjectURL() wieder frei.
+     * @param {string} recipeName - Name des Rezepts
+     * @param {string|null} pinnedKey - In der App festgelegtes Titelbild (getImageKey())
+     * @returns {Promise<Array<{url: string, thumbUrl: string, transform: Object, key: string, isCover: boolean}>>}
+     *          Nach Position im Sheet; url = mittlere Größe
+     */
+    async getAllImageURLs(recipeName, pinnedKey = null) {
+        const images = await this.getImageVariants(recipeName, pinnedKey);
+        return images.map(image => ({
+            url: URL.createObjectURL(image.medium),
+            thumbUrl: URL.createObjectURL(image.thumb),
+            transform: image.transform,
+            key: image.key,
+            isCover: image.isCover
+        }));
+    }
+
+    /**
+     * Alle Bilder eines Rezepts in allen Größen
+     * Fehlen die Fassungen oder stammen sie aus einer älteren Version, werden sie
+     * jetzt erzeugt und nachgetragen; ohne Canvas bleibt es beim Vorhandenen bzw. Original.
+     * @param {string} recipeName - Name des Rezepts
+     * @param {string|null} pinnedKey - In der App festgelegtes Titelbild (getImageKey())
+     * @returns {Promise<Array<{original: Blob, thumb: Blob, medium: Blob, transform: Object, anchor: Object|null, key: string, isCover: boolean}>>}
+     */
+    async getImageVariants(recipeName, pinnedKey = null) {
+        const record = await this.getRecord(recipeName);
+        if (!record) return [];
+
+        const { blobs, transforms, anchors } = this.normalizeRecord(record);
+        const keys = anchors.map((anchor, index) => ImageStore.getImageKey(anchor, index));
+        const coverIndex = ImageStore.resolveCoverIndex(keys, record.coverIndex, pinnedKey);
+        let variants = record.variants;
+        if ((!variants || record.variantVersion !== ImageStore.VARIANT_VERSION) && blobs.length > 0) {
+            const created = await this.createVariants(blobs, transforms);
+            if (created) {
+                variants = created;
+                await this.saveVariants(recipeName, record.timestamp, variants);
+            }
+        }
+
+        return blobs.map((blob, index) => {
+            const variant = (variants && variants[index]) || {};
+            return {
+                original: blob,
+                // Kleine, unveränderte Originale werden nicht gespeichert (null)
+                thumb: variant.thumb || variant.medium || blob,
+                medium: variant.medium || blob,
+                transform: transforms[index],
+                anchor: anchors[index],
+                key: keys[index],
+                isCover: index === coverIndex
+            };
+        });
+    }
+
+    /**
+     * Berechnet die Fassungen aus VARIANT_SIZES (nacheinander, um Speicher zu sparen)
+     * @param {Blob[]} blobs - Original-Bilder
+     * @param {Object[]} transforms - Transformation pro Bild (fehlende = keine)
+     * @returns {Promise<Array<{thumb: Blob|null, medium: Blob|null}>|null>} null ohne Canvas;
+     *          null pro Größe, wenn das Original schon passt oder nicht gelesen werden kann
+     */
+    async createVariants(blobs, transforms = []) {
+        if (!ImageStore.canResize()) return null;
+
+        const queued = this.variantQueue.then(async () => {
+            const variants = [];
+            for (let index = 0; index < blobs.length; index++) {
+                variants.push(await ImageStore.renderVariants(blobs[index], transforms[index] || this.getDefaultTransform()));
+            }
+            return variants;
+        });
+        this.variantQueue = queued.catch(() => {});
+        return queued;
+    }
+
+    /**
+     * Trägt nachträglich erzeugte Größen ein - nur wenn das Bild inzwischen nicht ersetzt wurde
      * @param {string} recipeName - Name des Rezepts
-     * @returns {Promise<Array<{dataUrl: string, transform: Object}>>} Array von Objekten mit dataUrl und transform
+     * @param {string} timestamp - Zeitstempel des Eintrags beim Lesen
+     * @param {Array} variants - Ergebnis von createVariants()
+     * @returns {Promise<void>}
      */
-    async getAllImageDataURLs(recipeName) {
+    async saveVariants(recipeName, timestamp, variants) {
         if (!this.db) {
             await this.init();
         }
 
         return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const transaction = this.db.transaction([this.storeName], 'readwrite');
             const store = transaction.objectStore(this.storeName);
             const request = store.get(recipeName);
 
-            request.onsuccess = async () => {
+            request.onsuccess = () => {
                 const result = request.result;
-                if (!result) {
-                    resolve([]);
-                    return;
+                if (result && result.timestamp === timestamp) {
+                    store.put({ ...result, variants, variantVersion: ImageStore.VARIANT_VERSION });
                 }
-                
-                // Hole Blobs und Transformationen
-                let blobs = [];
-                let transforms = [];
-                
-                if (result.imageBlobs && result.imageBlobs.length > 0) {
-                    blobs = result.imageBlobs;
-                    transforms = result.transforms || [];
-                } else if (result.imageBlob) {
-                    blobs = [result.imageBlob];
-                    transforms = [result.transform || this.getDefaultTransform()];
-                }
-                
-                // Fülle fehlende Transformationen
-                while (transforms.length < blobs.length) {
-                    transforms.push(this.getDefaultTransform());
-                }
-                
-                // Konvertiere Blobs zu Data URLs
-                const dataURLPromises = blobs.map((blob, index) => {
-                    return new Promise((resolveUrl) => {
-                        const reader = new FileReader();
-                        reader.onloadend = () => resolveUrl({
-                            dataUrl: reader.result,
-                            transform: transforms[index]
-                        });
-                        reader.readAsDataURL(blob);
-                    });
-                });
-
-                const results = await Promise.all(dataURLPromises);
-                resolve(results);
             };
 
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(new Error(`Fehler beim Speichern der Vorschaubilder von ${recipeName}`));
+        });
+    }
+
+    /**
+     * @param {string} recipeName - Name des Rezepts
+     * @returns {Promise<Object|null>} Gespeicherter Eintrag wie in der IndexedDB
+     */
+    async getRecord(recipeName) {
+        if (!this.db) {
+            await this.init();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const store = transaction.objectStore(this.storeName);
+            const request = store.get(recipeName);
+
+            request.onsuccess = () => resolve(request.result || null);
             request.onerror = () => reject(new Error(`Fehler beim Laden von ${recipeName}`));
         });
     }
 
+    /**
+     * Unterstützt alte (imageBlob) und neue (imageBlobs[]) Struktur
+     * @param {Object} record - Gespeicherter Eintrag
+     * @returns {{blobs: Blob[], transforms: Object[], anchors: Array<Object|null>}} Eine Transformation und Position pro Bild
+     */
+    normalizeRecord(record) {
+        let blobs = [];
+        let transforms = [];
+
+        if (record.imageBlobs && record.imageBlobs.length > 0) {
+            blobs = record.imageBlobs;
+            transforms = [...(record.transforms || [])];
+        } else if (record.imageBlob) {
+            blobs = [record.imageBlob];
+            transforms = [record.transform || this.getDefaultTransform()];
+        }
+
+        while (transforms.length < blobs.length) {
+            transforms.push(this.getDefaultTransform());
+        }
+        const anchors = blobs.map((blob, index) => (record.anchors && record.anchors[index]) || null);
+        return { blobs, transforms, anchors };
+    }
+
+    /**
+     * Kennung eines Bildes, die einen erneuten Import übersteht (für das festgelegte Titelbild)
+     * @param {Object|null} anchor - Position im Sheet
+     * @param {number} index - Position in der Bilderliste (Bilder ohne Anker, z.B. in der App hinzugefügt)
+     * @returns {string} "Zeile:Spalte" der linken oberen Ecke bzw. "#Index"
+     */
+    static getImageKey(anchor, index) {
+        return anchor && anchor.from ? `${anchor.from.row}:${anchor.from.col}` : `#${index}`;
+    }
+
+    /**
+     * Wählt das Titelbild: das größte Bild, bei (fast) gleicher Größe das obere
+     * Die Bilder sind bereits nach Position sortiert; ohne Größenangaben bleibt es beim ersten.
+     * @param {Array<Object|null>} anchors - Position pro Bild
+     * @returns {number} Index des Titelbilds
+     */
+    static chooseCoverIndex(anchors) {
+        const areas = anchors.map(anchor => anchor ? (anchor.width || 0) * (anchor.height || 0) : 0);
+        const largest = Math.max(0, ...areas);
+        if (largest === 0) return 0;
+
+        return areas.findIndex(area => area >= largest * (1 - ImageStore.COVER_SIZE_TOLERANCE));
+    }
+
+    /**
+     * @param {string[]} keys - Kennung pro Bild (getImageKey())
+     * @param {number|undefined} coverIndex - Automatisch gewähltes Titelbild (ältere Einträge: keins)
+     * @param {string|null} pinnedKey - Festgelegtes Titelbild; gibt es das Bild nicht mehr, gilt wieder die Automatik
+     * @returns {number} Index des Titelbilds (-1 ohne Bilder)
+     */
+    static resolveCoverIndex(keys, coverIndex, pinnedKey) {
+        if (keys.length === 0) return -1;
+
+        const pinned = pinnedKey ? keys.indexOf(pinnedKey) : -1;
+        if (pinned !== -1) return pinned;
+        return Number.isInteger(coverIndex) && coverIndex >= 0 && coverIndex < keys.length ? coverIndex : 0;
+    }
+
+    /**
+     * @returns {boolean} Kann der Browser Bilder verkleinern? (OffscreenCanvas, sonst <canvas>)
+     */
+    static canResize() {
+        return typeof createImageBitmap === 'function' &&
+            (typeof OffscreenCanvas !== 'undefined' || typeof document !== 'undefined');
+    }
+
+    /**
+     * @param {Object} transform - Transformation wie von XMLParser.extractSingleImageTransform()
+     * @returns {boolean} Keine Drehung, Spiegelung oder Zuschnitt?
+     */
+    static isDefaultTransform(transform) {
+        if (!transform) return true;
+        const crop = transform.crop || {};
+        return !(transform.rotation % 360) && !transform.flipH && !transform.flipV &&
+            !(crop.left > 0) && !(crop.top > 0) && !(crop.right > 0) && !(crop.bottom > 0);
+    }
+
+    /**
+     * Berechnet Ausschnitt und Ausgabegröße einer Transformation
+     * Zuschnitt (srcRect) gilt für das Bild selbst, Drehung und Spiegelung für den
+     * Rahmen in Excel - das Ergebnis ist so groß wie der gedrehte Ausschnitt.
+     * @param {number} width - Breite des Originals
+     * @param {number} height - Höhe des Originals
+     * @param {Object} transform - Transformation
+     * @returns {{source: {x: number, y: number, width: number, height: number}, width: number, height: number, radians: number}}
+     */
+    static getTransformGeometry(width, height, transform) {
+        const crop = transform.crop || {};
+        const clamp = (value) => Math.min(100, Math.max(0, Number(value) || 0));
+        let left = clamp(crop.left);
+        let right = clamp(crop.right);
+        let top = clamp(crop.top);
+        let bottom = clamp(crop.bottom);
+        // Unsinniger Zuschnitt (nichts bleibt übrig) → ganzes Bild
+        if (left + right >= 100) left = right = 0;
+        if (top + bottom >= 100) top = bottom = 0;
+
+        const source = {
+            x: width * left / 100,
+            y: height * top / 100,
+            width: width * (100 - left - right) / 100,
+            height: height * (100 - top - bottom) / 100
+        };
+
+        const radians = (Number(transform.rotation) || 0) * Math.PI / 180;
+        const cos = Math.abs(Math.cos(radians));
+        const sin = Math.abs(Math.sin(radians));
+        return {
+            source,
+            // Rundungsfehler bei 90°/180° (cos ≈ 6e-17) nicht als Pixel zählen
+            width: Math.round((source.width * cos + source.height * sin) * 1000) / 1000,
+            height: Math.round((source.width * sin + source.height * cos) * 1000) / 1000,
+            radians
+        };
+    }
+
+    /**
+     * Erzeugt die Fassungen eines Bildes (einmal dekodiert, alle Größen)
+     * @param {Blob} blob - Original
+     * @param {Object} transform - Transformation, wird in die Pixel eingerechnet
+     * @returns {Promise<{thumb: Blob|null, medium: Blob|null}>}
+     */
+    static async renderVariants(blob, transform) {
+        const variants = { thumb: null, medium: null };
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(blob);
+        } catch (error) {
+            // z.B. EMF/WMF aus alten Excel-Dateien - dann bleibt nur das Original
+            console.warn('Bild konnte nicht verkleinert werden:', error);
+            return variants;
+        }
+
+        try {
+            const geometry = ImageStore.getTransformGeometry(bitmap.width, bitmap.height, transform);
+            const unchanged = ImageStore.isDefaultTransform(transform);
+            const largest = Math.max(...Object.values(ImageStore.VARIANT_SIZES));
+
+            for (const [variant, maxSize] of Object.entries(ImageStore.VARIANT_SIZES)) {
+                const scale = maxSize / Math.max(geometry.width, geometry.height);
+                // Passt schon: kleinere Größen fallen auf die größte bzw. das Original zurück
+                if (scale >= 1 && (unchanged || maxSize < largest)) continue;
+
+                variants[variant] = await ImageStore.drawVariant(bitmap, geometry, transform, Math.min(1, scale));
+            }
+        } catch (error) {
+            console.warn('Bild konnte nicht verkleinert werden:', error);
+        } finally {
+            bitmap.close();
+        }
+        return variants;
+    }
+
+    /**
+     * Zeichnet Ausschnitt, Drehung und Spiegelung in eine neue JPEG-Datei
+     * @param {ImageBitmap} bitmap - Dekodiertes Original
+     * @param {Object} geometry - Ergebnis von getTransformGeometry()
+     * @param {Object} transform - Transformation (flipH/flipV)
+     * @param {number} scale - Verkleinerung (≤ 1)
+     * @returns {Promise<Blob>}
+     */
+    static async drawVariant(bitmap, geometry, transform, scale) {
+        const width = Math.max(1, Math.round(geometry.width * scale));
+        const height = Math.max(1, Math.round(geometry.height * scale));
+        const canvas = ImageStore.createCanvas(width, height);
+        const context = canvas.getContext('2d');
+
+        // JPEG kennt keine Transparenz - weiß statt schwarz (auch die Ecken bei schräger Drehung)
+        context.fillStyle = '#fff';
+        context.fillRect(0, 0, width, height);
+
+        // Wie in Excel: erst spiegeln, dann um die Mitte drehen
+        context.translate(width / 2, height / 2);
+        context.rotate(geometry.radians);
+        context.scale(transform.flipH ? -1 : 1, transform.flipV ? -1 : 1);
+
+        const { source } = geometry;
+        const drawWidth = source.width * scale;
+        const drawHeight = source.height * scale;
+        context.drawImage(bitmap, source.x, source.y, source.width, source.height,
+            -drawWidth / 2, -drawHeight / 2, drawWidth, drawHeight);
+
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type: 'image/jpeg', quality: ImageStore.VARIANT_QUALITY });
+        }
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', ImageStore.VARIANT_QUALITY));
+    }
+
+    /**
+     * @param {number} width - Breite
+     * @param {number} height - Höhe
+     * @returns {OffscreenCanvas|HTMLCanvasElement} OffscreenCanvas, wo vorhanden
+     */
+    static createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
     /**
      * Prüft ob ein Bild existiert
      * @param {string} recipeName - Name des Rezepts
@@ -367,7 +738,7 @@ class ImageStore {
 
     /**
      * Speichert mehrere Bilder auf einmal
-     * @param {Object} imageMap - Map von recipeName → {blobs, transforms}
+     * @param {Object} imageMap - Map von recipeName → {blobs, transforms, anchors}
      * @param {Function} progressCallback - Fortschritts-Callback (optional)
      * @returns {Promise<{success: number, failed: number}>}
      */
@@ -378,9 +749,9 @@ class ImageStore {
 
         for (const [recipeName, data] of Object.entries(imageMap)) {
             try {
-                // data kann {blobs, transforms} oder direkt Blob/Blob[] sein
+                // data kann {blobs, transforms, anchors} oder direkt Blob/Blob[] sein
                 if (data.blobs) {
-                    await this.saveImage(recipeName, data.blobs, data.transforms);
+                    await this.saveImage(recipeName, data.blobs, data.transforms, data.anchors);
                 } else {
                     await this.saveImage(recipeName, data);
                 }
@@ -0,0 +1,309 @@
+/**
+ * ImportValidator - Prüft Rezept-Sheets auf Abweichungen von der Vorlage
+ * Liefert pro Sheet Warnungen und Fehler (Sheet, Zeile, Problem)
+ */
+
+class ImportValidator {
+    /**
+     * Prüft das komplette Workbook
+     * @param {Object} workbook - SheetJS Workbook
+     * @param {Object} profile - Layout-Profil (siehe SheetLayout)
+     * @returns {{createdAt: string, sheets: Array<{sheetName: string, issues: Array}>, errorCount: number, warningCount: number}}
+     */
+    static validateWorkbook(workbook, profile = SheetLayout.DEFAULT_PROFILE) {
+        const report = {
+            createdAt: new Date().toISOString(),
+            sheets: [],
+            errorCount: 0,
+            warningCount: 0,
+            profileName: profile.name
+        };
+
+        if (!workbook) return report;
+
+        const addSheet = (sheetName, issues) => {
+            if (issues.length === 0) return;
+            report.sheets.push({ sheetName, issues });
+            issues.forEach(issue => {
+                if (issue.level === 'error') report.errorCount++;
+                else report.warningCount++;
+            });
+        };
+
+        const tocNames = new Set();
+        addSheet(profile.indexSheet, this.validateTableOfContents(workbook, tocNames, profile.indexSheet));
+
+        workbook.SheetNames.forEach(sheetName => {
+            if (SheetLayout.isSkippedSheet(sheetName, profile)) return;
+
+            const issues = this.validateRecipeSheet(workbook.Sheets[sheetName], profile);
+            if (tocNames.size > 0 && !tocNames.has(sheetName)) {
+                issues.unshift(this.issue('warning', null, 'Steht nicht im Inhaltsverzeichnis - wird als "Ohne Kategorie" importiert'));
+            }
+            addSheet(sheetName, issues);
+        });
+
+        return report;
+    }
+
+    /**
+     * Prüft das Inhaltsverzeichnis (Kategorien + Rezeptnamen)
+     * @param {Object} workbook - SheetJS Workbook
+     * @param {Set<string>} tocNames - Wird mit allen gefundenen Rezeptnamen befüllt
+     * @param {string} indexSheet - Name des Inhaltsverzeichnis-Sheets
+     * @returns {Array} Gefundene Probleme
+     */
+    static validateTableOfContents(workbook, tocNames, indexSheet) {
+        const issues = [];
+        const sheet = workbook.Sheets[indexSheet];
+
+        if (!sheet) {
+            issues.push(this.issue('warning', null, `Sheet "${indexSheet}" fehlt - alle Rezepte landen in "Ohne Kategorie"`));
+            return issues;
+        }
+
+        const { data, rowOffset, colOffset } = this.readSheet(sheet);
+        if (data.length < 3) {
+            issues.push(this.issue('warning', null, 'Inhaltsverzeichnis hat zu wenige Zeilen (erwartet: Hauptkategorie, Unterkategorie, Rezepte)'));
+            return issues;
+        }
+
+        const seen = new Map();
+        for (let row = 2; row < data.length; row++) {
+            for (let col = 0; col < data[row].length; col++) {
+                const name = String(data[row][col]).trim();
+                if (name === '') continue;
+
+                const excelRow = row + rowOffset + 1;
+                const cell = this.columnLetter(col + colOffset) + excelRow;
+
+                if (!String(data[0][col] || '').trim()) {
+                    issues.push(this.issue('warning', excelRow, `"${name}" (${cell}) steht in einer Spalte ohne Hauptkategorie und wird ignoriert`));
+                    continue;
+                }
+
+                if (seen.has(name)) {
+                    issues.push(this.issue('warning', excelRow, `"${name}" (${cell}) steht mehrfach im Inhaltsverzeichnis (zuerst ${seen.get(name)})`));
+                } else {
+                    seen.set(name, cell);
+                }
+                tocNames.add(name);
+
+                if (!workbook.Sheets[name]) {
+                    issues.push(this.issue('warning', excelRow, `"${name}" hat kein eigenes Sheet - wird als Platzhalter angelegt`));
+                }
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Prüft ein einzelnes Rezept-Sheet gegen das Layout-Profil
+     * Spiegelt die Erkennungslogik von WorkbookParser.extractRecipeDetails()
+     * @param {Object} sheet - SheetJS Worksheet
+     * @param {Object} profile - Layout-Profil (siehe SheetLayout)
+     * @returns {Array} Gefundene Probleme
+     */
+    static validateRecipeSheet(sheet, profile) {
+        const issues = [];
+        if (!sheet) return issues;
+
+        const { data, rowOffset } = this.readSheet(sheet);
+        const rowNumber = (index) => index + rowOffset + 1;
+        const text = (value) => String(value ?? '').trim();
+        const col = (index) => this.columnLetter(index);
+        const columns = profile.ingredients.columns;
+        const stepColumns = profile.instructions.columns;
+        const headerText = profile.ingredients.header.map(({ column, label }) => `"${label}" in ${col(column)}`).join(' und ');
+        const instructionText = profile.instructions.headers.map(label => `"${label}"`).join(' oder ');
+
+        let servingsRow = -1;
+        let ingredientHeaderRow = -1;
+        let instructionHeaderRow = -1;
+
+        for (let i = 0; i < data.length; i++) {
+            const row = data[i];
+
+            if (servingsRow === -1 && SheetLayout.cellIncludes(row, profile.servings.labelColumn, profile.servings.label)) {
+                servingsRow = i;
+            }
+            if (ingredientHeaderRow === -1 && SheetLayout.isIngredientHeader(row, profile)) {
+                ingredientHeaderRow = i;
+            }
+            if (instructionHeaderRow === -1 && SheetLayout.isInstructionHeader(row, profile)) {
+                instructionHeaderRow = i;
+            }
+            if (SheetLayout.isNotesHeader(row, profile)) {
+                break;
+            }
+        }
+
+        // Portionen
+        if (servingsRow === -1) {
+            issues.push(this.issue('warning', null, `"${profile.servings.label}" nicht gefunden - Portionen-Rechner nicht verfügbar`));
+        } else {
+            const row = data[servingsRow];
+            const valueColumn = profile.servings.valueColumns.find(index => row[index]);
+            const servings = valueColumn !== undefined ? row[valueColumn] : '';
+            if (servings === '') {
+                issues.push(this.issue('warning', rowNumber(servingsRow), `"${profile.servings.label}" ohne Wert (erwartet in Spalte ${profile.servings.valueColumns.map(col).join(' oder ')})`));
+            } else if (isNaN(Number(servings))) {
+                issues.push(this.issue('warning', rowNumber(servingsRow), `${profile.servings.label} "${servings}" ist keine Zahl`));
+            }
+        }
+
+        // Zutaten
+        if (ingredientHeaderRow === -1) {
+            // Welches Label steht an der falschen Stelle?
+            const misplaced = profile.ingredients.header
+                .map(({ column, label }) => ({ column, found: this.findLabel(data, [label]) }))
+                .filter(({ found }) => found);
+            const wrong = misplaced.find(({ column, found }) => found.col !== column);
+            const hint = wrong ? wrong.found : (misplaced[0] ? misplaced[0].found : null);
+            issues.push(this.issue('error', hint ? rowNumber(hint.row) : null, hint
+                ? `Zutaten-Kopfzeile nicht erkannt: "${hint.value}" steht in Spalte ${col(hint.col)} (erwartet: exakt ${headerText})`
+                : `Keine Zutaten-Kopfzeile gefunden (erwartet: ${headerText}) - Zutaten bleiben leer`));
+        } else {
+            let count = 0;
+            for (let j = ingredientHeaderRow + 1; j < data.length; j++) {
+                const row = data[j];
+                if (SheetLayout.isIngredientEnd(row, profile)) break;
+
+                if (text(row[columns.product])) {
+                    count++;
+                    const amount = text(row[columns.amount]);
+                    if (amount && Quantity.parse(amount) === null) {
+                        issues.push(this.issue('warning', rowNumber(j), `Menge "${amount}" bei "${text(row[columns.product])}" ist keine Mengenangabe - wird beim Skalieren nicht angepasst`));
+                    }
+                } else if (text(row[columns.amount]) || text(row[columns.unit])) {
+                    issues.push(this.issue('warning', rowNumber(j), `Zeile hat Menge/Einheit, aber kein Produkt (Spalte ${col(columns.product)}) - wird übersprungen`));
+                }
+            }
+            if (count === 0) {
+                issues.push(this.issue('error', rowNumber(ingredientHeaderRow), 'Zutaten-Kopfzeile gefunden, aber keine Zutaten darunter'));
+            }
+        }
+
+        // Zubereitung
+        if (instructionHeaderRow === -1) {
+            const hint = this.findLabel(data, profile.instructions.headers);
+            issues.push(this.issue('error', hint ? rowNumber(hint.row) : null, hint
+                ? `Zubereitungs-Überschrift nicht erkannt: "${hint.value}" in Spalte ${col(hint.col)} (erwartet: exakt ${instructionText} in Spalte ${col(profile.instructions.headerColumn)})`
+                : `Keine Überschrift ${instructionText} gefunden - Anleitung bleibt leer`));
+        } else {
+            let count = 0;
+            for (let j = instructionHeaderRow + 1; j < data.length; j++) {
+                const stepNum = data[j][stepColumns.step];
+                const stepText = data[j][stepColumns.text];
+                if (!stepNum && !stepText) break;
+
+                if (stepNum && stepText && !isNaN(stepNum)) {
+                    count++;
+                } else if (stepText && !stepNum) {
+                    issues.push(this.issue('warning', rowNumber(j), `Schritt ohne Nummer in Spalte ${col(stepColumns.step)} - wird übersprungen`));
+                } else if (stepText && isNaN(stepNum)) {
+                    issues.push(this.issue('warning', rowNumber(j), `Schrittnummer "${stepNum}" ist keine Zahl - Schritt wird übersprungen`));
+                } else if (stepNum && !stepText && !isNaN(stepNum)) {
+                    issues.push(this.issue('warning', rowNumber(j), `Schritt ${stepNum} hat keinen Text in Spalte ${col(stepColumns.text)}`));
+                }
+            }
+            if (count === 0) {
+                issues.push(this.issue('error', rowNumber(instructionHeaderRow), 'Keine nummerierten Schritte unter der Zubereitung (direkt darunter, ohne Leerzeile)'));
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Liest ein Sheet als Zeilen-Array inkl. Versatz zur Excel-Adresse
+     * @param {Object} sheet - SheetJS Worksheet
+     * @returns {{data: Array<Array>, rowOffset: number, colOffset: number}}
+     */
+    static readSheet(sheet) {
+        const data = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+        const range = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : null;
+        return {
+            data,
+            rowOffset: range ? range.s.r : 0,
+            colOffset: range ? range.s.c : 0
+        };
+    }
+
+    /**
+     * Sucht ein Label ungefähr (Groß-/Kleinschreibung, Leerzeichen, Doppelpunkt)
+     * @param {Array<Array>} data - Sheet-Daten
+     * @param {string[]} labels - Gesuchte Labels
+     * @returns {{row: number, col: number, label: string, value: string}|null}
+     */
+    static findLabel(data, labels) {
+        const normalize = (value) => String(value ?? '').trim().replace(/:$/, '').toLowerCase();
+        const wanted = labels.map(label => label.toLowerCase());
+
+        for (let row = 0; row < data.length; row++) {
+            for (let col = 0; col < data[row].length; col++) {
+                const index = wanted.indexOf(normalize(data[row][col]));
+                if (index !== -1) {
+                    return { row, col, label: labels[index], value: String(data[row][col]) };
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Erstellt ein Problem-Objekt
+     * @param {string} level - 'error' oder 'warning'
+     * @param {number|null} row - Excel-Zeilennummer (1-basiert) oder null
+     * @param {string} message - Beschreibung
+     * @returns {{level: string, row: number|null, message: string}}
+     */
+    static issue(level, row, message) {
+        return { level, row, message };
+    }
+
+    /**
+     * Spaltenindex → Excel-Buchstabe (0 → A)
+     * @param {number} col - Spaltenindex
+     * @returns {string}
+     */
+    static columnLetter(col) {
+        let letter = '';
+        let n = col + 1;
+        while (n > 0) {
+            const rest = (n - 1) % 26;
+            letter = String.fromCharCode(65 + rest) + letter;
+            n = Math.floor((n - 1) / 26);
+        }
+        return letter;
+    }
+
+    /**
+     * Exportiert den Bericht als CSV (Semikolon, UTF-8 mit BOM - öffnet direkt in Excel)
+     * @param {Object} report - Bericht aus validateWorkbook()
+     * @returns {string} CSV-Inhalt
+     */
+    static toCSV(report) {
+        const escape = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+        const lines = [['Sheet', 'Zeile', 'Stufe', 'Problem'].map(escape).join(';')];
+
+        report.sheets.forEach(sheet => {
+            sheet.issues.forEach(issue => {
+                lines.push([
+                    sheet.sheetName,
+                    issue.row ?? '',
+                    issue.level === 'error' ? 'Fehler' : 'Warnung',
+                    issue.message
+                ].map(escape).join(';'));
+            });
+        });
+
+        return '\uFEFF' + lines.join('\r\n');
+    }
+}
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImportValidator;
+}
@@ -0,0 +1,185 @@
+/**
+ * KitchenTimers - Mehrere parallel laufende Küchen-Timer mit Alarmton
+ * Die Restzeit wird aus der Endzeit berechnet, damit Timer auch im
+ * Hintergrund-Tab (gedrosseltes setInterval) stimmen.
+ */
+
+class KitchenTimers {
+    /**
+     * Abgelaufene Timer klingeln in diesem Abstand erneut (ms), bis sie entfernt werden
+     * @returns {number}
+     */
+    static get REPEAT_ALARM_MS() {
+        return 10000;
+    }
+
+    /**
+     * Nach so vielen Wiederholungen hört ein Timer auf zu klingeln
+     * @returns {number}
+     */
+    static get MAX_ALARMS() {
+        return 6;
+    }
+
+    /**
+     * @param {Object} callbacks
+     * @param {Function} callbacks.onChange - Nach jedem Tick und jeder Änderung (zum Neuzeichnen)
+     * @param {Function} callbacks.onFinish - Timer abgelaufen (Timer-Objekt wie in getTimers())
+     */
+    constructor({ onChange = () => {}, onFinish = () => {} } = {}) {
+        this.onChange = onChange;
+        this.onFinish = onFinish;
+        this.timers = [];
+        this.nextId = 1;
+        this.interval = null;
+        this.audioContext = null;
+    }
+
+    /**
+     * Startet einen neuen Timer
+     * Muss aus einer Nutzeraktion heraus aufgerufen werden (Audio-Freigabe im Browser).
+     * @param {string} label - Anzeige, z.B. "20 Minuten"
+     * @param {number} seconds - Dauer
+     * @returns {number} Timer-ID
+     */
+    start(label, seconds) {
+        this.unlockAudio();
+
+        const timer = {
+            id: this.nextId++,
+            label,
+            duration: seconds,
+            endTime: Date.now() + seconds * 1000,
+            remaining: seconds,
+            running: true,
+            finished: false,
+            alarms: 0,
+            lastAlarm: 0
+        };
+        this.timers.push(timer);
+        this.ensureInterval();
+        this.onChange();
+        return timer.id;
+    }
+
+    /**
+     * Pausiert bzw. setzt einen Timer fort
+     * @param {number} id - Timer-ID
+     */
+    toggle(id) {
+        const timer = this.timers.find(entry => entry.id === id);
+        if (!timer || timer.finished) return;
+
+        if (timer.running) {
+            timer.remaining = Math.max(0, (timer.endTime - Date.now()) / 1000);
+        } else {
+            timer.endTime = Date.now() + timer.remaining * 1000;
+        }
+        timer.running = !timer.running;
+        this.onChange();
+    }
+
+    /**
+     * Entfernt einen Timer (stoppt auch den Alarm)
+     * @param {number} id - Timer-ID
+     */
+    remove(id) {
+        this.timers = this.timers.filter(entry => entry.id !== id);
+        if (this.timers.length === 0) this.stopInterval();
+        this.onChange();
+    }
+
+    /**
+     * @returns {Array<{id: number, label: string, duration: number, remaining: number, running: boolean, finished: boolean}>}
+     */
+    getTimers() {
+        return this.timers.map(({ id, label, duration, remaining, running, finished }) =>
+            ({ id, label, duration, remaining, running, finished }));
+    }
+
+    /**
+     * @returns {boolean} Läuft noch mindestens ein Timer (nicht abgelaufen)?
+     */
+    hasActive() {
+        return this.timers.some(timer => !timer.finished);
+    }
+
+    /**
+     * Aktualisiert Restzeiten, löst Alarme aus
+     */
+    tick() {
+        const now = Date.now();
+
+        for (const timer of this.timers) {
+            if (timer.running && !timer.finished) {
+                timer.remaining = Math.max(0, (timer.endTime - now) / 1000);
+                if (timer.remaining === 0) {
+                    timer.finished = true;
+                    timer.running = false;
+                    this.onFinish({ ...timer });
+                }
+            }
+
+            if (timer.finished && timer.alarms < KitchenTimers.MAX_ALARMS &&
+                now - timer.lastAlarm >= KitchenTimers.REPEAT_ALARM_MS) {
+                timer.alarms++;
+                timer.lastAlarm = now;
+                this.playAlarm();
+            }
+        }
+
+        this.onChange();
+    }
+
+    ensureInterval() {
+        if (this.interval === null) {
+            this.interval = setInterval(() => this.tick(), 1000);
+        }
+    }
+
+    stopInterval() {
+        if (this.interval !== null) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    /**
+     * Erstellt bzw. weckt den AudioContext (Browser erlauben Ton nur nach Nutzeraktion)
+     */
+    unlockAudio() {
+        const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+        if (!AudioContextClass) return;
+
+        if (!this.audioContext) this.audioContext = new AudioContextClass();
+        if (this.audioContext.state === 'suspended') this.audioContext.resume();
+    }
+
+    /**
+     * Drei kurze Pieptöne (und Vibration, wo unterstützt)
+     */
+    playAlarm() {
+        if (typeof navigator !== 'undefined' && navigator.vibrate) {
+            navigator.vibrate([300, 150, 300, 150, 300]);
+        }
+        if (!this.audioContext) return;
+
+        const start = this.audioContext.currentTime;
+        for (let beep = 0; beep < 3; beep++) {
+            const oscillator = this.audioContext.createOscillator();
+            const gain = this.audioContext.createGain();
+            oscillator.type = 'square';
+            oscillator.frequency.value = 880;
+            gain.gain.setValueAtTime(0.2, start + beep * 0.4);
+            gain.gain.exponentialRampToValueAtTime(0.001, start + beep * 0.4 + 0.3);
+            oscillator.connect(gain).connect(this.audioContext.destination);
+            oscillator.start(start + beep * 0.4);
+            oscillator.stop(start + beep * 0.4 + 0.3);
+        }
+    }
+}
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KitchenTimers;
+}
@@ -0,0 +1,285 @@
+/**
+ * MealPlanner - Wochenplan mit Mittag/Abend pro Tag
+ * Pläne werden pro ISO-Kalenderwoche gespeichert ("2026-W42"),
+ * jede Mahlzeit ist Kategorien aus dem Inhaltsverzeichnis zugeordnet.
+ */
+
+class MealPlanner {
+    /**
+     * Wochentage, Montag zuerst (ISO)
+     * @returns {string[]}
+     */
+    static get DAYS() {
+        return ['Montag', 'Dienstag', 'Mittwoch', 'Donnerstag', 'Freitag', 'Samstag', 'Sonntag'];
+    }
+
+    /**
+     * Mahlzeiten pro Tag
+     * keyword: Ohne eigene Zuordnung passen Kategorien, deren Hauptteil
+     * (vor " - ") das Wort enthält, z.B. "Mittagessen - Salzig"
+     * fallback: Passt keine Kategorie zum Stichwort, gelten die Kategorien dieser Mahlzeit
+     * (die Vorlage hat keine Abend-Kategorie - abends gibt es dann dasselbe wie mittags)
+     * @returns {Array<{id: string, label: string, keyword: string, fallback: string|undefined}>}
+     */
+    static get SLOTS() {
+        return [
+            { id: 'lunch', label: 'Mittag', keyword: 'mittag' },
+            { id: 'dinner', label: 'Abend', keyword: 'abend', fallback: 'lunch' }
+        ];
+    }
+
+    constructor() {
+        this.storageKey = 'mealPlans';
+        // Woche → { "<Tag>-<Mahlzeit>": Rezeptname }
+        this.weeks = {};
+        // Mahlzeit → Kategorien (nur wenn vom Benutzer festgelegt)
+        this.slotCategories = {};
+        this.load();
+    }
+
+    /**
+     * Lädt die Pläne aus dem LocalStorage
+     */
+    load() {
+        this.weeks = {};
+        this.slotCategories = {};
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (stored) {
+                this.weeks = stored.weeks && typeof stored.weeks === 'object' ? stored.weeks : {};
+                this.slotCategories = stored.slotCategories && typeof stored.slotCategories === 'object' ? stored.slotCategories : {};
+            }
+        } catch (error) {
+            console.warn('Wochenplan konnte nicht geladen werden:', error);
+        }
+    }
+
+    /**
+     * Speichert die Pläne im LocalStorage
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            weeks: this.weeks,
+            slotCategories: this.slotCategories
+        }));
+    }
+
+    /**
+     * @param {string} weekKey - z.B. "2026-W42"
+     * @returns {Object} Kopie des Plans: "<Tag>-<Mahlzeit>" → Rezeptname
+     */
+    getPlan(weekKey) {
+        return { ...(this.weeks[weekKey] || {}) };
+    }
+
+    /**
+     * @param {string} weekKey - Woche
+     * @param {number} day - 0 = Montag … 6 = Sonntag
+     * @param {string} slot - Mahlzeit-ID (siehe SLOTS)
+     * @returns {string|null} Rezeptname
+     */
+    getSlot(weekKey, day, slot) {
+        return (this.weeks[weekKey] || {})[MealPlanner.slotKey(day, slot)] || null;
+    }
+
+    /**
+     * Legt ein Rezept in eine Mahlzeit (überschreibt)
+     * @param {string} weekKey - Woche
+     * @param {number} day - Tag
+     * @param {string} slot - Mahlzeit-ID
+     * @param {string} recipeName - Rezeptname
+     */
+    setSlot(weekKey, day, slot, recipeName) {
+        if (!this.weeks[weekKey]) this.weeks[weekKey] = {};
+        this.weeks[weekKey][MealPlanner.slotKey(day, slot)] = recipeName;
+        this.save();
+    }
+
+    /**
+     * @param {string} weekKey - Woche
+     * @param {number} day - Tag
+     * @param {string} slot - Mahlzeit-ID
+     */
+    clearSlot(weekKey, day, slot) {
+        const plan = this.weeks[weekKey];
+        if (!plan) return;
+
+        delete plan[MealPlanner.slotKey(day, slot)];
+        if (Object.keys(plan).length === 0) delete this.weeks[weekKey];
+        this.save();
+    }
+
+    /**
+     * Verschiebt ein Rezept innerhalb der Woche - ein belegtes Ziel wird getauscht
+     * @param {string} weekKey - Woche
+     * @param {{day: number, slot: string}} from - Quelle
+     * @param {{day: number, slot: string}} to - Ziel
+     */
+    moveSlot(weekKey, from, to) {
+        const plan = this.weeks[weekKey];
+        const fromKey = MealPlanner.slotKey(from.day, from.slot);
+        const toKey = MealPlanner.slotKey(to.day, to.slot);
+        if (!plan || !plan[fromKey] || fromKey === toKey) return;
+
+        const target = plan[toKey];
+        plan[toKey] = plan[fromKey];
+        if (target) {
+            plan[fromKey] = target;
+        } else {
+            delete plan[fromKey];
+        }
+        this.save();
+    }
+
+    /**
+     * Übernimmt eine Umbenennung in alle Pläne
+     * @param {string} oldName - Bisheriger Rezeptname
+     * @param {string} newName - Neuer Rezeptname
+     */
+    renameRecipe(oldName, newName) {
+        for (const plan of Object.values(this.weeks)) {
+            for (const [key, recipeName] of Object.entries(plan)) {
+                if (recipeName === oldName) plan[key] = newName;
+            }
+        }
+        this.save();
+    }
+
+    /**
+     * @param {string} weekKey - Woche
+     */
+    clearWeek(weekKey) {
+        delete this.weeks[weekKey];
+        this.save();
+    }
+
+    /**
+     * Kategorien, aus denen eine Mahlzeit befüllt wird
+     * @param {string} slot - Mahlzeit-ID
+     * @param {string[]} allCategories - Vorhandene Kategorien (generator.getAllCategories())
+     * @returns {string[]} Leer = keine Kategorie zugeordnet, die Mahlzeit wird nicht zufällig gefüllt
+     */
+    getSlotCategories(slot, allCategories) {
+        if (Array.isArray(this.slotCategories[slot])) {
+            return this.slotCategories[slot].filter(category => allCategories.includes(category));
+        }
+
+        const definition = MealPlanner.SLOTS.find(entry => entry.id === slot);
+        if (!definition) return [];
+        const matching = allCategories.filter(category =>
+            category.split(' - ')[0].toLowerCase().includes(definition.keyword)
+        );
+        if (matching.length === 0 && definition.fallback) {
+            return this.getSlotCategories(definition.fallback, allCategories);
+        }
+        return matching;
+    }
+
+    /**
+     * Legt die Kategorien einer Mahlzeit fest
+     * @param {string} slot - Mahlzeit-ID
+     * @param {string[]|null} categories - null = Standard-Zuordnung über das Stichwort
+     */
+    setSlotCategories(slot, categories) {
+        if (categories === null) {
+            delete this.slotCategories[slot];
+        } else {
+            this.slotCategories[slot] = [...categories];
+        }
+        this.save();
+    }
+
+    /**
+     * Füllt alle freien Mahlzeiten der Woche zufällig
+     * Nur Rezepte aus den Kategorien der Mahlzeit, kein Rezept doppelt in der Woche.
+     * Gibt es keinen passenden Kandidaten mehr, bleibt die Mahlzeit frei.
+     * @param {string} weekKey - Woche
+     * @param {Array} recipes - Alle Rezepte
+     * @param {string[]} allCategories - Vorhandene Kategorien
+     * @returns {number} Anzahl neu belegter Mahlzeiten
+     */
+    fillRandom(weekKey, recipes, allCategories) {
+        const plan = this.weeks[weekKey] || {};
+        const used = new Set(Object.values(plan));
+        const candidates = recipes.filter(recipe => !recipe.isPlaceholder);
+        let filled = 0;
+
+        for (let day = 0; day < MealPlanner.DAYS.length; day++) {
+            for (const slot of MealPlanner.SLOTS) {
+                const key = MealPlanner.slotKey(day, slot.id);
+                if (plan[key]) continue;
+
+                const categories = this.getSlotCategories(slot.id, allCategories);
+                const pool = candidates.filter(recipe =>
+                    !used.has(recipe.name) && RecipeTags.getCategories(recipe).some(category => categories.includes(category))
+                );
+                if (pool.length === 0) continue;
+
+                const recipe = pool[Math.floor(Math.random() * pool.length)];
+                plan[key] = recipe.name;
+                used.add(recipe.name);
+                filled++;
+            }
+        }
+
+        if (filled > 0) {
+            this.weeks[weekKey] = plan;
+            this.save();
+        }
+        return filled;
+    }
+
+    /**
+     * @param {number} day - Tag
+     * @param {string} slot - Mahlzeit-ID
+     * @returns {string} Schlüssel im Plan, z.B. "0-lunch"
+     */
+    static slotKey(day, slot) {
+        return `${day}-${slot}`;
+    }
+
+    /**
+     * ISO-Kalenderwoche eines Datums
+     * @param {Date} date - Datum
+     * @returns {string} z.B. "2026-W42"
+     */
+    static getWeekKey(date = new Date()) {
+        const thursday = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+        // Die Woche gehört zu dem Jahr, in dem ihr Donnerstag liegt
+        thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+        const firstThursday = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 4));
+        const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + ((firstThursday.getUTCDay() + 6) % 7)) / 7);
+        return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+    }
+
+    /**
+     * Montag einer Kalenderwoche
+     * @param {string} weekKey - z.B. "2026-W42"
+     * @returns {Date} Lokales Datum (0 Uhr)
+     */
+    static getWeekStart(weekKey) {
+        const [year, week] = weekKey.split('-W').map(Number);
+        // Der 4. Januar liegt immer in KW 1
+        const january4 = new Date(year, 0, 4);
+        return new Date(year, 0, 4 - ((january4.getDay() + 6) % 7) + (week - 1) * 7);
+    }
+
+    /**
+     * @param {string} weekKey - Woche
+     * @param {number} offset - Wochen vor (+) bzw. zurück (-)
+     * @returns {string} Schlüssel der Zielwoche
+     */
+    static shiftWeek(weekKey, offset) {
+        const monday = MealPlanner.getWeekStart(weekKey);
+        monday.setDate(monday.getDate() + offset * 7);
+        return MealPlanner.getWeekKey(monday);
+    }
+}
+
+// Globale Instanz erstellen
+const mealPlanner = new MealPlanner();
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MealPlanner;
+}
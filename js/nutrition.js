@@ -0,0 +1,353 @@
+/**
+ * Nutrition - Geschätzte Nährwerte aus der Zutatenliste
+ * Die Zutaten werden wie beim Vorrat über Wortstämme mit einer mitgelieferten
+ * Nährwert-Tabelle (pro 100 g) abgeglichen und die Mengen in Gramm umgerechnet.
+ * Eigene Zuordnungen ("Reibkäse" → Parmesan, "nicht berücksichtigen") gelten
+ * pro Zutatenname für alle Rezepte und liegen im LocalStorage.
+ */
+
+class Nutrition {
+    /**
+     * Nährwerte pro 100 g (gerundete Durchschnittswerte, Kohlenhydrate ohne Ballaststoffe)
+     * density: g pro ml (für ml, TL/EL, Tasse; Standard 1)
+     * units: Gramm pro Einheit ('' = Stück, z.B. ein Ei)
+     * negligible: ohne Menge ("Salz nach Geschmack") trotzdem als erfasst zählen
+     * @returns {Array<{name: string, aliases: string[], kcal: number, protein: number, fat: number, carbs: number}>}
+     */
+    static get FOODS() {
+        return [
+            // Gemüse & Kräuter
+            { name: 'Zwiebel', aliases: [], kcal: 40, protein: 1.2, fat: 0.2, carbs: 7.6, units: { '': 80 } },
+            { name: 'Schalotte', aliases: [], kcal: 72, protein: 2.5, fat: 0.1, carbs: 16.8, units: { '': 25 } },
+            { name: 'Frühlingszwiebel', aliases: ['Lauchzwiebel'], kcal: 32, protein: 1.8, fat: 0.2, carbs: 5, units: { '': 15, bund: 120 } },
+            { name: 'Knoblauch', aliases: ['Knoblauchzehe', 'Knoblauchzehen'], kcal: 149, protein: 6.4, fat: 0.5, carbs: 31, units: { '': 4, zehe: 4, knolle: 50 } },
+            { name: 'Karotte', aliases: ['Möhre', 'Rüebli'], kcal: 36, protein: 0.9, fat: 0.2, carbs: 7, units: { '': 80 } },
+            { name: 'Kartoffel', aliases: [], kcal: 77, protein: 2, fat: 0.1, carbs: 15.6, units: { '': 100 } },
+            { name: 'Süßkartoffel', aliases: [], kcal: 86, protein: 1.6, fat: 0.1, carbs: 17, units: { '': 250 } },
+            { name: 'Tomate', aliases: ['Cherrytomate', 'Tomaten gehackt', 'Pelati'], kcal: 18, protein: 0.9, fat: 0.2, carbs: 2.6, units: { '': 100 } },
+            { name: 'Tomatenmark', aliases: ['Tomatenpüree'], kcal: 82, protein: 4.3, fat: 0.5, carbs: 13, density: 1.1, units: { tube: 200 } },
+            { name: 'Passata', aliases: ['Tomatensauce', 'Tomatensoße'], kcal: 30, protein: 1.4, fat: 0.2, carbs: 5 },
+            { name: 'Paprika', aliases: ['Peperoni'], kcal: 29, protein: 1, fat: 0.3, carbs: 4.6, units: { '': 150 } },
+            { name: 'Zucchini', aliases: ['Zucchetti'], kcal: 19, protein: 1.6, fat: 0.4, carbs: 2.2, units: { '': 250 } },
+            { name: 'Aubergine', aliases: [], kcal: 24, protein: 1.2, fat: 0.2, carbs: 2.6, units: { '': 300 } },
+            { name: 'Gurke', aliases: [], kcal: 12, protein: 0.6, fat: 0.2, carbs: 1.8, units: { '': 400 } },
+            { name: 'Brokkoli', aliases: ['Broccoli'], kcal: 34, protein: 3.8, fat: 0.2, carbs: 2.7, units: { '': 400 } },
+            { name: 'Blumenkohl', aliases: [], kcal: 25, protein: 2.5, fat: 0.3, carbs: 2.3, units: { '': 600 } },
+            { name: 'Spinat', aliases: [], kcal: 23, protein: 2.9, fat: 0.4, carbs: 0.6 },
+            { name: 'Champignon', aliases: ['Pilze', 'Pilz'], kcal: 22, protein: 3.1, fat: 0.3, carbs: 0.6, units: { '': 20 } },
+            { name: 'Lauch', aliases: ['Porree'], kcal: 29, protein: 2.2, fat: 0.3, carbs: 3.3, units: { '': 200 } },
+            { name: 'Stangensellerie', aliases: ['Staudensellerie', 'Sellerie'], kcal: 16, protein: 1.2, fat: 0.2, carbs: 2.2, units: { '': 40 } },
+            { name: 'Kürbis', aliases: [], kcal: 26, protein: 1, fat: 0.1, carbs: 4.6 },
+            { name: 'Erbsen', aliases: [], kcal: 81, protein: 5.4, fat: 0.4, carbs: 12 },
+            { name: 'Mais', aliases: [], kcal: 86, protein: 3.3, fat: 1.4, carbs: 16, units: { dose: 285 } },
+            { name: 'Kohl', aliases: ['Weißkohl', 'Rotkohl', 'Kabis'], kcal: 25, protein: 1.4, fat: 0.2, carbs: 4.2, units: { '': 1000 } },
+            { name: 'Salat', aliases: ['Kopfsalat', 'Rucola', 'Blattsalat'], kcal: 15, protein: 1.3, fat: 0.2, carbs: 1.2, units: { '': 300 } },
+            { name: 'Ingwer', aliases: [], kcal: 80, protein: 1.8, fat: 0.8, carbs: 16, units: { '': 20 } },
+            { name: 'Chili', aliases: ['Chilischote'], kcal: 40, protein: 1.9, fat: 0.4, carbs: 7, units: { '': 10 } },
+            { name: 'Petersilie', aliases: ['Kräuter', 'Schnittlauch', 'Basilikum', 'Koriander', 'Dill'], kcal: 36, protein: 3, fat: 0.8, carbs: 6, negligible: true, units: { bund: 30 } },
+
+            // Obst
+            { name: 'Apfel', aliases: [], kcal: 52, protein: 0.3, fat: 0.2, carbs: 12, units: { '': 150 } },
+            { name: 'Banane', aliases: [], kcal: 89, protein: 1.1, fat: 0.3, carbs: 20, units: { '': 120 } },
+            { name: 'Zitrone', aliases: ['Limette'], kcal: 29, protein: 1.1, fat: 0.3, carbs: 3.2, units: { '': 100 } },
+            { name: 'Zitronensaft', aliases: ['Limettensaft'], kcal: 22, protein: 0.4, fat: 0.2, carbs: 6.9 },
+            { name: 'Orange', aliases: ['Orangensaft'], kcal: 47, protein: 0.9, fat: 0.1, carbs: 9.4, units: { '': 180 } },
+            { name: 'Beeren', aliases: ['Erdbeeren', 'Himbeeren', 'Heidelbeeren', 'Blaubeeren'], kcal: 40, protein: 0.9, fat: 0.4, carbs: 7 },
+            { name: 'Rosinen', aliases: [], kcal: 299, protein: 3.1, fat: 0.5, carbs: 69 },
+
+            // Getreide & Hülsenfrüchte
+            { name: 'Mehl', aliases: ['Weizenmehl', 'Dinkelmehl', 'Weißmehl'], kcal: 348, protein: 10, fat: 1, carbs: 72, density: 0.55 },
+            { name: 'Vollkornmehl', aliases: [], kcal: 320, protein: 13, fat: 2.5, carbs: 60, density: 0.55 },
+            { name: 'Speisestärke', aliases: ['Maizena', 'Maisstärke'], kcal: 350, protein: 0.3, fat: 0.1, carbs: 86, density: 0.6 },
+            { name: 'Reis', aliases: ['Risottoreis', 'Basmatireis'], kcal: 350, protein: 7, fat: 0.6, carbs: 78, density: 0.85 },
+            { name: 'Nudeln', aliases: ['Pasta', 'Spaghetti', 'Penne', 'Teigwaren', 'Hörnli', 'Spätzle'], kcal: 355, protein: 12.5, fat: 1.5, carbs: 71 },
+            { name: 'Haferflocken', aliases: [], kcal: 370, protein: 13, fat: 7, carbs: 59, density: 0.4 },
+            { name: 'Brot', aliases: ['Vollkornbrot'], kcal: 240, protein: 8.5, fat: 1.5, carbs: 45, units: { scheibe: 40 } },
+            { name: 'Toastbrot', aliases: ['Toast'], kcal: 265, protein: 8, fat: 4, carbs: 48, units: { scheibe: 25, '': 25 } },
+            { name: 'Brötchen', aliases: ['Semmel', 'Weggli'], kcal: 270, protein: 9, fat: 2, carbs: 54, units: { '': 60 } },
+            { name: 'Paniermehl', aliases: ['Semmelbrösel', 'Panko'], kcal: 355, protein: 12, fat: 2, carbs: 70, density: 0.45 },
+            { name: 'Couscous', aliases: ['Bulgur'], kcal: 356, protein: 12.8, fat: 0.6, carbs: 72, density: 0.75 },
+            { name: 'Quinoa', aliases: [], kcal: 368, protein: 14, fat: 6, carbs: 57, density: 0.8 },
+            { name: 'Linsen', aliases: [], kcal: 314, protein: 23, fat: 1.5, carbs: 48, density: 0.8 },
+            { name: 'Kichererbsen', aliases: [], kcal: 119, protein: 7, fat: 2.6, carbs: 16, units: { dose: 240 } },
+            { name: 'Bohnen', aliases: ['Kidneybohnen', 'Weiße Bohnen'], kcal: 100, protein: 7, fat: 0.5, carbs: 14, units: { dose: 250 } },
+
+            // Milchprodukte & Eier
+            { name: 'Milch', aliases: ['Vollmilch'], kcal: 64, protein: 3.3, fat: 3.5, carbs: 4.8, density: 1.03 },
+            { name: 'Sahne', aliases: ['Schlagsahne', 'Rahm', 'Vollrahm', 'Kochsahne', 'Halbrahm'], kcal: 292, protein: 2.4, fat: 30, carbs: 3.2, units: { becher: 200 } },
+            { name: 'Saure Sahne', aliases: ['Sauerrahm', 'Schmand', 'Crème fraîche', 'Creme fraiche'], kcal: 240, protein: 2.6, fat: 24, carbs: 3.4, units: { becher: 200 } },
+            { name: 'Joghurt', aliases: ['Naturjoghurt', 'Jogurt'], kcal: 61, protein: 3.5, fat: 3.3, carbs: 4.7, units: { becher: 150 } },
+            { name: 'Quark', aliases: ['Magerquark'], kcal: 67, protein: 12, fat: 0.3, carbs: 4, units: { pck: 250, becher: 250 } },
+            { name: 'Frischkäse', aliases: [], kcal: 260, protein: 5.5, fat: 24, carbs: 3.5, units: { pck: 200 } },
+            { name: 'Butter', aliases: [], kcal: 741, protein: 0.7, fat: 83, carbs: 0.6, units: { pck: 250 } },
+            { name: 'Margarine', aliases: [], kcal: 717, protein: 0.2, fat: 80, carbs: 0.7, units: { pck: 250 } },
+            { name: 'Käse', aliases: ['Reibkäse', 'Gouda', 'Emmentaler', 'Gruyère', 'Bergkäse'], kcal: 356, protein: 25, fat: 27, carbs: 0, units: { scheibe: 20 } },
+            { name: 'Parmesan', aliases: ['Sbrinz', 'Pecorino'], kcal: 431, protein: 38, fat: 29, carbs: 0 },
+            { name: 'Mozzarella', aliases: [], kcal: 254, protein: 18, fat: 19.5, carbs: 1, units: { '': 125, kugel: 125 } },
+            { name: 'Feta', aliases: ['Schafskäse'], kcal: 264, protein: 14, fat: 21, carbs: 4, units: { pck: 200 } },
+            { name: 'Ei', aliases: ['Eier'], kcal: 155, protein: 13, fat: 11, carbs: 1.1, units: { '': 55 } },
+            { name: 'Eigelb', aliases: [], kcal: 322, protein: 16, fat: 27, carbs: 3.6, units: { '': 18 } },
+            { name: 'Eiweiß', aliases: ['Eiklar'], kcal: 52, protein: 11, fat: 0.2, carbs: 0.7, units: { '': 33 } },
+
+            // Fleisch & Fisch
+            { name: 'Hackfleisch', aliases: ['Gehacktes', 'Hack'], kcal: 260, protein: 19, fat: 20, carbs: 0 },
+            { name: 'Hähnchenbrust', aliases: ['Hähnchen', 'Hühnchen', 'Pouletbrust', 'Poulet', 'Hühnerbrust'], kcal: 110, protein: 23, fat: 1.5, carbs: 0, units: { '': 150 } },
+            { name: 'Rindfleisch', aliases: ['Rind', 'Rinderhüfte', 'Gulasch'], kcal: 150, protein: 21, fat: 7, carbs: 0 },
+            { name: 'Schweinefleisch', aliases: ['Schwein', 'Schnitzel', 'Kotelett'], kcal: 160, protein: 20, fat: 9, carbs: 0, units: { '': 150 } },
+            { name: 'Speck', aliases: ['Bacon', 'Speckwürfel', 'Pancetta'], kcal: 405, protein: 13, fat: 39, carbs: 1, units: { scheibe: 10 } },
+            { name: 'Schinken', aliases: ['Kochschinken'], kcal: 125, protein: 19, fat: 4, carbs: 1.5, units: { scheibe: 20 } },
+            { name: 'Würstchen', aliases: ['Wurst', 'Wienerli', 'Bratwurst'], kcal: 290, protein: 12, fat: 26, carbs: 1, units: { '': 50 } },
+            { name: 'Lachs', aliases: ['Lachsfilet'], kcal: 208, protein: 20, fat: 13, carbs: 0, units: { '': 125 } },
+            { name: 'Fisch', aliases: ['Fischfilet', 'Kabeljau', 'Seelachs'], kcal: 85, protein: 18, fat: 1, carbs: 0, units: { '': 125 } },
+            { name: 'Thunfisch', aliases: [], kcal: 116, protein: 26, fat: 1, carbs: 0, units: { dose: 150 } },
+            { name: 'Garnelen', aliases: ['Crevetten', 'Shrimps'], kcal: 99, protein: 24, fat: 0.3, carbs: 0.2 },
+
+            // Fette, Süßes, Nüsse
+            { name: 'Öl', aliases: ['Olivenöl', 'Rapsöl', 'Sonnenblumenöl', 'Pflanzenöl', 'Speiseöl', 'Bratöl', 'Sesamöl'], kcal: 884, protein: 0, fat: 100, carbs: 0, density: 0.92 },
+            { name: 'Zucker', aliases: ['Rohrzucker', 'Brauner Zucker', 'Vanillezucker'], kcal: 400, protein: 0, fat: 0, carbs: 100, density: 0.85, units: { pck: 8 } },
+            { name: 'Puderzucker', aliases: [], kcal: 400, protein: 0, fat: 0, carbs: 100, density: 0.56 },
+            { name: 'Honig', aliases: [], kcal: 304, protein: 0.3, fat: 0, carbs: 82, density: 1.4 },
+            { name: 'Ahornsirup', aliases: ['Sirup', 'Agavendicksaft'], kcal: 260, protein: 0, fat: 0.1, carbs: 67, density: 1.32 },
+            { name: 'Schokolade', aliases: ['Zartbitterschokolade', 'Kuvertüre', 'Schokoladenstückchen'], kcal: 546, protein: 4.9, fat: 31, carbs: 56, units: { tafel: 100 } },
+            { name: 'Kakao', aliases: ['Kakaopulver', 'Backkakao'], kcal: 354, protein: 20, fat: 22, carbs: 11, density: 0.45 },
+            { name: 'Mandeln', aliases: ['Gemahlene Mandeln', 'Mandelblättchen'], kcal: 600, protein: 24, fat: 54, carbs: 5.7, density: 0.5 },
+            { name: 'Haselnüsse', aliases: ['Gemahlene Haselnüsse'], kcal: 628, protein: 15, fat: 61, carbs: 10.5, density: 0.5 },
+            { name: 'Walnüsse', aliases: ['Baumnüsse', 'Nüsse'], kcal: 654, protein: 15, fat: 65, carbs: 7, density: 0.45 },
+            { name: 'Pinienkerne', aliases: [], kcal: 673, protein: 14, fat: 68, carbs: 4, density: 0.6 },
+            { name: 'Kokosmilch', aliases: [], kcal: 197, protein: 2, fat: 21, carbs: 2.8, units: { dose: 400 } },
+
+            // Backzutaten, Saucen, Flüssiges
+            { name: 'Backpulver', aliases: ['Natron'], kcal: 50, protein: 0, fat: 0, carbs: 25, density: 0.9, units: { pck: 15 }, negligible: true },
+            { name: 'Hefe', aliases: ['Trockenhefe'], kcal: 100, protein: 12, fat: 1, carbs: 11, units: { '': 42, würfel: 42, pck: 7 }, negligible: true },
+            { name: 'Brühe', aliases: ['Gemüsebrühe', 'Hühnerbrühe', 'Bouillon', 'Fond'], kcal: 5, protein: 0.5, fat: 0.2, carbs: 0.5, units: { würfel: 10 }, negligible: true },
+            { name: 'Wein', aliases: ['Weißwein', 'Rotwein', 'Weisswein'], kcal: 82, protein: 0.1, fat: 0, carbs: 2.6 },
+            { name: 'Senf', aliases: [], kcal: 90, protein: 6, fat: 5, carbs: 5 },
+            { name: 'Ketchup', aliases: [], kcal: 110, protein: 1.5, fat: 0.2, carbs: 25, density: 1.15 },
+            { name: 'Mayonnaise', aliases: ['Mayo'], kcal: 680, protein: 1, fat: 75, carbs: 1.5, density: 0.95 },
+            { name: 'Sojasauce', aliases: ['Sojasoße', 'Soja Sauce'], kcal: 60, protein: 8, fat: 0.1, carbs: 6, density: 1.15 },
+            { name: 'Essig', aliases: ['Balsamico', 'Weinessig', 'Apfelessig'], kcal: 20, protein: 0, fat: 0, carbs: 0.6, negligible: true },
+            { name: 'Wasser', aliases: [], kcal: 0, protein: 0, fat: 0, carbs: 0, negligible: true },
+            { name: 'Salz', aliases: ['Meersalz', 'Kräutersalz'], kcal: 0, protein: 0, fat: 0, carbs: 0, density: 1.2, negligible: true },
+            { name: 'Gewürze', aliases: ['Pfeffer', 'Paprikapulver', 'Zimt', 'Muskat', 'Muskatnuss', 'Curry', 'Currypulver', 'Kreuzkümmel', 'Oregano', 'Thymian', 'Rosmarin', 'Lorbeerblatt', 'Kurkuma', 'Chilipulver'], kcal: 280, protein: 11, fat: 8, carbs: 32, density: 0.5, negligible: true }
+        ];
+    }
+
+    /**
+     * Gramm pro Einheit, wenn das Lebensmittel nichts Eigenes angibt
+     * @returns {Object} Normalisierte Einheit → Gramm
+     */
+    static get UNIT_GRAMS() {
+        return { prise: 0.5, msp: 0.5, dose: 400, bund: 30, handvoll: 30, becher: 200, glas: 200 };
+    }
+
+    /**
+     * Milliliter pro Einheit (mit der Dichte des Lebensmittels umgerechnet)
+     * @returns {Object} Normalisierte Einheit → ml
+     */
+    static get UNIT_ML() {
+        return { tl: 5, tasse: 240 };
+    }
+
+    constructor() {
+        this.storageKey = 'nutritionMatches';
+        // Normalisierter Zutatenname → Name aus FOODS oder null (nicht berücksichtigen)
+        this.matches = {};
+        this.load();
+    }
+
+    /**
+     * Lädt die eigenen Zuordnungen aus dem LocalStorage
+     */
+    load() {
+        this.matches = {};
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (stored && stored.matches && typeof stored.matches === 'object') {
+                this.matches = stored.matches;
+            }
+        } catch (error) {
+            console.warn('Nährwert-Zuordnungen konnten nicht geladen werden:', error);
+        }
+    }
+
+    /**
+     * Speichert die eigenen Zuordnungen im LocalStorage
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify({ matches: this.matches }));
+    }
+
+    /**
+     * Legt fest, welches Lebensmittel zu einer Zutat gehört (gilt für alle Rezepte)
+     * @param {string} product - Zutat wie im Rezept
+     * @param {string|null|undefined} foodName - Name aus FOODS, null = nicht berücksichtigen,
+     *        undefined = wieder automatisch zuordnen
+     */
+    setMatch(product, foodName) {
+        const key = Nutrition.getKey(product);
+        if (!key) return;
+
+        if (foodName === undefined) {
+            delete this.matches[key];
+        } else {
+            this.matches[key] = foodName;
+        }
+        this.save();
+    }
+
+    /**
+     * @param {string} product - Zutat wie im Rezept
+     * @returns {{food: Object|null, overridden: boolean}} Eigene Zuordnung vor automatischer
+     */
+    getFood(product) {
+        const key = Nutrition.getKey(product);
+        if (key in this.matches) {
+            const foodName = this.matches[key];
+            if (foodName === null) return { food: null, overridden: true };
+
+            // Aus einer älteren Tabelle entfernte Lebensmittel → wieder automatisch
+            const food = Nutrition.FOODS.find(entry => entry.name === foodName);
+            if (food) return { food, overridden: true };
+        }
+        return { food: Nutrition.findFood(product), overridden: false };
+    }
+
+    /**
+     * Schätzt die Nährwerte eines Rezepts
+     * @param {Object} recipe - Rezept
+     * @returns {{total: Object, perPortion: Object|null, items: Array, matched: number, count: number}}
+     *          total/perPortion: { kcal, protein, fat, carbs };
+     *          items: pro Zutat { ingredient, food, grams, status: 'ok'|'unknown'|'noAmount'|'ignored', overridden };
+     *          matched/count: erfasste Zutaten von allen (ohne bewusst ignorierte)
+     */
+    estimate(recipe) {
+        const total = { kcal: 0, protein: 0, fat: 0, carbs: 0 };
+        const items = [];
+
+        for (const ingredient of (recipe && recipe.ingredients) || []) {
+            if (!String(ingredient.product ?? '').trim()) continue;
+
+            const { food, overridden } = this.getFood(ingredient.product);
+            const grams = food ? Nutrition.toGrams(ingredient.amount, ingredient.unit, food) : null;
+            let status;
+            if (!food) {
+                status = overridden ? 'ignored' : 'unknown';
+            } else if (grams === null) {
+                status = food.negligible ? 'ok' : 'noAmount';
+            } else {
+                status = 'ok';
+            }
+
+            if (grams !== null) {
+                for (const nutrient of Object.keys(total)) {
+                    total[nutrient] += food[nutrient] * grams / 100;
+                }
+            }
+            items.push({ ingredient, food, grams, status, overridden });
+        }
+
+        const servings = parseFloat(recipe && recipe.servings);
+        const perPortion = servings > 0 ? Nutrition.divide(total, servings) : null;
+        const relevant = items.filter(item => item.status !== 'ignored');
+
+        return {
+            total,
+            perPortion,
+            items,
+            matched: relevant.filter(item => item.status === 'ok').length,
+            count: relevant.length
+        };
+    }
+
+    /**
+     * Automatische Zuordnung über Wortstämme (wie beim Vorrat)
+     * Bei mehreren Treffern gewinnt der genaueste: ganze Wörter vor Wortenden,
+     * längere Namen vor kürzeren ("Kokosmilch" vor "Milch").
+     * @param {string} product - Zutat wie im Rezept
+     * @returns {Object|null} Eintrag aus FOODS
+     */
+    static findFood(product) {
+        const words = Pantry.normalizeIngredient(product);
+        if (words.length === 0) return null;
+
+        let best = null;
+        let bestScore = 0;
+        for (const food of Nutrition.FOODS) {
+            for (const name of [food.name, ...food.aliases]) {
+                const key = Pantry.normalizeIngredient(name);
+                if (!Pantry.matches(key, words)) continue;
+
+                const score = key.reduce((sum, part) => sum + part.length * (words.includes(part) ? 2 : 1), 0);
+                if (score > bestScore) {
+                    best = food;
+                    bestScore = score;
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Rechnet eine Zutatenmenge in Gramm um
+     * Bereiche ("1-2") zählen mit dem Mittelwert.
+     * @param {*} amount - Menge aus dem Rezept
+     * @param {string} unit - Einheit aus dem Rezept
+     * @param {Object} food - Eintrag aus FOODS
+     * @returns {number|null} null wenn die Menge fehlt oder die Einheit unbekannt ist
+     */
+    static toGrams(amount, unit, food) {
+        const parsed = Quantity.parse(amount);
+        if (!parsed) return null;
+
+        const value = (parsed.min + parsed.max) / 2;
+        const unitKey = Quantity.normalizeUnit(unit);
+        const definition = Quantity.UNITS[unitKey];
+        const density = food.density || 1;
+        const units = food.units || {};
+
+        if (definition && definition.base === 'g') return value * definition.factor;
+        if (definition && definition.base === 'ml') return value * definition.factor * density;
+        if (definition && definition.base === 'tl') return value * definition.factor * Nutrition.UNIT_ML.tl * density;
+        if (unitKey in units) return value * units[unitKey];
+        if (unitKey in Nutrition.UNIT_ML) return value * Nutrition.UNIT_ML[unitKey] * density;
+        if (unitKey in Nutrition.UNIT_GRAMS) return value * Nutrition.UNIT_GRAMS[unitKey];
+        return null;
+    }
+
+    /**
+     * @param {Object} values - { kcal, protein, fat, carbs }
+     * @param {number} divisor - Teiler
+     * @returns {Object}
+     */
+    static divide(values, divisor) {
+        const result = {};
+        for (const [nutrient, value] of Object.entries(values)) result[nutrient] = value / divisor;
+        return result;
+    }
+
+    /**
+     * @param {string} product - Zutat
+     * @returns {string} Schlüssel für eigene Zuordnungen ("Zwiebeln, rot" → "zwiebel")
+     */
+    static getKey(product) {
+        return Pantry.normalizeIngredient(product).join(' ');
+    }
+
+    /**
+     * @param {number} value - Nährwert
+     * @param {string} nutrient - 'kcal', 'protein', 'fat' oder 'carbs'
+     * @returns {string} "540 kcal" bzw. "12,5 g"
+     */
+    static format(value, nutrient) {
+        if (nutrient === 'kcal') return `${Math.round(value).toLocaleString('de-DE')} kcal`;
+        return `${value.toLocaleString('de-DE', { maximumFractionDigits: value < 10 ? 1 : 0 })} g`;
+    }
+}
+
+// Globale Instanz erstellen
+const nutrition = new Nutrition();
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Nutrition;
+}
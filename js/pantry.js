@@ -0,0 +1,175 @@
+/**
+ * Pantry - Vorrat ("Was habe ich zu Hause?") und Rezept-Abgleich
+ * Rangiert Rezepte danach, wie viele ihrer Zutaten im Vorrat sind,
+ * und listet pro Rezept, was noch fehlt.
+ */
+
+class Pantry {
+    /**
+     * Grundzutaten, die (optional) als immer vorhanden gelten
+     * @returns {string[]}
+     */
+    static get STAPLES() {
+        return ['Salz', 'Pfeffer', 'Wasser', 'Öl', 'Olivenöl', 'Zucker', 'Mehl', 'Essig'];
+    }
+
+    constructor() {
+        this.storageKey = 'pantry';
+        this.items = [];
+        this.ignoreStaples = true;
+        this.load();
+    }
+
+    /**
+     * Lädt den Vorrat aus dem LocalStorage
+     */
+    load() {
+        this.items = [];
+        this.ignoreStaples = true;
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (stored) {
+                this.items = Array.isArray(stored.items) ? stored.items : [];
+                this.ignoreStaples = stored.ignoreStaples !== false;
+            }
+        } catch (error) {
+            console.warn('Vorrat konnte nicht geladen werden:', error);
+        }
+    }
+
+    /**
+     * Speichert den Vorrat im LocalStorage
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            items: this.items,
+            ignoreStaples: this.ignoreStaples
+        }));
+    }
+
+    /**
+     * Fügt Zutaten hinzu (mehrere per Komma getrennt möglich)
+     * @param {string} text - z.B. "Zwiebeln, Reis"
+     * @returns {string[]} Tatsächlich neu hinzugefügte Einträge
+     */
+    add(text) {
+        const added = [];
+        for (const item of String(text).split(/[,;\n]/).map(part => part.trim()).filter(Boolean)) {
+            const key = Pantry.normalizeIngredient(item).join(' ');
+            if (!key || this.items.some(existing => Pantry.normalizeIngredient(existing).join(' ') === key)) continue;
+            this.items.push(item);
+            added.push(item);
+        }
+        this.save();
+        return added;
+    }
+
+    /**
+     * @param {string} item - Eintrag wie in getItems()
+     */
+    remove(item) {
+        this.items = this.items.filter(existing => existing !== item);
+        this.save();
+    }
+
+    clear() {
+        this.items = [];
+        this.save();
+    }
+
+    /**
+     * @param {boolean} value - Grundzutaten als vorhanden werten
+     */
+    setIgnoreStaples(value) {
+        this.ignoreStaples = Boolean(value);
+        this.save();
+    }
+
+    /**
+     * @returns {string[]} Vorrat in Eingabe-Reihenfolge
+     */
+    getItems() {
+        return [...this.items];
+    }
+
+    /**
+     * Rangiert Rezepte nach Abdeckung durch den Vorrat
+     * Platzhalter und Rezepte ohne Zutaten werden ausgelassen, ebenso Rezepte ohne Treffer.
+     * @param {Array} recipes - Rezepte
+     * @returns {Array<{recipe: Object, covered: Array, missing: Array, coverage: number}>}
+     *          Beste Abdeckung zuerst, bei Gleichstand weniger Fehlendes zuerst
+     */
+    rankRecipes(recipes) {
+        const pantryKeys = this.items.map(item => Pantry.normalizeIngredient(item)).filter(key => key.length > 0);
+        const stapleKeys = this.ignoreStaples ? Pantry.STAPLES.map(item => Pantry.normalizeIngredient(item)) : [];
+        if (pantryKeys.length === 0) return [];
+
+        const results = [];
+        for (const recipe of recipes) {
+            if (recipe.isPlaceholder || !recipe.ingredients || recipe.ingredients.length === 0) continue;
+
+            const covered = [];
+            const missing = [];
+            let stapleCount = 0;
+
+            for (const ingredient of recipe.ingredients) {
+                const words = Pantry.normalizeIngredient(ingredient.product);
+                if (pantryKeys.some(key => Pantry.matches(key, words))) {
+                    covered.push(ingredient);
+                } else if (stapleKeys.some(key => Pantry.matches(key, words))) {
+                    stapleCount++;
+                } else {
+                    missing.push(ingredient);
+                }
+            }
+
+            if (covered.length === 0) continue;
+
+            // Grundzutaten zählen weder als Treffer noch als fehlend
+            const relevant = recipe.ingredients.length - stapleCount;
+            results.push({ recipe, covered, missing, coverage: relevant > 0 ? covered.length / relevant : 1 });
+        }
+
+        return results.sort((a, b) =>
+            b.coverage - a.coverage ||
+            a.missing.length - b.missing.length ||
+            a.recipe.name.localeCompare(b.recipe.name, 'de')
+        );
+    }
+
+    /**
+     * Normalisiert einen Zutatennamen zu Wortstämmen
+     * "Zwiebel, rot" → ['zwiebel'], "Rote Zwiebeln (gewürfelt)" → ['rot', 'zwiebel']
+     * @param {string} product - Zutat
+     * @returns {string[]} Wortstämme (ohne Umlaut-Umschreibung, siehe SearchIndex.fold)
+     */
+    static normalizeIngredient(product) {
+        // Zusätze nach Komma bzw. in Klammern beschreiben nur die Zutat
+        const main = String(product ?? '').split(',')[0].replace(/\(.*?\)/g, ' ');
+        return SearchIndex.tokenize(main).map(token => SearchIndex.fold(SearchIndex.stem(token)));
+    }
+
+    /**
+     * Passt ein Vorrats-Eintrag zu einer Zutat?
+     * Alle Wörter des Eintrags müssen vorkommen, auch als Ende eines
+     * zusammengesetzten Worts ("Käse" passt zu "Reibkäse", "Sahne" zu "Schlagsahne").
+     * @param {string[]} pantryKey - Normalisierter Vorrats-Eintrag
+     * @param {string[]} words - Normalisierte Zutat
+     * @returns {boolean}
+     */
+    static matches(pantryKey, words) {
+        if (pantryKey.length === 0 || words.length === 0) return false;
+
+        return pantryKey.every(key =>
+            words.some(word => word === key || (key.length >= 3 && word.endsWith(key)))
+        );
+    }
+}
+
+// Globale Instanz erstellen
+const pantry = new Pantry();
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Pantry;
+}
@@ -0,0 +1,227 @@
+/**
+ * Quantity - Mengenangaben lesen, skalieren und küchentauglich formatieren
+ * Versteht "2,5", "1/2", "1 1/2", "½", "1½", "1-2" und "ca. 200";
+ * rundet pro Einheit (ganze Eier, ¼ TL) und wechselt bei Bedarf zwischen g/kg, ml/l, TL/EL.
+ */
+
+class Quantity {
+    /**
+     * Umrechenbare Einheiten
+     * base: Basiseinheit, factor: Menge der Basiseinheit pro Einheit, label: Anzeige
+     * @returns {Object} Normalisierte Einheit → { base, factor, label }
+     */
+    static get UNITS() {
+        return {
+            mg: { base: 'g', factor: 0.001, label: 'mg' },
+            g: { base: 'g', factor: 1, label: 'g' },
+            kg: { base: 'g', factor: 1000, label: 'kg' },
+            ml: { base: 'ml', factor: 1, label: 'ml' },
+            cl: { base: 'ml', factor: 10, label: 'cl' },
+            dl: { base: 'ml', factor: 100, label: 'dl' },
+            l: { base: 'ml', factor: 1000, label: 'l' },
+            tl: { base: 'tl', factor: 1, label: 'TL' },
+            el: { base: 'tl', factor: 3, label: 'EL' }
+        };
+    }
+
+    /**
+     * Schreibweisen von Einheiten → normalisierte Einheit
+     * @returns {Object}
+     */
+    static get UNIT_ALIASES() {
+        return {
+            gramm: 'g', gr: 'g', kilo: 'kg', kilogramm: 'kg', milligramm: 'mg',
+            liter: 'l', milliliter: 'ml', zentiliter: 'cl', deziliter: 'dl',
+            teelöffel: 'tl', tsp: 'tl', esslöffel: 'el', tbsp: 'el',
+            // Stückzahlen ohne Einheit ("2 Zwiebeln") und mit "Stück" sind dasselbe
+            stück: '', stk: '', st: '', prisen: 'prise', zehen: 'zehe', dosen: 'dose',
+            päckchen: 'pck', packung: 'pck', scheiben: 'scheibe', tassen: 'tasse'
+        };
+    }
+
+    /**
+     * Einheiten, die nur ganz sinnvoll sind (kein "0,3 Ei", keine "1,5 Dosen")
+     * @returns {string[]}
+     */
+    static get WHOLE_UNITS() {
+        return ['', 'zehe', 'scheibe', 'dose', 'pck', 'prise', 'msp'];
+    }
+
+    /**
+     * Unicode-Brüche und ihr Wert
+     * @returns {Object}
+     */
+    static get FRACTIONS() {
+        return { '½': 1 / 2, '¼': 1 / 4, '¾': 3 / 4, '⅓': 1 / 3, '⅔': 2 / 3, '⅛': 1 / 8 };
+    }
+
+    /**
+     * Liest eine Mengenangabe
+     * @param {*} amount - Menge aus dem Rezept (Zahl oder Text)
+     * @returns {{min: number, max: number}|null} Bei Einzelwerten min === max; null wenn keine Menge ("etwas")
+     */
+    static parse(amount) {
+        if (typeof amount === 'number') {
+            return Number.isFinite(amount) ? { min: amount, max: amount } : null;
+        }
+
+        const text = String(amount ?? '')
+            .trim()
+            .replace(/^(?:ca\.?|circa|etwa|~)\s*/i, '');
+        if (!text) return null;
+
+        const parts = text.split(/\s*(?:-|–|bis)\s*/);
+        if (parts.length > 2) return null;
+
+        const values = parts.map(part => Quantity.parseNumber(part));
+        if (values.some(value => value === null)) return null;
+
+        const [min, max = min] = values;
+        return min <= max ? { min, max } : { min: max, max: min };
+    }
+
+    /**
+     * Einzelne Zahl: "2", "2,5", "1/2", "1 1/2", "½", "1½"
+     * @param {string} text - Zahl als Text
+     * @returns {number|null}
+     */
+    static parseNumber(text) {
+        const match = String(text).trim().match(/^(\d+(?:[.,]\d+)?)?\s*(?:(\d+)\/(\d+)|([½¼¾⅓⅔⅛]))?$/);
+        if (!match || (!match[1] && !match[2] && !match[4])) return null;
+
+        let value = match[1] ? Number(match[1].replace(',', '.')) : 0;
+        if (match[2]) {
+            if (Number(match[3]) === 0) return null;
+            value += Number(match[2]) / Number(match[3]);
+        }
+        if (match[4]) value += Quantity.FRACTIONS[match[4]];
+
+        return value;
+    }
+
+    /**
+     * @param {string} unit - Einheit aus dem Rezept ("Gramm", "EL.", "Stück")
+     * @returns {string} Normalisierte Einheit (Kleinschreibung, ohne Punkt)
+     */
+    static normalizeUnit(unit) {
+        const normalized = String(unit ?? '').trim().toLowerCase().replace(/\.$/, '');
+        return Quantity.UNIT_ALIASES[normalized] ?? normalized;
+    }
+
+    /**
+     * Skaliert eine Zutat
+     * Bei Faktor 1 oder nicht lesbarer Menge bleibt alles wie im Rezept.
+     * @param {*} amount - Menge aus dem Rezept
+     * @param {string} unit - Einheit aus dem Rezept
+     * @param {number} factor - Skalierungsfaktor (Portionen neu / Portionen alt)
+     * @returns {{amount: string, unit: string, scaled: boolean}}
+     */
+    static scale(amount, unit, factor) {
+        const parsed = Quantity.parse(amount);
+        if (!parsed || factor === 1) {
+            return { amount: String(amount ?? ''), unit: String(unit ?? ''), scaled: false };
+        }
+
+        const unitKey = Quantity.normalizeUnit(unit);
+        const max = Quantity.convert(parsed.max * factor, unitKey);
+        const min = Quantity.convert(parsed.min * factor, unitKey, max.unit);
+
+        const maxText = Quantity.formatNumber(max.value, max.unit);
+        const minText = Quantity.formatNumber(min.value, min.unit);
+
+        return {
+            amount: minText === maxText ? maxText : `${minText}–${maxText}`,
+            // Unveränderte Einheit in der Schreibweise des Rezepts lassen
+            unit: max.unit === unitKey ? String(unit ?? '') : Quantity.UNITS[max.unit].label,
+            scaled: true
+        };
+    }
+
+    /**
+     * Wählt die passende Einheit für eine Menge (1200 g → 1,2 kg, 6 TL → 2 EL)
+     * @param {number} value - Menge in der Einheit unitKey
+     * @param {string} unitKey - Normalisierte Einheit
+     * @param {string} target - Optional: Zieleinheit erzwingen (für Bereiche)
+     * @returns {{value: number, unit: string}}
+     */
+    static convert(value, unitKey, target = null) {
+        const definition = Quantity.UNITS[unitKey];
+        if (!definition) return { value, unit: unitKey };
+
+        const base = value * definition.factor;
+        if (target) return { value: base / Quantity.UNITS[target].factor, unit: target };
+
+        switch (definition.base) {
+            case 'g':
+                if (base >= 1000) return { value: base / 1000, unit: 'kg' };
+                return unitKey === 'mg' && base < 1 ? { value: base * 1000, unit: 'mg' } : { value: base, unit: 'g' };
+            case 'ml':
+                if (base >= 1000) return { value: base / 1000, unit: 'l' };
+                // cl/dl bleiben, solange es glatte Werte sind
+                return Number.isInteger(value) ? { value, unit: unitKey } : { value: base, unit: 'ml' };
+            case 'tl': {
+                // EL nur bei ganzen oder halben EL - sonst lieber "4 TL" als "1⅓ EL"
+                const halfSpoons = base / 1.5;
+                return base >= 3 && Math.abs(halfSpoons - Math.round(halfSpoons)) < 0.01
+                    ? { value: base / 3, unit: 'el' }
+                    : { value: base, unit: 'tl' };
+            }
+            default:
+                return { value, unit: unitKey };
+        }
+    }
+
+    /**
+     * Küchentaugliche Rundung je Einheit
+     * @param {number} value - Menge
+     * @param {string} unitKey - Normalisierte Einheit
+     * @returns {{step: number, fractions: boolean}} Rundungsschritt, Anzeige als Bruch (¼, ½, ¾)
+     */
+    static getRounding(value, unitKey) {
+        if (Quantity.WHOLE_UNITS.includes(unitKey)) return { step: 1, fractions: false };
+
+        switch (unitKey) {
+            case 'g':
+            case 'ml':
+                if (value < 5) return { step: 0.5, fractions: false };
+                if (value < 20) return { step: 1, fractions: false };
+                if (value < 100) return { step: 5, fractions: false };
+                return { step: 10, fractions: false };
+            case 'kg':
+            case 'l':
+                return { step: 0.05, fractions: false };
+            case 'mg':
+            case 'cl':
+            case 'dl':
+                return { step: 1, fractions: false };
+            default:
+                // Löffel, Tassen, Bund und unbekannte Einheiten
+                return { step: 0.25, fractions: true };
+        }
+    }
+
+    /**
+     * Rundet und formatiert eine Menge ("1,25", "1½", "3")
+     * @param {number} value - Menge
+     * @param {string} unitKey - Normalisierte Einheit
+     * @returns {string}
+     */
+    static formatNumber(value, unitKey) {
+        const { step, fractions } = Quantity.getRounding(value, unitKey);
+        // Nie auf 0 runden - "0 Eier" hilft beim Kochen nicht
+        const rounded = Math.max(step, Math.round(value / step) * step);
+
+        if (fractions) {
+            const whole = Math.floor(rounded);
+            const fraction = { 0.25: '¼', 0.5: '½', 0.75: '¾' }[Number((rounded - whole).toFixed(2))] || '';
+            return whole === 0 && fraction ? fraction : `${whole}${fraction}`;
+        }
+
+        return Number(rounded.toFixed(2)).toLocaleString('de-DE');
+    }
+}
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Quantity;
+}
@@ -0,0 +1,99 @@
+/**
+ * RecipeCosts - Warenkosten pro Rezept und pro Portion
+ * Preise stammen aus der Preis-Spalte der Zutaten bzw. der Zeile "Total Warenkosten".
+ * Beträge ohne Währung - die Vorlage legt keine fest.
+ */
+
+class RecipeCosts {
+    /**
+     * Liest einen Betrag aus einer Zelle
+     * Versteht Zahlen und Texte wie "3.50", "3,50 €", "CHF 12.-", "Fr. 2.80"
+     * @param {*} value - Zellwert
+     * @returns {number|null} Betrag oder null wenn leer/kein Betrag
+     */
+    static parsePrice(value) {
+        if (typeof value === 'number') return Number.isFinite(value) && value >= 0 ? value : null;
+
+        const text = String(value ?? '')
+            .replace(/[^\d.,'-]/g, '')
+            .replace(/'/g, '')        // Tausender-Apostroph (1'200.00)
+            .replace(/[.,]-+$/, '')   // "12.-"
+            .replace(/-/g, '')
+            .replace(',', '.');
+        if (!text || isNaN(Number(text))) return null;
+        return Number(text);
+    }
+
+    /**
+     * Gesamtkosten eines Rezepts
+     * "Total Warenkosten" gewinnt, sonst Summe der Zutatenpreise
+     * @param {Object} recipe - Rezept
+     * @returns {number|null} null wenn keine Preise bekannt
+     */
+    static getTotal(recipe) {
+        if (!recipe) return null;
+        if (typeof recipe.totalCost === 'number') return recipe.totalCost;
+
+        const prices = (recipe.ingredients || [])
+            .map(ingredient => ingredient.price)
+            .filter(price => typeof price === 'number');
+        return prices.length > 0 ? prices.reduce((sum, price) => sum + price, 0) : null;
+    }
+
+    /**
+     * @param {Object} recipe - Rezept
+     * @returns {number|null} Kosten pro Portion (null ohne Kosten oder Portionenzahl)
+     */
+    static getCostPerPortion(recipe) {
+        const total = RecipeCosts.getTotal(recipe);
+        const servings = parseFloat(recipe && recipe.servings);
+        return total !== null && servings > 0 ? total / servings : null;
+    }
+
+    /**
+     * Kostenübersicht für eine Auswahl von Rezepten
+     * @param {Array<{recipeName: string, portions: number|null}>} selections - Auswahl (z.B. Einkaufsliste)
+     * @param {Array} recipes - Alle Rezepte
+     * @returns {{total: number, items: Array<{recipeName: string, portions: number|null, cost: number}>, missing: string[]}}
+     *          missing: Rezepte ohne Kostenangabe (nicht in total enthalten)
+     */
+    static summarize(selections, recipes) {
+        const byName = new Map(recipes.map(recipe => [recipe.name, recipe]));
+        const items = [];
+        const missing = [];
+
+        for (const { recipeName, portions } of selections) {
+            const recipe = byName.get(recipeName);
+            const perPortion = RecipeCosts.getCostPerPortion(recipe);
+            const total = RecipeCosts.getTotal(recipe);
+
+            if (portions !== null && perPortion !== null) {
+                items.push({ recipeName, portions, cost: perPortion * portions });
+            } else if (total !== null) {
+                // Ohne Portionen: Rezept wie angegeben
+                items.push({ recipeName, portions, cost: total });
+            } else {
+                missing.push(recipeName);
+            }
+        }
+
+        return {
+            total: items.reduce((sum, item) => sum + item.cost, 0),
+            items,
+            missing
+        };
+    }
+
+    /**
+     * @param {number} amount - Betrag
+     * @returns {string} z.B. "2,40"
+     */
+    static format(amount) {
+        return amount.toLocaleString('de-DE', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+}
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipeCosts;
+}
@@ -6,380 +6,818 @@
 class RecipeGenerator {
     constructor() {
         this.recipes = [];
-        this.workbook = null;
+        this.pendingImport = null;
         this.imageStore = typeof imageStore !== 'undefined' ? imageStore : null;
+        this.recipeStore = typeof recipeStore !== 'undefined' ? recipeStore : null;
         this.hasImages = false;
+        this.validationReport = null;
+        this.searchIndex = null;
+        this.indexedRecipes = null;
     }
 
     /**
      * Lädt eine Excel-Datei und extrahiert alle Rezepte + Bilder + Kategorien
+     * Gelesen wird im Web Worker (siehe WorkbookSession). Die Bilder werden erst ganz am Ende
+     * in einer Transaktion gespeichert, this.recipes danach gesetzt - wird vorher abgebrochen,
+     * bleiben Rezepte und Bilder unverändert.
      * @param {File|Blob} file - Die Excel-Datei
-     * @param {Function} progressCallback - Optional: Fortschritts-Callback
+     * @param {Object} options - { onProgress: Fortschritts-Callback (siehe WorkbookSession.createProgress()),
+     *                           signal: AbortSignal zum Abbrechen }
      * @returns {Promise<Array>} Array mit allen Rezepten
+     * @throws {DOMException} AbortError nach signal.abort()
      */
-    async loadExcelFile(file, progressCallback = null) {
+    async loadExcelFile(file, { onProgress = null, signal = null } = {}) {
+        let session = this.takePendingSession(file);
         try {
-            // Phase 1: Lade Excel-Daten mit SheetJS
-            if (progressCallback) progressCallback({ phase: 'data', progress: 0, message: 'Lade Excel-Daten...' });
-            
-            const arrayBuffer = await file.arrayBuffer();
-            const data = new Uint8Array(arrayBuffer);
-            this.workbook = XLSX.read(data, { type: 'array' });
-            
-            this.recipes = [];
-            
-            // Extrahiere Kategorien aus Inhaltsverzeichnis
-            const { categoryMap, allRecipeNames } = this.extractCategories();
-            
-            // Set für vorhandene Sheets
-            const existingSheets = new Set();
-            
-            // Extrahiere Rezept-Details für vorhandene Sheets
-            this.workbook.SheetNames.forEach((sheetName, index) => {
-                if (sheetName !== 'Inhaltsverzeichnis' && sheetName !== 'Vorlage') {
-                    existingSheets.add(sheetName);
-                    const recipeDetails = this.extractRecipeDetails(sheetName);
-                    this.recipes.push({
-                        id: index,
-                        name: sheetName,
-                        sheetName: sheetName,
-                        hasImage: false, // Wird später aktualisiert
-                        category: categoryMap[sheetName] || 'Ohne Kategorie',
-                        isPlaceholder: false,
-                        ...recipeDetails
-                    });
-                }
-            });
-
-            // Erstelle Placeholder-Rezepte für Rezepte die nur im Inhaltsverzeichnis stehen
-            let placeholderId = this.recipes.length;
-            for (const recipeName of allRecipeNames) {
-                if (!existingSheets.has(recipeName)) {
-                    // Rezept steht im Inhaltsverzeichnis, hat aber kein Sheet
-                    this.recipes.push({
-                        id: placeholderId++,
-                        name: recipeName,
-                        sheetName: null,
-                        hasImage: false,
-                        category: categoryMap[recipeName] || 'Ohne Kategorie',
-                        isPlaceholder: true,
-                        servings: null,
-                        ingredients: [],
-                        instructions: [{
-                            step: 1,
-                            text: 'Dieses Rezept ist noch nicht verfügbar. Es steht im Inhaltsverzeichnis, hat aber noch kein detailliertes Sheet.'
-                        }],
-                        createdDate: null,
-                        modifiedDate: null
-                    });
-                    console.log(`Placeholder erstellt für: ${recipeName}`);
-                }
-            }
+            if (!session) session = await WorkbookSession.open(file, { signal, onProgress });
+            const { recipes: workbookRecipes, validationReport } = await session.parseRecipes({ signal, onProgress });
+
+            // Rezepte aus anderen Quellen (JSON, CSV, Webseiten) bleiben erhalten
+            const previousByName = new Map(this.recipes.map(recipe => [recipe.name, recipe]));
+            const recipes = this.mergeExternalRecipes(this.finishWorkbookRecipes(workbookRecipes))
+                .map(recipe => this.keepLocalImages(recipe, previousByName.get(recipe.name)));
 
-            // Alphabetisch sortieren
-            this.recipes.sort((a, b) => a.name.localeCompare(b.name, 'de'));
-            
-            if (progressCallback) progressCallback({ phase: 'data', progress: 50, message: 'Rezept-Daten geladen' });
-            
-            // Phase 2: Extrahiere Bilder
-            if (typeof JSZip !== 'undefined' && this.imageStore) {
+            let hasImages = false;
+            if (this.imageStore) {
+                let images = new Map();
                 try {
-                    if (progressCallback) progressCallback({ phase: 'images', progress: 0, message: 'Extrahiere Bilder...' });
-                    
-                    await this.extractAndSaveImages(file, progressCallback);
-                    this.hasImages = true;
-                    
-                    if (progressCallback) progressCallback({ phase: 'complete', progress: 100, message: 'Fertig!' });
+                    images = await this.readWorkbookImages(session, recipes, { signal, onProgress });
+                    hasImages = true;
                 } catch (error) {
+                    if (error.name === 'AbortError') throw error;
                     console.warn('Bilder konnten nicht extrahiert werden:', error);
-                    this.hasImages = false;
                 }
-            } else {
-                console.warn('JSZip oder ImageStore nicht verfügbar - keine Bild-Extraktion');
+
+                await this.imageStore.replaceImages(images, [], { signal, onProgress: this.createImageProgress(onProgress) });
+                this.markImages(recipes, images);
             }
-            
+
+            this.recipes = recipes;
+            this.validationReport = validationReport;
+            this.hasImages = hasImages;
+
+            if (onProgress) onProgress(WorkbookSession.createProgress('complete', 1, 1, 'Fertig!'));
             return this.recipes;
         } catch (error) {
+            if (error.name === 'AbortError') throw error;
             throw new Error(`Fehler beim Laden der Datei: ${error.message}`);
+        } finally {
+            if (session) session.close();
+        }
+    }
+
+    /**
+     * Wendet lokale Änderungen auf frisch gelesene Workbook-Rezepte an
+     * @param {Array} recipes - Ergebnis von WorkbookParser.parseRecipes() (bleibt unverändert)
+     * @returns {Array} Alphabetisch sortierte Rezepte inkl. Placeholder
+     */
+    finishWorkbookRecipes(recipes) {
+        // In der App bearbeitete Rezepte: lokale Änderungen wieder anwenden
+        const edited = this.applyOverrides(recipes.map(recipe => ({ ...recipe })));
+
+        // Inhalts-Hash für spätere inkrementelle Imports
+        edited.forEach(recipe => {
+            recipe.contentHash = this.hashRecipeContent(recipe);
+        });
+
+        // Alphabetisch sortieren
+        return edited.sort((a, b) => a.name.localeCompare(b.name, 'de'));
+    }
+
+    /**
+     * Lädt eine Datei von einer URL
+     * @param {string} url - URL zur Datei
+     * @returns {Promise<Blob>} Dateiinhalt
+     */
+    async fetchFile(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
         }
+        return await response.blob();
     }
 
     /**
      * Lädt eine Excel-Datei von einer URL
      * @param {string} url - URL zur Excel-Datei
-     * @param {Function} progressCallback - Optional: Fortschritts-Callback
+     * @param {Object} options - Wie bei loadExcelFile()
      * @returns {Promise<Array>} Array mit allen Rezepten
      */
-    async loadFromURL(url, progressCallback = null) {
+    async loadFromURL(url, options = {}) {
         try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const blob = await response.blob();
-            return await this.loadExcelFile(blob, progressCallback);
+            const blob = await this.fetchFile(url);
+            return await this.loadExcelFile(blob, options);
         } catch (error) {
             throw new Error(`Fehler beim Laden von URL: ${error.message}`);
         }
     }
 
     /**
-     * Extrahiert Bilder aus Excel und speichert sie in IndexedDB
+     * Vergleicht ein neues Workbook mit den gespeicherten Rezepten (ohne zu speichern)
+     * Das Ergebnis wird für applyImport() vorgemerkt; der Worker hält die Datei bis dahin
+     * (oder bis discardPendingImport()) offen, damit sie nicht erneut gelesen wird.
      * @param {File|Blob} file - Die Excel-Datei
-     * @param {Function} progressCallback - Optional: Fortschritts-Callback
-     * @returns {Promise<void>}
+     * @param {Object} options - { onProgress, signal } wie bei loadExcelFile()
+     * @returns {Promise<{added: Array, changed: Array<{recipe: Object, previous: Object, reasons: string[]}>, removed: Array, unchanged: Array}>}
+     * @throws {DOMException} AbortError nach signal.abort()
      */
-    async extractAndSaveImages(file, progressCallback = null) {
-        if (!this.imageStore) {
-            throw new Error('ImageStore nicht initialisiert');
+    async previewImport(file, { onProgress = null, signal = null } = {}) {
+        this.discardPendingImport();
+
+        let session = null;
+        let parsed;
+        try {
+            session = await WorkbookSession.open(file, { signal, onProgress });
+            parsed = await session.parseRecipes({ signal, onProgress });
+        } catch (error) {
+            if (session) session.close();
+            if (error.name === 'AbortError') throw error;
+            throw new Error(`Fehler beim Laden der Datei: ${error.message}`);
         }
 
-        // Initialisiere ImageStore
-        await this.imageStore.init();
+        const newRecipes = this.finishWorkbookRecipes(parsed.recipes);
+        this.validationReport = parsed.validationReport;
+        const storedByName = new Map(this.recipes.map(recipe => [recipe.name, recipe]));
+        const diff = { added: [], changed: [], removed: [], unchanged: [], external: [] };
 
-        // Lade Excel als ZIP
-        const arrayBuffer = await file.arrayBuffer();
-        const zip = await JSZip.loadAsync(arrayBuffer);
+        for (const recipe of newRecipes) {
+            const previous = storedByName.get(recipe.name);
+            if (!previous) {
+                diff.added.push(recipe);
+                continue;
+            }
+            storedByName.delete(recipe.name);
 
-        // Erstelle Sheet → Image Mapping (jetzt mit Transformationen!)
-        if (progressCallback) progressCallback({ phase: 'images', progress: 10, message: 'Analysiere Bilder...' });
-        
-        const mapping = await XMLParser.createSheetImageMapping(zip);
-        const totalSheets = Object.keys(mapping).length;
-        
-        let totalImages = 0;
-        Object.values(mapping).forEach(imageDataArray => {
-            totalImages += imageDataArray.length;
-        });
-        
-        console.log(`Gefunden: ${totalImages} Bilder für ${totalSheets} Rezepte`);
+            const reasons = [];
+            const previousHash = previous.contentHash || this.hashRecipeContent(previous);
+            if (previousHash !== recipe.contentHash) {
+                reasons.push('Inhalt');
+            }
+            if (previous.restoreImages) {
+                reasons.push('Bilder');
+            }
+            if (String(previous.modifiedDate ?? '') !== String(recipe.modifiedDate ?? '')) {
+                reasons.push('Geändert am');
+            }
 
-        // Extrahiere und speichere Bilder mit Transformationen
-        let processedSheets = 0;
-        let processedImages = 0;
-        
-        for (const [recipeName, imageData] of Object.entries(mapping)) {
-            try {
-                const imageBlobs = [];
-                const transforms = [];
-                
-                // Lade alle Bilder für dieses Rezept
-                for (const imgData of imageData) {
-                    const imageFile = zip.file(imgData.path);
-                    if (!imageFile) {
-                        console.warn(`Bild nicht gefunden: ${imgData.path}`);
-                        continue;
-                    }
+            if (reasons.length > 0) {
+                diff.changed.push({ recipe, previous, reasons });
+            } else {
+                diff.unchanged.push(previous);
+            }
+        }
 
-                    // Konvertiere zu Blob
-                    const imageArrayBuffer = await imageFile.async('arraybuffer');
-                    const extension = XMLParser.getFileExtension(imgData.path);
-                    const mimeType = XMLParser.getMimeType(extension);
-                    const imageBlob = new Blob([imageArrayBuffer], { type: mimeType });
-                    
-                    imageBlobs.push(imageBlob);
-                    transforms.push(imgData.transform);
-                    processedImages++;
-                }
+        // Was übrig bleibt, steht nicht mehr im Workbook - außer Rezepte aus anderen Quellen
+        for (const recipe of storedByName.values()) {
+            if (this.isExternalRecipe(recipe)) {
+                diff.external.push(recipe);
+            } else {
+                diff.removed.push(recipe);
+            }
+        }
+
+        if (onProgress) onProgress(WorkbookSession.createProgress('complete', 1, 1, 'Vergleich fertig'));
+        this.pendingImport = { file, diff, session };
+        return diff;
+    }
+
+    /**
+     * Übernimmt den mit previewImport() ermittelten Diff
+     * Nur neue/geänderte Rezepte werden geschrieben und deren Bilder neu extrahiert,
+     * Bilder gelöschter Rezepte werden aus dem ImageStore entfernt - zusammen mit den
+     * neuen Bildern in einer Transaktion, ein Abbruch hinterlässt also nichts Halbes.
+     * @param {Object} options - { onProgress, signal } wie bei loadExcelFile()
+     * @returns {Promise<Array>} Array mit allen Rezepten
+     * @throws {DOMException} AbortError nach signal.abort() (der vorgemerkte Import verfällt)
+     */
+    async applyImport({ onProgress = null, signal = null } = {}) {
+        if (!this.pendingImport) {
+            throw new Error('Kein Import vorbereitet');
+        }
+        if (!this.recipeStore) {
+            throw new Error('RecipeStore nicht initialisiert');
+        }
 
-                // Speichere alle Bilder mit Transformationen in IndexedDB
-                if (imageBlobs.length > 0) {
-                    await this.imageStore.saveImage(recipeName, imageBlobs, transforms);
+        const { diff, session } = this.pendingImport;
+        this.pendingImport = null;
 
-                    // Aktualisiere Recipe-Objekt
-                    const recipe = this.recipes.find(r => r.name === recipeName);
-                    if (recipe) {
-                        recipe.hasImage = true;
-                        recipe.imageCount = imageBlobs.length;
+        try {
+            // IDs bestehender Rezepte bleiben stabil, neue Rezepte werden hinten angehängt
+            let nextId = this.recipes.reduce((max, recipe) => Math.max(max, recipe.id), -1) + 1;
+            const changedRecipes = diff.changed.map(({ recipe, previous }) => this.keepLocalImages({ ...recipe, id: previous.id }, previous));
+            const addedRecipes = diff.added.map(recipe => ({ ...recipe, id: nextId++ }));
+            const toWrite = [...changedRecipes, ...addedRecipes];
+
+            if (this.imageStore) {
+                // Bilder nur für neue und geänderte Rezepte neu extrahieren
+                let images = new Map();
+                let extracted = true;
+                if (toWrite.length > 0) {
+                    try {
+                        images = await this.readWorkbookImages(session, toWrite, { signal, onProgress });
+                    } catch (error) {
+                        if (error.name === 'AbortError') throw error;
+                        console.warn('Bilder konnten nicht extrahiert werden:', error);
+                        extracted = false;
                     }
                 }
 
-                processedSheets++;
-                
-                if (progressCallback) {
-                    const progress = 10 + Math.floor((processedSheets / totalSheets) * 80);
-                    progressCallback({ 
-                        phase: 'images', 
-                        progress: progress, 
-                        message: `Bilder ${processedImages}/${totalImages} gespeichert...` 
+                // Gelöschte und geänderte Rezepte verlieren ihre alten Bilder (in der App ersetzte bleiben) -
+                // geänderte nur, wenn es Ersatz gibt: schlägt das Extrahieren fehl, bleiben ihre Fotos
+                const replaced = extracted ? changedRecipes.filter(recipe => !this.hasLocalImages(recipe)) : [];
+                const removeNames = [...diff.removed, ...replaced].map(recipe => recipe.name);
+                await this.imageStore.replaceImages(images, removeNames, { signal, onProgress: this.createImageProgress(onProgress) });
+                if (!extracted) {
+                    diff.changed.forEach(({ previous }, index) => {
+                        changedRecipes[index].hasImage = previous.hasImage;
+                        changedRecipes[index].imageCount = previous.imageCount;
                     });
                 }
-            } catch (error) {
-                console.error(`Fehler beim Extrahieren von ${recipeName}:`, error);
+                this.markImages(toWrite, images);
+                if (images.size > 0) this.hasImages = true;
             }
+
+            await this.recipeStore.applyChanges(toWrite, diff.removed.map(recipe => recipe.id));
+
+            this.recipes = [...diff.unchanged, ...diff.external, ...toWrite]
+                .sort((a, b) => a.name.localeCompare(b.name, 'de'));
+
+            if (onProgress) onProgress(WorkbookSession.createProgress('complete', 1, 1, 'Fertig!'));
+
+            return this.recipes;
+        } finally {
+            session.close();
         }
+    }
 
-        if (progressCallback) progressCallback({ phase: 'images', progress: 90, message: `${processedImages} Bilder gespeichert` });
+    /**
+     * Übernimmt die offene Sitzung aus previewImport(), wenn sie zu file gehört
+     * ("Alles neu laden" in der Vorschau liest die Datei nicht noch einmal)
+     * @param {File|Blob} file - Die Excel-Datei
+     * @returns {WorkbookSession|null}
+     */
+    takePendingSession(file) {
+        const pending = this.pendingImport;
+        if (pending && pending.session.isFor(file)) {
+            this.pendingImport = null;
+            return pending.session;
+        }
+
+        this.discardPendingImport();
+        return null;
     }
 
     /**
-     * Extrahiert Kategorien aus dem Inhaltsverzeichnis-Sheet
-     * @returns {Object} { categoryMap: Map von RecipeName → Category, allRecipeNames: Set aller Rezeptnamen }
+     * Verwirft den mit previewImport() vorgemerkten Import und beendet dessen Worker
      */
-    extractCategories() {
-        const categoryMap = {};
-        const allRecipeNames = new Set();
-        
-        if (!this.workbook || !this.workbook.Sheets['Inhaltsverzeichnis']) {
-            console.warn('Inhaltsverzeichnis-Sheet nicht gefunden');
-            return { categoryMap, allRecipeNames };
+    discardPendingImport() {
+        if (this.pendingImport) {
+            this.pendingImport.session.close();
+            this.pendingImport = null;
         }
-        
-        const sheet = this.workbook.Sheets['Inhaltsverzeichnis'];
-        const data = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-        
-        if (data.length < 3) {
-            console.warn('Inhaltsverzeichnis hat zu wenige Zeilen');
-            return { categoryMap, allRecipeNames };
+    }
+
+    /**
+     * Importiert Rezepte aus JSON, CSV oder schema.org JSON-LD (siehe RecipeImporters)
+     * Rezepte mit gleichem Namen werden ersetzt, alle anderen bleiben unverändert.
+     * @param {File} file - Die Datei
+     * @returns {Promise<{format: string, added: Array, updated: Array}>}
+     */
+    async importRecipeFile(file) {
+        if (!this.recipeStore) {
+            throw new Error('RecipeStore nicht initialisiert');
         }
-        
-        // Analysiere Spalten für Kategorien
-        const columnCategories = {};
-        
-        // Row 0: Hauptkategorien (Snacks, Mittagessen, Nachtisch)
-        // Row 1: Unterkategorien (Salzig, Süß)
-        // Row 2+: Rezeptnamen
-        
-        for (let col = 0; col < data[0].length; col++) {
-            const mainCategory = data[0][col];
-            const subCategory = data[1][col];
-            
-            if (mainCategory && mainCategory.trim() !== '') {
-                // Erstelle Kategorie-String
-                if (subCategory && subCategory.trim() !== '') {
-                    columnCategories[col] = `${mainCategory} - ${subCategory}`;
-                } else {
-                    columnCategories[col] = mainCategory;
-                }
+
+        const { importer, recipes: importedRecipes } = await RecipeImporters.importFile(file);
+        const recipes = this.applyOverrides(importedRecipes);
+        const existingByName = new Map(this.recipes.map(recipe => [recipe.name, recipe]));
+        let nextId = this.recipes.reduce((max, recipe) => Math.max(max, recipe.id), -1) + 1;
+
+        const added = [];
+        const updated = [];
+        for (const imported of recipes) {
+            imported.contentHash = this.hashRecipeContent(imported);
+
+            const existing = existingByName.get(imported.name);
+            if (existing) {
+                const recipe = { ...imported, id: existing.id, hasImage: existing.hasImage, imageCount: existing.imageCount };
+                this.recipes[this.recipes.indexOf(existing)] = recipe;
+                existingByName.set(recipe.name, recipe);
+                updated.push(recipe);
+            } else {
+                const recipe = { ...imported, id: nextId++ };
+                this.recipes.push(recipe);
+                existingByName.set(recipe.name, recipe);
+                added.push(recipe);
             }
         }
-        
-        // Extrahiere Rezeptnamen ab Zeile 2
-        for (let row = 2; row < data.length; row++) {
-            for (let col = 0; col < data[row].length; col++) {
-                const recipeName = data[row][col];
-                
-                if (recipeName && recipeName.trim() !== '' && columnCategories[col]) {
-                    const cleanName = recipeName.trim();
-                    categoryMap[cleanName] = columnCategories[col];
-                    allRecipeNames.add(cleanName);
-                }
-            }
+
+        this.recipes.sort((a, b) => a.name.localeCompare(b.name, 'de'));
+        await this.recipeStore.applyChanges([...added, ...updated], []);
+
+        return { format: importer.label, added, updated };
+    }
+
+    /**
+     * Stammt das Rezept aus einer anderen Quelle als dem Workbook?
+     * @param {Object} recipe - Rezept
+     * @returns {boolean}
+     */
+    isExternalRecipe(recipe) {
+        return Boolean(recipe.source) && recipe.source !== 'xlsx';
+    }
+
+    /**
+     * Wurde das Rezept in der App neu angelegt (statt importiert)?
+     * @param {Object} recipe - Rezept
+     * @returns {boolean}
+     */
+    isLocalRecipe(recipe) {
+        return recipe.source === 'app';
+    }
+
+    /**
+     * Wurden die Bilder des Rezepts in der App ersetzt? Dann bleiben sie beim Import unangetastet.
+     * @param {Object} recipe - Rezept
+     * @returns {boolean}
+     */
+    hasLocalImages(recipe) {
+        if (typeof recipeOverrides === 'undefined') return false;
+
+        const override = recipeOverrides.get(RecipeOverrides.getSourceName(recipe));
+        return Boolean(override && override.images);
+    }
+
+    /**
+     * Übernimmt hasImage/imageCount, wenn die Bilder in der App ersetzt wurden (Import extrahiert sie nicht)
+     * @param {Object} recipe - Frisch importiertes Rezept
+     * @param {Object|undefined} previous - Bisher gespeichertes Rezept
+     * @returns {Object}
+     */
+    keepLocalImages(recipe, previous) {
+        if (!previous || !this.hasLocalImages(recipe)) return recipe;
+        return { ...recipe, hasImage: previous.hasImage, imageCount: previous.imageCount };
+    }
+
+    /**
+     * Wendet lokale Änderungen (RecipeOverrides) auf frisch importierte Rezepte an
+     * @param {Array} recipes - Rezepte wie importiert
+     * @returns {Array}
+     */
+    applyOverrides(recipes) {
+        return typeof recipeOverrides !== 'undefined' ? recipeOverrides.applyAll(recipes) : recipes;
+    }
+
+    /**
+     * Speichert Bearbeitungen aus der App
+     * Bei importierten Rezepten werden nur die Abweichungen vom Original als Override
+     * gemerkt, damit sie einen erneuten Import überstehen; in der App angelegte Rezepte
+     * werden direkt geändert.
+     * @param {string} recipeName - Aktueller Rezeptname
+     * @param {Object} fields - Geänderte Felder (siehe RecipeOverrides.FIELDS)
+     * @param {Array<{blob: Blob, transform: Object}>|null} images - Neue Bilderliste (null = Bilder unverändert)
+     * @returns {Promise<Object>} Gespeichertes Rezept
+     * @throws {Error} Bei leerem oder bereits vergebenem Namen
+     */
+    async updateRecipe(recipeName, fields, images = null) {
+        const recipe = this.getRecipeByName(recipeName);
+        if (!recipe) {
+            throw new Error(`Rezept "${recipeName}" nicht gefunden`);
         }
-        
-        console.log(`Kategorien extrahiert: ${Object.keys(categoryMap).length} Rezepte kategorisiert`);
-        return { categoryMap, allRecipeNames };
+
+        const name = this.validateRecipeName(fields.name ?? recipe.name, recipe);
+        let updated;
+        if (this.isLocalRecipe(recipe)) {
+            updated = { ...recipe, ...fields, name };
+        } else {
+            const source = RecipeOverrides.revert(recipe);
+            const changes = RecipeOverrides.diff(source, { ...recipe, ...fields, name });
+            recipeOverrides.set(source.name, changes, images !== null || this.hasLocalImages(recipe));
+            updated = RecipeOverrides.apply(source, { changes });
+        }
+        delete updated.restoreImages;
+
+        if (updated.name !== recipe.name) {
+            await this.renameRecipeData(recipe.name, updated.name, images === null);
+        }
+        if (images !== null) {
+            await this.saveRecipeImages(updated, images);
+        }
+
+        return this.storeRecipe(updated, recipe);
     }
 
     /**
-     * Extrahiert Details aus einem Rezept-Sheet
-     * @param {string} sheetName - Name des Sheets
-     * @returns {Object} Rezept-Details (Zutaten, Anleitung, etc.)
+     * Legt ein neues Rezept in der App an
+     * @param {Object} fields - Felder (siehe RecipeOverrides.FIELDS)
+     * @param {Array<{blob: Blob, transform: Object}>|null} images - Bilder
+     * @returns {Promise<Object>} Gespeichertes Rezept
+     * @throws {Error} Bei leerem oder bereits vergebenem Namen
      */
-    extractRecipeDetails(sheetName) {
-        if (!this.workbook) return {};
-        
-        const sheet = this.workbook.Sheets[sheetName];
-        if (!sheet) return {};
-        
-        // Konvertiere Sheet zu JSON
-        const data = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
-        
-        const details = {
-            servings: null,
-            ingredients: [],
-            instructions: [],
-            notes: [],
+    async createRecipe(fields, images = null) {
+        const name = this.validateRecipeName(fields.name, null);
+        const categories = fields.categories && fields.categories.length > 0
+            ? fields.categories
+            : [fields.category || RecipeTags.DEFAULT_CATEGORY];
+        const recipe = {
+            id: this.recipes.reduce((max, entry) => Math.max(max, entry.id), -1) + 1,
+            name,
+            sheetName: null,
+            hasImage: false,
+            category: categories[0],
+            categories,
+            tags: fields.tags || [],
+            isPlaceholder: false,
+            source: 'app',
+            servings: fields.servings ?? null,
+            ingredients: fields.ingredients || [],
+            instructions: fields.instructions || [],
+            notes: fields.notes || [],
             createdDate: null,
-            modifiedDate: null
+            modifiedDate: null,
+            totalCost: null
         };
-        
-        // Durchsuche die Daten
-        for (let i = 0; i < data.length; i++) {
-            const row = data[i];
-            
-            // Anzahl Personen
-            if (row[0] && String(row[0]).includes('Anzahl Personen')) {
-                details.servings = row[3] || row[1];
+
+        if (images !== null) {
+            await this.saveRecipeImages(recipe, images);
+        }
+
+        return this.storeRecipe(recipe, null);
+    }
+
+    /**
+     * Verwirft lokale Änderungen - in der App angelegte Rezepte werden gelöscht
+     * Ersetzte Bilder werden entfernt; die Originalbilder kommen beim nächsten Import wieder.
+     * @param {string} recipeName - Aktueller Rezeptname
+     * @returns {Promise<Object|null>} Rezept wie importiert, null wenn gelöscht
+     */
+    async revertRecipe(recipeName) {
+        const recipe = this.getRecipeByName(recipeName);
+        if (!recipe) return null;
+
+        if (this.isLocalRecipe(recipe)) {
+            this.recipes = this.recipes.filter(entry => entry !== recipe);
+            if (this.imageStore) await this.imageStore.deleteImage(recipe.name);
+            if (this.recipeStore) await this.recipeStore.applyChanges([], [recipe.id]);
+            return null;
+        }
+
+        const source = RecipeOverrides.revert(recipe);
+        const localImages = this.hasLocalImages(recipe);
+        recipeOverrides.remove(source.name);
+
+        if (localImages) {
+            if (this.imageStore) await this.imageStore.deleteImage(recipe.name);
+            source.hasImage = false;
+            source.imageCount = 0;
+            source.restoreImages = true;
+        }
+        if (source.name !== recipe.name) {
+            await this.renameRecipeData(recipe.name, source.name, !localImages);
+        }
+
+        return this.storeRecipe(source, recipe);
+    }
+
+    /**
+     * Alle lokal bearbeiteten und angelegten Rezepte (für die Änderungsübersicht)
+     * @returns {Array<{recipe: Object, created: boolean, fields: string[], images: boolean, modifiedAt: string|null}>}
+     */
+    getLocalChanges() {
+        const changes = [];
+        for (const recipe of this.recipes) {
+            if (this.isLocalRecipe(recipe)) {
+                changes.push({ recipe, created: true, fields: [], images: false, modifiedAt: null });
+                continue;
             }
-            
-            // Erstelldatum
-            if (row[3] && String(row[3]).includes('Erstelldatum')) {
-                details.createdDate = row[6];
+
+            const override = typeof recipeOverrides !== 'undefined' ? recipeOverrides.get(RecipeOverrides.getSourceName(recipe)) : null;
+            if (override) {
+                changes.push({
+                    recipe,
+                    created: false,
+                    fields: Object.keys(override.changes),
+                    images: override.images,
+                    modifiedAt: override.modifiedAt
+                });
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * @param {string} value - Gewünschter Name
+     * @param {Object|null} recipe - Bearbeitetes Rezept (null beim Anlegen)
+     * @returns {string} Bereinigter Name
+     * @throws {Error} Wenn leer oder schon vergeben
+     */
+    validateRecipeName(value, recipe) {
+        const name = String(value ?? '').trim();
+        if (!name) {
+            throw new Error('Bitte einen Rezeptnamen eingeben');
+        }
+        if (this.recipes.some(entry => entry !== recipe && entry.name === name)) {
+            throw new Error(`Es gibt bereits ein Rezept "${name}"`);
+        }
+        return name;
+    }
+
+    /**
+     * Ersetzt die Bilder eines Rezepts im ImageStore
+     * @param {Object} recipe - Rezept (hasImage/imageCount werden angepasst)
+     * @param {Array<{blob: Blob, transform: Object, anchor: Object|undefined}>} images - Neue Bilderliste (anchor: Position im Sheet, nur bei importierten Bildern)
+     */
+    async saveRecipeImages(recipe, images) {
+        if (!this.imageStore) return;
+
+        await this.imageStore.deleteImage(recipe.name);
+        if (images.length > 0) {
+            await this.imageStore.saveImage(
+                recipe.name,
+                images.map(image => image.blob),
+                images.map(image => image.transform || this.imageStore.getDefaultTransform()),
+                images.map(image => image.anchor || null)
+            );
+        }
+        recipe.hasImage = images.length > 0;
+        recipe.imageCount = images.length;
+    }
+
+    /**
+     * Zieht Bilder und Nutzerdaten (Journal, Einkaufsliste, Wochenplan) auf den neuen Namen um
+     * @param {string} oldName - Bisheriger Name
+     * @param {string} newName - Neuer Name
+     * @param {boolean} moveImages - Bilder mitnehmen (false = Bilder unter dem alten Namen nur löschen)
+     */
+    async renameRecipeData(oldName, newName, moveImages = true) {
+        if (this.imageStore) {
+            const { blobs, transforms, anchors } = moveImages
+                ? await this.imageStore.getImagesWithTransforms(oldName)
+                : { blobs: [], transforms: [], anchors: [] };
+            if (blobs.length > 0) {
+                await this.imageStore.saveImage(newName, blobs, transforms, anchors);
             }
-            
-            // Geändert am
-            if (row[3] && String(row[3]).includes('Geändert am')) {
-                details.modifiedDate = row[6];
+            await this.imageStore.deleteImage(oldName);
+        }
+
+        if (typeof recipeJournal !== 'undefined') recipeJournal.renameRecipe(oldName, newName);
+        if (typeof shoppingList !== 'undefined') shoppingList.renameRecipe(oldName, newName);
+        if (typeof mealPlanner !== 'undefined') mealPlanner.renameRecipe(oldName, newName);
+    }
+
+    /**
+     * Ersetzt bzw. ergänzt ein Rezept in der Liste und in IndexedDB
+     * Neues Objekt statt Änderung am alten, damit der Suchindex neu aufgebaut wird.
+     * @param {Object} recipe - Neues Rezept
+     * @param {Object|null} previous - Bisheriges Rezept
+     * @returns {Promise<Object>} recipe
+     */
+    async storeRecipe(recipe, previous) {
+        recipe.contentHash = this.hashRecipeContent(recipe);
+        this.recipes = [...this.recipes.filter(entry => entry !== previous), recipe]
+            .sort((a, b) => a.name.localeCompare(b.name, 'de'));
+
+        if (this.recipeStore) {
+            await this.recipeStore.applyChanges([recipe], []);
+        }
+        return recipe;
+    }
+
+    /**
+     * Hängt Rezepte aus anderen Quellen an frisch importierte Workbook-Rezepte an
+     * Gleichnamige Sheets haben Vorrang. Vorhandene IDs bleiben (Verweise darauf gelten weiter);
+     * neu vergeben wird nur ohne ID oder wenn die ID schon belegt ist.
+     * @param {Array} workbookRecipes - Rezepte aus finishWorkbookRecipes()
+     * @returns {Array} Zusammengeführte, sortierte Rezepte
+     */
+    mergeExternalRecipes(workbookRecipes) {
+        const names = new Set(workbookRecipes.map(recipe => recipe.name));
+        const candidates = this.recipes
+            .filter(recipe => this.isExternalRecipe(recipe) && !names.has(recipe.name));
+
+        const usedIds = new Set(workbookRecipes.map(recipe => recipe.id));
+        let nextId = [...workbookRecipes, ...candidates]
+            .reduce((max, recipe) => Number.isInteger(recipe.id) ? Math.max(max, recipe.id) : max, -1) + 1;
+
+        const external = candidates.map(recipe => {
+            if (Number.isInteger(recipe.id) && !usedIds.has(recipe.id)) {
+                usedIds.add(recipe.id);
+                return recipe;
             }
-            
-            // Zutaten (nach "Menge" Header bis "Zubereitung")
-            if (row[0] === 'Menge' && row[3] === 'Produkt') {
-                let j = i + 1;
-                while (j < data.length && data[j][0] !== 'Zubereitung' && data[j][4] !== 'Total Warenkosten') {
-                    const ingredientRow = data[j];
-                    if (ingredientRow[3]) { // Produkt vorhanden
-                        details.ingredients.push({
-                            amount: ingredientRow[0] || '',
-                            unit: ingredientRow[2] || '',
-                            product: ingredientRow[3] || '',
-                            note: ingredientRow[4] || ''
-                        });
-                    }
-                    j++;
-                }
+            usedIds.add(nextId);
+            return { ...recipe, id: nextId++ };
+        });
+
+        return [...workbookRecipes, ...external].sort((a, b) => a.name.localeCompare(b.name, 'de'));
+    }
+
+    /**
+     * Berechnet einen Hash über den Inhalt eines Rezepts (FNV-1a, 32 Bit)
+     * Laufzeit-Felder wie id oder hasImage fließen nicht ein.
+     * @param {Object} recipe - Rezept
+     * @returns {string} Hash als Hex-String
+     */
+    hashRecipeContent(recipe) {
+        // Preise nur, wenn eingetragen - ältere Rezepte haben das Feld gar nicht
+        const ingredients = Array.isArray(recipe.ingredients)
+            ? recipe.ingredients.map(({ price, ...ingredient }) => price != null ? { ...ingredient, price } : ingredient)
+            : recipe.ingredients;
+        const fields = [
+            recipe.name,
+            recipe.category,
+            recipe.isPlaceholder,
+            recipe.servings,
+            ingredients,
+            recipe.instructions,
+            recipe.notes,
+            recipe.createdDate,
+            recipe.modifiedDate
+        ];
+        // Bearbeitete Rezepte: Änderungen am Original sollen beim Import auffallen
+        // (nur wenn vorhanden - sonst ändern sich die Hashes aller gespeicherten Rezepte)
+        if (recipe.original) fields.push(recipe.original);
+        // Dito: weitere Kategorien, Tags und Warenkosten nur, wenn es welche gibt
+        if (recipe.categories && recipe.categories.length > 1) fields.push({ categories: recipe.categories });
+        if (recipe.tags && recipe.tags.length > 0) fields.push({ tags: recipe.tags });
+        if (recipe.totalCost != null) fields.push({ totalCost: recipe.totalCost });
+        const content = JSON.stringify(fields);
+
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < content.length; i++) {
+            hash ^= content.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Liest die Bilder der Rezept-Sheets aus der geöffneten Datei (ohne zu speichern)
+     * Rezepte mit in der App ersetzten Bildern werden übersprungen.
+     * @param {WorkbookSession} session - Geöffnete Datei
+     * @param {Array} recipes - Rezepte, deren Bilder gelesen werden (Sheet → aktueller Name, falls in der App umbenannt)
+     * @param {Object} options - { signal, onProgress }
+     * @returns {Promise<Map<string, {blobs: Blob[], transforms: Object[], anchors: Array}>>} recipeName → Bilder
+     */
+    async readWorkbookImages(session, recipes, { signal = null, onProgress = null } = {}) {
+        const recipeBySheet = new Map();
+        for (const recipe of recipes) {
+            if (!recipe.sheetName || this.isExternalRecipe(recipe) || this.hasLocalImages(recipe)) continue;
+            recipeBySheet.set(recipe.sheetName, recipe);
+        }
+
+        const images = new Map();
+        if (recipeBySheet.size === 0) return images;
+
+        const count = await session.extractImages(new Set(recipeBySheet.keys()), {
+            signal,
+            onProgress,
+            onSheet: ({ sheetName, images: sheetImages }) => {
+                images.set(recipeBySheet.get(sheetName).name, {
+                    blobs: sheetImages.map(image => new Blob([image.data], { type: image.type })),
+                    transforms: sheetImages.map(image => image.transform),
+                    anchors: sheetImages.map(image => image.anchor)
+                });
             }
-            
-            // Bemerkungen/Notizen (eigener Bereich nach Zubereitung)
-            if (row[0] && String(row[0]).includes('Bemerkung') && String(row[0]).includes('Notiz')) {
-                // Gefunden! "Bemerkungen/Notizen" Header
-                // Lese alle folgenden Zeilen bis zur nächsten leeren Zeile
-                let j = i + 1;
-                while (j < data.length) {
-                    const noteRow = data[j];
-                    const noteText = noteRow[0]; // Links stehen in Spalte A
-                    
-                    // Stoppe bei leerer Zeile oder wenn alle Spalten leer sind
-                    if (!noteText || noteText.trim() === '') {
-                        // Prüfe ob wirklich komplett leer
-                        const hasContent = noteRow.some(cell => cell && String(cell).trim() !== '');
-                        if (!hasContent) {
-                            break;
-                        }
-                    }
-                    
-                    // Füge Notiz/Link hinzu wenn nicht leer
-                    if (noteText && String(noteText).trim() !== '') {
-                        details.notes.push(String(noteText).trim());
-                    }
-                    
-                    j++;
-                }
-                break;
+        });
+
+        console.log(`Gefunden: ${count} Bilder für ${images.size} Rezepte`);
+        return images;
+    }
+
+    /**
+     * @param {Function|null} onProgress - Fortschritts-Callback des Imports
+     * @returns {Function|null} Callback für ImageStore.replaceImages() (Vorschaubilder, dann Speichern)
+     */
+    createImageProgress(onProgress) {
+        if (!onProgress) return null;
+
+        return ({ completed, total }) => onProgress(completed < total
+            ? WorkbookSession.createProgress('thumbnails', completed, total, `Erzeuge Vorschaubilder ${completed}/${total}...`)
+            : WorkbookSession.createProgress('save', 0, 1, 'Speichere...'));
+    }
+
+    /**
+     * Setzt hasImage/imageCount nach dem Speichern der importierten Bilder
+     * @param {Array} recipes - Importierte Rezepte
+     * @param {Map} images - Ergebnis von readWorkbookImages()
+     */
+    markImages(recipes, images) {
+        for (const recipe of recipes) {
+            const entry = images.get(recipe.name);
+            if (entry) {
+                recipe.hasImage = true;
+                recipe.imageCount = entry.blobs.length;
             }
-            
-            // Zubereitung/Anleitung
-            if (row[0] === 'Zubereitung' || row[0] === 'Anleitung') {
-                let j = i + 1;
-                while (j < data.length) {
-                    const stepRow = data[j];
-                    const stepNum = stepRow[0];
-                    const stepText = stepRow[1];
-                    
-                    if (stepNum && stepText && !isNaN(stepNum)) {
-                        details.instructions.push({
-                            step: Number(stepNum),
-                            text: String(stepText)
-                        });
-                    } else if (!stepNum && !stepText) {
-                        break; // Ende der Anleitung
+        }
+    }
+
+    /**
+     * Exportiert alle Rezepte samt Bildern als Rezepte.xlsx (siehe WorkbookExporter)
+     * @param {Function} progressCallback - Optional: Fortschritts-Callback
+     * @returns {Promise<{blob: Blob, renamed: Array}>} Datei + umbenannte Sheets
+     */
+    async exportExcelFile(progressCallback = null) {
+        if (this.recipes.length === 0) {
+            throw new Error('Keine Rezepte zum Exportieren vorhanden');
+        }
+
+        try {
+            return await WorkbookExporter.exportWorkbook(this.recipes, this.imageStore, progressCallback);
+        } catch (error) {
+            throw new Error(`Fehler beim Exportieren: ${error.message}`);
+        }
+    }
+
+    /**
+     * Erstellt ein Komplett-Backup (Rezepte, Bilder, Einstellungen) als ZIP
+     * @param {Function} progressCallback - Optional: Fortschritts-Callback
+     * @returns {Promise<Blob>} ZIP-Datei
+     */
+    async createBackup(progressCallback = null) {
+        try {
+            return await BackupManager.createBackup(this.recipes, this.imageStore, progressCallback);
+        } catch (error) {
+            throw new Error(`Fehler beim Erstellen des Backups: ${error.message}`);
+        }
+    }
+
+    /**
+     * Stellt ein Backup wieder her
+     * - 'replace': Löscht alle Rezepte und Bilder und übernimmt das Backup vollständig
+     * - 'merge': Gleichnamige Rezepte werden ersetzt, alle anderen bleiben;
+     *   Einstellungen werden nur ergänzt, wenn sie lokal fehlen (Rezept-Änderungen pro Rezept)
+     * @param {File|Blob} file - Backup-ZIP
+     * @param {string} mode - 'merge' oder 'replace'
+     * @param {Function} progressCallback - Optional: Fortschritts-Callback
+     * @returns {Promise<{added: number, updated: number, images: number, settings: number}>}
+     */
+    async restoreBackup(file, mode = 'merge', progressCallback = null) {
+        if (!this.recipeStore || !this.imageStore) {
+            throw new Error('RecipeStore/ImageStore nicht initialisiert');
+        }
+
+        if (progressCallback) progressCallback({ phase: 'data', progress: 0, message: 'Prüfe Backup...' });
+        const backup = await BackupManager.readBackup(file);
+        const imagesByName = new Map(backup.images.map(entry => [entry.recipeName, entry]));
+
+        let added = 0;
+        let updated = 0;
+
+        if (mode === 'replace') {
+            await this.clearAllData();
+            this.recipes = backup.recipes.map(recipe => ({ ...recipe }));
+            added = this.recipes.length;
+        } else {
+            const existingByName = new Map(this.recipes.map(recipe => [recipe.name, recipe]));
+            let nextId = this.recipes.reduce((max, recipe) => Math.max(max, recipe.id), -1) + 1;
+
+            for (const recipe of backup.recipes) {
+                const existing = existingByName.get(recipe.name);
+                if (existing) {
+                    const merged = { ...recipe, id: existing.id };
+                    // Ohne Bild im Backup bleibt das vorhandene Bild bestehen
+                    if (!imagesByName.has(recipe.name)) {
+                        merged.hasImage = existing.hasImage;
+                        merged.imageCount = existing.imageCount;
                     }
-                    j++;
+                    this.recipes[this.recipes.indexOf(existing)] = merged;
+                    updated++;
+                } else {
+                    this.recipes.push({ ...recipe, id: nextId++ });
+                    added++;
                 }
             }
         }
-        
-        return details;
+
+        if (progressCallback) progressCallback({ phase: 'images', progress: 40, message: 'Stelle Bilder wieder her...' });
+        const { success } = await this.imageStore.saveMultiple(
+            Object.fromEntries(backup.images.map(entry => [entry.recipeName, { blobs: entry.blobs, transforms: entry.transforms, anchors: entry.anchors }]))
+        );
+
+        this.recipes.forEach(recipe => {
+            const entry = imagesByName.get(recipe.name);
+            if (entry) {
+                recipe.hasImage = true;
+                recipe.imageCount = entry.blobs.length;
+            }
+        });
+        this.recipes.sort((a, b) => a.name.localeCompare(b.name, 'de'));
+        this.hasImages = this.recipes.some(recipe => recipe.hasImage);
+        await this.saveRecipes();
+
+        const settings = BackupManager.writeSettings(backup.settings, mode === 'replace');
+        BackupManager.reloadSettings();
+
+        if (progressCallback) progressCallback({ phase: 'complete', progress: 100, message: 'Backup wiederhergestellt!' });
+        return { added, updated, images: success, settings };
+    }
+
+    /**
+     * Gibt den Prüfbericht des letzten Imports zurück
+     * @returns {Object|null} Bericht aus ImportValidator.validateWorkbook()
+     */
+    getValidationReport() {
+        return this.validationReport;
     }
 
     /**
@@ -392,15 +830,17 @@ class RecipeGenerator {
     }
 
     /**
-     * Gibt ein Bild-URL für ein Rezept zurück (aus IndexedDB) - erstes Bild mit Transformation
+     * Gibt ein Bild-URL für ein Rezept zurück (aus IndexedDB) - das Titelbild mit Transformation
+     * Object URL - nach Gebrauch mit URL.revokeObjectURL() freigeben.
      * @param {string} recipeName - Name des Rezepts
-     * @returns {Promise<{dataUrl: string, transform: Object}|null>} Objekt mit dataUrl und transform oder null
+     * @param {string} variant - 'thumb' (Standard, für Karten), 'medium' oder 'original'
+     * @returns {Promise<{url: string, transform: Object}|null>} Objekt mit url und transform oder null
      */
-    async getRecipeImageURL(recipeName) {
+    async getRecipeImageURL(recipeName, variant = 'thumb') {
         if (!this.imageStore) return null;
 
         try {
-            return await this.imageStore.getImageDataURL(recipeName);
+            return await this.imageStore.getImageURL(recipeName, variant, this.getPinnedCover(recipeName));
         } catch (error) {
             console.error(`Fehler beim Laden des Bildes für ${recipeName}:`, error);
             return null;
@@ -409,20 +849,30 @@ class RecipeGenerator {
 
     /**
      * Gibt ALLE Bild-URLs für ein Rezept zurück (aus IndexedDB) mit Transformationen
+     * Object URLs - nach Gebrauch url und thumbUrl mit URL.revokeObjectURL() freigeben.
      * @param {string} recipeName - Name des Rezepts
-     * @returns {Promise<Array<{dataUrl: string, transform: Object}>>} Array von Objekten mit dataUrl und transform
+     * @returns {Promise<Array<{url: string, thumbUrl: string, transform: Object, key: string, isCover: boolean}>>}
+     *          Nach Position im Sheet; url = mittlere Größe, thumbUrl = Vorschau
      */
     async getAllRecipeImageURLs(recipeName) {
         if (!this.imageStore) return [];
 
         try {
-            return await this.imageStore.getAllImageDataURLs(recipeName);
+            return await this.imageStore.getAllImageURLs(recipeName, this.getPinnedCover(recipeName));
         } catch (error) {
             console.error(`Fehler beim Laden der Bilder für ${recipeName}:`, error);
             return [];
         }
     }
 
+    /**
+     * @param {string} recipeName - Name des Rezepts
+     * @returns {string|null} In der App festgelegtes Titelbild (siehe RecipeJournal.setCover())
+     */
+    getPinnedCover(recipeName) {
+        return typeof recipeJournal !== 'undefined' ? recipeJournal.getCover(recipeName) : null;
+    }
+
     /**
      * Prüft ob ein Rezept ein Bild hat
      * @param {string} recipeName - Name des Rezepts
@@ -447,23 +897,47 @@ class RecipeGenerator {
     }
 
     /**
-     * Filtert Rezepte nach Suchbegriff
+     * Filtert Rezepte nach Suchbegriff (Name, Kategorie, Zutaten, Anleitung, Notizen)
      * @param {string} searchTerm - Suchbegriff
-     * @returns {Array} Gefilterte Rezepte
+     * @returns {Array} Gefilterte Rezepte, nach Relevanz sortiert
      */
     searchRecipes(searchTerm) {
         if (!searchTerm || searchTerm.trim() === '') {
             return this.recipes;
         }
         
-        const term = searchTerm.toLowerCase().trim();
-        return this.recipes.filter(recipe => 
-            recipe.name.toLowerCase().includes(term)
-        );
+        return this.search(searchTerm).map(result => result.recipe);
+    }
+
+    /**
+     * Volltextsuche mit Relevanz und Treffer-Infos (für Hervorhebungen)
+     * @param {string} searchTerm - Suchbegriff(e)
+     * @returns {Array<{recipe: Object, score: number, fields: Set<string>, stems: Set<string>}>}
+     */
+    search(searchTerm) {
+        return this.getSearchIndex().search(searchTerm);
+    }
+
+    /**
+     * Gibt den Suchindex zurück und baut ihn neu, sobald sich Rezepte geändert haben
+     * @returns {SearchIndex}
+     */
+    getSearchIndex() {
+        const indexed = this.indexedRecipes || [];
+        const isCurrent = this.searchIndex &&
+            indexed.length === this.recipes.length &&
+            this.recipes.every((recipe, i) => recipe === indexed[i]);
+
+        if (!isCurrent) {
+            this.searchIndex = new SearchIndex(this.recipes);
+            this.indexedRecipes = [...this.recipes];
+        }
+        return this.searchIndex;
     }
 
     /**
      * Filtert Rezepte nach Kategorie
+     * Eine Hauptkategorie ("Mittagessen") schließt alle Unterkategorien ein.
      * @param {string} category - Kategorie-Name
      * @returns {Array} Gefilterte Rezepte
      */
@@ -472,7 +946,18 @@ class RecipeGenerator {
             return this.recipes;
         }
         
-        return this.recipes.filter(recipe => recipe.category === category);
+        return this.recipes.filter(recipe => RecipeTags.matchesCategory(recipe, category));
+    }
+
+    /**
+     * Filtert Rezepte nach Tags (alle müssen vorkommen)
+     * @param {string[]} tags - Tags
+     * @param {Array} recipeList - Optional: Liste von Rezepten (default: alle)
+     * @returns {Array} Gefilterte Rezepte
+     */
+    filterByTags(tags, recipeList = null) {
+        const list = recipeList || this.recipes;
+        return tags.length === 0 ? list : list.filter(recipe => RecipeTags.hasAllTags(recipe, tags));
     }
 
     /**
@@ -483,21 +968,27 @@ class RecipeGenerator {
         const categories = new Set();
         
         this.recipes.forEach(recipe => {
-            if (recipe.category) {
-                categories.add(recipe.category);
-            }
+            RecipeTags.getCategories(recipe).forEach(category => categories.add(category));
         });
         
         return Array.from(categories).sort();
     }
 
+    /**
+     * Gibt alle vergebenen Tags zurück
+     * @returns {Array<{tag: string, count: number}>} Häufigste zuerst
+     */
+    getAllTags() {
+        return RecipeTags.countTags(this.recipes);
+    }
+
     /**
      * Gibt ein zufälliges Rezept zurück
      * @param {Array} recipeList - Optional: Liste von Rezepten (default: alle)
      * @returns {Object|null} Zufälliges Rezept oder null
      */
     getRandomRecipe(recipeList = null) {
-        const list = recipeList || this.recipes;
+        const list = (recipeList || this.recipes).filter(recipe => !recipe.isPlaceholder);
         if (list.length === 0) return null;
         
         const randomIndex = Math.floor(Math.random() * list.length);
@@ -505,45 +996,56 @@ class RecipeGenerator {
     }
 
     /**
-     * Gibt mehrere zufällige Rezepte zurück
+     * Gibt mehrere zufällige Rezepte zurück (gleichverteilt, ohne Platzhalter)
+     * Gewichtete Auswahl: RecipePicker
      * @param {number} count - Anzahl der gewünschten Rezepte
      * @returns {Array} Array mit zufälligen Rezepten
      */
     getRandomRecipes(count) {
-        if (count >= this.recipes.length) {
-            return [...this.recipes].sort(() => Math.random() - 0.5);
+        // Fisher-Yates - sort(() => Math.random() - 0.5) mischt nicht gleichverteilt
+        const shuffled = this.recipes.filter(recipe => !recipe.isPlaceholder);
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
         }
-        
-        const shuffled = [...this.recipes].sort(() => Math.random() - 0.5);
         return shuffled.slice(0, count);
     }
 
     /**
-     * Speichert Rezepte in LocalStorage
+     * Speichert Rezepte in IndexedDB
+     * @returns {Promise<void>}
+     * @throws {Error} Wenn nicht gespeichert werden konnte (z.B. Speicher voll)
      */
-    saveToLocalStorage() {
+    async saveRecipes() {
+        if (!this.recipeStore) {
+            throw new Error('RecipeStore nicht initialisiert');
+        }
+
         try {
-            localStorage.setItem('recipes', JSON.stringify(this.recipes));
-            localStorage.setItem('recipes_timestamp', new Date().toISOString());
-            return true;
+            await this.recipeStore.saveAll(this.recipes);
         } catch (error) {
             console.error('Fehler beim Speichern:', error);
-            return false;
+            throw new Error(`Rezepte konnten nicht gespeichert werden: ${error.message}`);
         }
     }
 
     /**
-     * Lädt Rezepte aus LocalStorage
-     * @returns {boolean} True wenn erfolgreich geladen
+     * Lädt Rezepte aus IndexedDB (migriert einmalig alte LocalStorage-Daten)
+     * @returns {Promise<boolean>} True wenn Rezepte geladen wurden
      */
-    loadFromLocalStorage() {
+    async loadRecipes() {
+        if (!this.recipeStore) return false;
+
         try {
-            const stored = localStorage.getItem('recipes');
-            if (stored) {
-                this.recipes = JSON.parse(stored);
-                return true;
+            await this.recipeStore.migrateFromLocalStorage();
+
+            const recipes = await this.recipeStore.getAll();
+            if (recipes.length === 0) {
+                return false;
             }
-            return false;
+
+            this.recipes = recipes.sort((a, b) => a.name.localeCompare(b.name, 'de'));
+            return true;
         } catch (error) {
             console.error('Fehler beim Laden:', error);
             return false;
@@ -554,8 +1056,14 @@ class RecipeGenerator {
      * Löscht gespeicherte Rezepte und Bilder
      */
     async clearAllData() {
-        // Lösche LocalStorage
-        this.clearLocalStorage();
+        // Lösche Rezepte aus IndexedDB
+        if (this.recipeStore) {
+            try {
+                await this.recipeStore.clearAll();
+            } catch (error) {
+                console.error('Fehler beim Löschen der Rezepte:', error);
+            }
+        }
         
         // Lösche Bilder aus IndexedDB
         if (this.imageStore) {
@@ -568,6 +1076,8 @@ class RecipeGenerator {
         
         this.recipes = [];
         this.hasImages = false;
+        this.validationReport = null;
+        this.discardPendingImport();
     }
 
     /**
@@ -576,22 +1086,15 @@ class RecipeGenerator {
      */
     async getStats() {
         const imageCount = this.imageStore ? await this.imageStore.getCount() : 0;
+        const timestamp = this.recipeStore ? await this.recipeStore.getMeta('recipes_timestamp') : null;
         
         return {
             total: this.recipes.length,
             withImages: imageCount,
-            timestamp: localStorage.getItem('recipes_timestamp'),
+            timestamp: timestamp,
             hasImages: this.hasImages
         };
     }
-
-    /**
-     * Löscht gespeicherte Rezepte aus LocalStorage (Hilfsmethode)
-     */
-    clearLocalStorage() {
-        localStorage.removeItem('recipes');
-        localStorage.removeItem('recipes_timestamp');
-    }
 }
 
 // Export für Verwendung in anderen Dateien
@@ -0,0 +1,464 @@
+/**
+ * RecipeImporters - Importiert Rezepte aus anderen Quellen als Excel
+ * JSON-Export, CSV (eine Zutat pro Zeile) und schema.org Recipe (JSON-LD)
+ * Weitere Formate lassen sich per RecipeImporters.register() ergänzen.
+ */
+
+class RecipeImporters {
+    /**
+     * Registrierte Importer (Reihenfolge = Priorität bei der Erkennung)
+     * Ein Importer: { id, label, extensions, canImport(text, fileName), parse(text, fileName) → Array }
+     * @returns {Array<Object>}
+     */
+    static get importers() {
+        if (!this._importers) {
+            this._importers = [
+                this.createJsonLdImporter(),
+                this.createJsonImporter(),
+                this.createCsvImporter()
+            ];
+        }
+        return this._importers;
+    }
+
+    /**
+     * Registriert einen zusätzlichen Importer (wird vor den eingebauten geprüft)
+     * @param {Object} importer - Importer-Objekt
+     */
+    static register(importer) {
+        if (!importer || !importer.id || typeof importer.canImport !== 'function' || typeof importer.parse !== 'function') {
+            throw new Error('Importer braucht id, canImport() und parse()');
+        }
+        this._importers = [importer, ...this.importers.filter(existing => existing.id !== importer.id)];
+    }
+
+    /**
+     * Alle unterstützten Dateiendungen (für das accept-Attribut)
+     * @returns {string[]}
+     */
+    static getExtensions() {
+        return Array.from(new Set(this.importers.flatMap(importer => importer.extensions || [])));
+    }
+
+    /**
+     * Liest eine Datei mit dem passenden Importer
+     * @param {File} file - Die Datei
+     * @returns {Promise<{importer: Object, recipes: Array}>} Rezepte im App-Format
+     * @throws {Error} Wenn kein Importer passt oder die Datei keine Rezepte enthält
+     */
+    static async importFile(file) {
+        const text = await file.text();
+        const fileName = file.name || '';
+        const extension = fileName.includes('.') ? '.' + fileName.split('.').pop().toLowerCase() : '';
+
+        const candidates = this.importers.filter(importer =>
+            !importer.extensions || importer.extensions.length === 0 || importer.extensions.includes(extension)
+        );
+        const importer = candidates.find(candidate => candidate.canImport(text, fileName));
+
+        if (!importer) {
+            throw new Error(`Format von "${fileName}" wird nicht unterstützt`);
+        }
+
+        const recipes = importer.parse(text, fileName)
+            .map(recipe => this.normalizeRecipe(recipe, importer.id))
+            .filter(recipe => recipe.name);
+
+        if (recipes.length === 0) {
+            throw new Error(`Keine Rezepte in "${fileName}" gefunden`);
+        }
+
+        return { importer, recipes };
+    }
+
+    /**
+     * Bringt ein (Teil-)Rezept in das Format von WorkbookParser.extractRecipeDetails()
+     * @param {Object} recipe - Rezept aus einem Importer
+     * @param {string} source - ID des Importers
+     * @returns {Object} Vollständiges Rezept-Objekt (ohne id)
+     */
+    static normalizeRecipe(recipe, source) {
+        const text = (value) => String(value ?? '').trim();
+        const ingredients = (recipe.ingredients || [])
+            .map(ingredient => typeof ingredient === 'string' ? this.parseIngredientLine(ingredient) : ingredient)
+            .map(ingredient => ({
+                amount: ingredient.amount ?? '',
+                unit: text(ingredient.unit),
+                product: text(ingredient.product),
+                note: text(ingredient.note),
+                price: RecipeCosts.parsePrice(ingredient.price)
+            }))
+            .filter(ingredient => ingredient.product);
+
+        const instructions = (recipe.instructions || [])
+            .map((instruction, index) => typeof instruction === 'string'
+                ? { step: index + 1, text: instruction }
+                : { step: Number(instruction.step) || index + 1, text: text(instruction.text) })
+            .filter(instruction => instruction.text);
+
+        // category: erste Kategorie, categories: alle ("Hauptgericht, Pasta" oder Liste)
+        const categories = RecipeTags.parseCategories([].concat(recipe.category ?? [], recipe.categories ?? [])
+            .flatMap(value => RecipeTags.parseCategories(value)));
+        if (categories.length === 0) categories.push(RecipeTags.DEFAULT_CATEGORY);
+
+        return {
+            name: text(recipe.name),
+            sheetName: null,
+            hasImage: false,
+            category: categories[0],
+            categories,
+            tags: RecipeTags.parseTags(recipe.tags),
+            isPlaceholder: false,
+            servings: recipe.servings ?? null,
+            ingredients,
+            instructions,
+            notes: (recipe.notes || []).map(text).filter(Boolean),
+            createdDate: recipe.createdDate ?? null,
+            modifiedDate: recipe.modifiedDate ?? null,
+            totalCost: RecipeCosts.parsePrice(recipe.totalCost),
+            source
+        };
+    }
+
+    /**
+     * Zerlegt eine Zutatenzeile ("200 g Mehl, gesiebt") in Menge, Einheit, Produkt, Bemerkung
+     * @param {string} line - Zutat als Freitext
+     * @returns {{amount: string, unit: string, product: string, note: string}}
+     */
+    static parseIngredientLine(line) {
+        const units = ['kg', 'g', 'mg', 'l', 'ml', 'cl', 'dl', 'el', 'tl', 'msp', 'prise', 'prisen', 'stk', 'stück',
+            'bund', 'dose', 'dosen', 'pck', 'päckchen', 'packung', 'becher', 'tasse', 'tassen', 'scheibe', 'scheiben',
+            'zehe', 'zehen', 'cup', 'cups', 'tbsp', 'tsp', 'oz', 'lb'];
+        const cleaned = String(line).replace(/\s+/g, ' ').trim();
+        const match = cleaned.match(/^([\d.,/½¼¾⅓⅔⅛\-–\s]+)?\s*(.*)$/);
+
+        let amount = match && match[1] ? match[1].trim() : '';
+        let rest = match ? match[2] : cleaned;
+        let unit = '';
+
+        const unitMatch = rest.match(/^([^\s.]+)\.?\s+(.*)$/);
+        if (amount && unitMatch && units.includes(unitMatch[1].toLowerCase())) {
+            unit = unitMatch[1];
+            rest = unitMatch[2];
+        }
+
+        // Bemerkung nach Komma oder in Klammern
+        let note = '';
+        const noteMatch = rest.match(/^(.*?)\s*(?:,\s*(.+)|\((.+)\))$/);
+        if (noteMatch && noteMatch[1]) {
+            rest = noteMatch[1];
+            note = (noteMatch[2] || noteMatch[3] || '').trim();
+        }
+
+        return { amount, unit, product: rest.trim(), note };
+    }
+
+    /**
+     * Importer: Eigener JSON-Export (Array von Rezepten oder { recipes: [...] })
+     * @returns {Object} Importer
+     */
+    static createJsonImporter() {
+        return {
+            id: 'json',
+            label: 'JSON-Export',
+            extensions: ['.json'],
+            canImport: (text) => {
+                const data = this.tryParseJson(text);
+                const list = Array.isArray(data) ? data : (data && data.recipes);
+                return Array.isArray(list) && list.length > 0 && list.every(item => item && item.name && !item['@type']);
+            },
+            parse: (text) => {
+                const data = JSON.parse(text);
+                return Array.isArray(data) ? data : data.recipes;
+            }
+        };
+    }
+
+    /**
+     * Importer: schema.org Recipe als JSON-LD (auch direkt aus gespeicherten Webseiten)
+     * @returns {Object} Importer
+     */
+    static createJsonLdImporter() {
+        return {
+            id: 'jsonld',
+            label: 'schema.org Recipe (JSON-LD)',
+            extensions: ['.json', '.jsonld', '.html', '.htm'],
+            canImport: (text) => this.findJsonLdRecipes(text).length > 0,
+            parse: (text) => this.findJsonLdRecipes(text).map(node => this.mapJsonLdRecipe(node))
+        };
+    }
+
+    /**
+     * Sucht alle Recipe-Knoten in JSON-LD (auch in @graph, Arrays und HTML-Script-Tags)
+     * @param {string} text - JSON oder HTML
+     * @returns {Array<Object>} Recipe-Knoten
+     */
+    static findJsonLdRecipes(text) {
+        const blocks = [];
+        const scriptPattern = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
+        let match;
+        while ((match = scriptPattern.exec(text)) !== null) {
+            blocks.push(match[1]);
+        }
+        if (blocks.length === 0) blocks.push(text);
+
+        const recipes = [];
+        const visit = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            const types = [].concat(node['@type'] || []);
+            if (types.includes('Recipe')) {
+                recipes.push(node);
+                return;
+            }
+            if (node['@graph']) visit(node['@graph']);
+        };
+
+        blocks.map(block => this.tryParseJson(block)).forEach(visit);
+        return recipes;
+    }
+
+    /**
+     * Übersetzt einen schema.org Recipe-Knoten in das App-Format
+     * @param {Object} node - Recipe-Knoten
+     * @returns {Object} Rezept (wird von normalizeRecipe() vervollständigt)
+     */
+    static mapJsonLdRecipe(node) {
+        const first = (value) => Array.isArray(value) ? value[0] : value;
+        const stripHtml = (value) => this.decodeHtmlEntities(String(value ?? '').replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+
+        // recipeYield: "4", 4, "4 Portionen" oder ["4", "4 Portionen"]
+        const yieldMatch = String(first(node.recipeYield) ?? '').match(/\d+/);
+
+        // recipeInstructions: String, String[], HowToStep[] oder HowToSection[]
+        const instructions = [];
+        const collect = (item) => {
+            if (!item) return;
+            if (typeof item === 'string') {
+                stripHtml(item).split(/\n+/).filter(Boolean).forEach(line => instructions.push(line));
+            } else if (Array.isArray(item)) {
+                item.forEach(collect);
+            } else if (item.itemListElement) {
+                collect(item.itemListElement);
+            } else if (item.text || item.name) {
+                instructions.push(stripHtml(item.text || item.name));
+            }
+        };
+        collect(node.recipeInstructions);
+
+        const notes = [];
+        if (node.description) notes.push(stripHtml(node.description));
+        const url = node.url || (node.mainEntityOfPage && (node.mainEntityOfPage['@id'] || node.mainEntityOfPage));
+        if (typeof url === 'string') notes.push(url);
+
+        return {
+            name: stripHtml(first(node.name)),
+            categories: [].concat(node.recipeCategory || []).map(stripHtml),
+            // keywords: "schnell, vegetarisch" oder Liste
+            tags: [].concat(node.keywords || []).flatMap(keyword => stripHtml(keyword).split(',')),
+            servings: yieldMatch ? Number(yieldMatch[0]) : null,
+            ingredients: [].concat(node.recipeIngredient || node.ingredients || []).map(stripHtml),
+            instructions,
+            notes,
+            createdDate: node.datePublished || null,
+            modifiedDate: node.dateModified || null,
+            // estimatedCost: MonetaryAmount oder Text
+            totalCost: node.estimatedCost && typeof node.estimatedCost === 'object' ? node.estimatedCost.value : node.estimatedCost
+        };
+    }
+
+    /**
+     * Importer: CSV mit einer Zutat pro Zeile
+     * Spalten (Kopfzeile, Reihenfolge egal): Rezept, Kategorie, Tags, Portionen, Menge, Einheit,
+     * Produkt, Bemerkung, Preis, Schritt, Anleitung, Notiz. Zeilen mit gleichem Rezeptnamen
+     * werden zu einem Rezept zusammengefasst.
+     * @returns {Object} Importer
+     */
+    static createCsvImporter() {
+        return {
+            id: 'csv',
+            label: 'CSV (eine Zutat pro Zeile)',
+            extensions: ['.csv', '.txt'],
+            canImport: (text) => {
+                const rows = this.parseCsv(text);
+                return rows.length > 1 && this.mapCsvHeader(rows[0]).name !== undefined;
+            },
+            parse: (text) => {
+                const rows = this.parseCsv(text);
+                const columns = this.mapCsvHeader(rows[0]);
+                const cell = (row, key) => columns[key] !== undefined ? String(row[columns[key]] ?? '').trim() : '';
+                const recipes = new Map();
+
+                rows.slice(1).forEach(row => {
+                    const name = cell(row, 'name');
+                    if (!name) return;
+
+                    if (!recipes.has(name)) {
+                        recipes.set(name, { name, categories: [], tags: [], servings: null, ingredients: [], instructions: [], notes: [] });
+                    }
+                    const recipe = recipes.get(name);
+
+                    // Mehrere Kategorien/Tags: in einer Zelle mit Komma oder über mehrere Zeilen verteilt
+                    if (cell(row, 'category')) recipe.categories.push(cell(row, 'category'));
+                    if (cell(row, 'tags')) recipe.tags.push(...RecipeTags.parseTags(cell(row, 'tags')));
+                    if (recipe.servings === null && cell(row, 'servings')) {
+                        const servings = Number(cell(row, 'servings').replace(',', '.'));
+                        recipe.servings = isNaN(servings) ? null : servings;
+                    }
+                    if (cell(row, 'product')) {
+                        recipe.ingredients.push({
+                            amount: cell(row, 'amount'),
+                            unit: cell(row, 'unit'),
+                            product: cell(row, 'product'),
+                            note: cell(row, 'note'),
+                            price: cell(row, 'price')
+                        });
+                    }
+                    if (cell(row, 'instruction')) {
+                        recipe.instructions.push({
+                            step: Number(cell(row, 'step')) || recipe.instructions.length + 1,
+                            text: cell(row, 'instruction')
+                        });
+                    }
+                    if (cell(row, 'notes')) recipe.notes.push(cell(row, 'notes'));
+                });
+
+                return Array.from(recipes.values());
+            }
+        };
+    }
+
+    /**
+     * Ordnet CSV-Kopfzeilen (deutsch/englisch) den Rezept-Feldern zu
+     * @param {string[]} header - Kopfzeile
+     * @returns {Object} Map Feld → Spaltenindex
+     */
+    static mapCsvHeader(header) {
+        const aliases = {
+            name: ['rezept', 'rezeptname', 'name', 'recipe', 'titel', 'title'],
+            category: ['kategorie', 'kategorien', 'category', 'categories'],
+            tags: ['tags', 'tag', 'schlagworte', 'stichworte', 'keywords'],
+            servings: ['portionen', 'personen', 'anzahl personen', 'servings'],
+            amount: ['menge', 'amount', 'quantity'],
+            unit: ['einheit', 'unit'],
+            product: ['produkt', 'zutat', 'ingredient', 'product'],
+            note: ['bemerkung', 'note'],
+            price: ['preis', 'price', 'kosten', 'cost'],
+            step: ['schritt', 'step', 'nr'],
+            instruction: ['anleitung', 'zubereitung', 'instruction', 'instructions'],
+            notes: ['notiz', 'notizen', 'link', 'notes']
+        };
+
+        const columns = {};
+        header.forEach((title, index) => {
+            const key = String(title).trim().toLowerCase();
+            for (const [field, names] of Object.entries(aliases)) {
+                if (names.includes(key) && columns[field] === undefined) {
+                    columns[field] = index;
+                }
+            }
+        });
+        return columns;
+    }
+
+    /**
+     * Minimaler CSV-Parser (Trennzeichen ; oder , automatisch, Anführungszeichen, Zeilenumbrüche in Feldern)
+     * @param {string} text - CSV-Inhalt
+     * @returns {Array<string[]>} Zeilen
+     */
+    static parseCsv(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        const firstLine = content.split(/\r?\n/)[0] || '';
+        const delimiter = (firstLine.match(/;/g) || []).length >= (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (quoted) {
+                if (char === '"' && content[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(field);
+                if (row.some(value => value.trim() !== '')) rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        row.push(field);
+        if (row.some(value => value.trim() !== '')) rows.push(row);
+        return rows;
+    }
+
+    /**
+     * Häufige benannte HTML-Entities (Rest über numerische Entities)
+     * @returns {Object<string, string>}
+     */
+    static get HTML_ENTITIES() {
+        return {
+            amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+            auml: 'ä', ouml: 'ö', uuml: 'ü', Auml: 'Ä', Ouml: 'Ö', Uuml: 'Ü', szlig: 'ß',
+            eacute: 'é', egrave: 'è', agrave: 'à', ccedil: 'ç',
+            frac12: '½', frac14: '¼', frac34: '¾', deg: '°', ndash: '–', mdash: '—', hellip: '…',
+            bdquo: '„', ldquo: '“', rdquo: '”', sbquo: '‚', lsquo: '‘', rsquo: '’', euro: '€'
+        };
+    }
+
+    /**
+     * Wandelt HTML-Entities in Text um ("&amp;" → "&", "&#228;" → "ä")
+     * Unbekannte Entities bleiben stehen.
+     * @param {string} text - Text aus HTML/JSON-LD
+     * @returns {string}
+     */
+    static decodeHtmlEntities(text) {
+        if (!text.includes('&')) return text;
+
+        return text.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z]\w*);/g, (entity, code) => {
+            if (code[0] === '#') {
+                const value = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return value > 0 && value <= 0x10FFFF ? String.fromCodePoint(value) : entity;
+            }
+            return Object.prototype.hasOwnProperty.call(this.HTML_ENTITIES, code) ? this.HTML_ENTITIES[code] : entity;
+        });
+    }
+
+    /**
+     * JSON.parse ohne Exception
+     * @param {string} text - JSON-String
+     * @returns {*} Geparster Wert oder null
+     */
+    static tryParseJson(text) {
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipeImporters;
+}
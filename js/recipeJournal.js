@@ -0,0 +1,258 @@
+/**
+ * RecipeJournal - Favoriten, Bewertungen, "zuletzt gekocht" und Titelbild pro Rezept
+ * Getrennt von den importierten Rezepten im LocalStorage gespeichert,
+ * damit ein erneuter Import der Rezepte.xlsx nichts davon löscht.
+ */
+
+class RecipeJournal {
+    /**
+     * Ab so vielen Tagen gilt ein Rezept als "lange nicht gekocht"
+     * @returns {number}
+     */
+    static get STALE_DAYS() {
+        return 30;
+    }
+
+    constructor() {
+        this.storageKey = 'recipeJournal';
+        // Rezeptname → { favorite, rating, cooked: ['2026-10-18', ...] (aufsteigend), cover: Bild-Kennung }
+        this.entries = {};
+        this.load();
+    }
+
+    /**
+     * Lädt das Journal aus dem LocalStorage
+     */
+    load() {
+        this.entries = {};
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (stored && stored.entries && typeof stored.entries === 'object') {
+                this.entries = stored.entries;
+            }
+        } catch (error) {
+            console.warn('Rezept-Journal konnte nicht geladen werden:', error);
+        }
+    }
+
+    /**
+     * Speichert das Journal im LocalStorage
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify({ entries: this.entries }));
+    }
+
+    /**
+     * @param {string} recipeName - Rezeptname
+     * @returns {{favorite: boolean, rating: number|null, cooked: string[], cover: string|null}} Kopie des Eintrags (mit Standardwerten)
+     */
+    getEntry(recipeName) {
+        const entry = this.entries[recipeName] || {};
+        return {
+            favorite: entry.favorite === true,
+            rating: entry.rating || null,
+            cooked: Array.isArray(entry.cooked) ? [...entry.cooked] : [],
+            cover: typeof entry.cover === 'string' ? entry.cover : null
+        };
+    }
+
+    /**
+     * Ändert einen Eintrag; leere Einträge werden entfernt
+     * @param {string} recipeName - Rezeptname
+     * @param {Object} changes - Zu setzende Felder
+     */
+    updateEntry(recipeName, changes) {
+        const entry = { ...this.getEntry(recipeName), ...changes };
+        if (!entry.favorite && !entry.rating && entry.cooked.length === 0 && !entry.cover) {
+            delete this.entries[recipeName];
+        } else {
+            this.entries[recipeName] = entry;
+        }
+        this.save();
+    }
+
+    /**
+     * Übernimmt eine Umbenennung (ein vorhandener Eintrag unter dem neuen Namen bleibt)
+     * @param {string} oldName - Bisheriger Rezeptname
+     * @param {string} newName - Neuer Rezeptname
+     */
+    renameRecipe(oldName, newName) {
+        if (!this.entries[oldName] || this.entries[newName]) return;
+
+        this.entries[newName] = this.entries[oldName];
+        delete this.entries[oldName];
+        this.save();
+    }
+
+    /**
+     * @param {string} recipeName - Rezeptname
+     * @returns {boolean}
+     */
+    isFavorite(recipeName) {
+        return this.getEntry(recipeName).favorite;
+    }
+
+    /**
+     * @param {string} recipeName - Rezeptname
+     * @returns {boolean} Neuer Zustand
+     */
+    toggleFavorite(recipeName) {
+        const favorite = !this.isFavorite(recipeName);
+        this.updateEntry(recipeName, { favorite });
+        return favorite;
+    }
+
+    /**
+     * @param {string} recipeName - Rezeptname
+     * @returns {number|null} 1-5 Sterne oder null
+     */
+    getRating(recipeName) {
+        return this.getEntry(recipeName).rating;
+    }
+
+    /**
+     * @param {string} recipeName - Rezeptname
+     * @param {number|null} rating - 1-5 Sterne, null/0 entfernt die Bewertung
+     */
+    setRating(recipeName, rating) {
+        const value = Math.round(Number(rating));
+        this.updateEntry(recipeName, { rating: value >= 1 ? Math.min(5, value) : null });
+    }
+
+    /**
+     * @param {string} recipeName - Rezeptname
+     * @returns {string|null} Festgelegtes Titelbild (ImageStore.getImageKey()) oder null = automatisch
+     */
+    getCover(recipeName) {
+        return this.getEntry(recipeName).cover;
+    }
+
+    /**
+     * Legt das Titelbild fest - gilt auch nach einem erneuten Import, solange das Bild
+     * an derselben Stelle im Sheet steht
+     * @param {string} recipeName - Rezeptname
+     * @param {string|null} key - Bild-Kennung (ImageStore.getImageKey()), null = wieder automatisch
+     */
+    setCover(recipeName, key) {
+        this.updateEntry(recipeName, { cover: key || null });
+    }
+
+    /**
+     * Trägt "gekocht" ein (höchstens einmal pro Tag)
+     * @param {string} recipeName - Rezeptname
+     * @param {Date} date - Tag (Standard: heute)
+     * @returns {boolean} false wenn für den Tag schon eingetragen
+     */
+    logCooked(recipeName, date = new Date()) {
+        const day = RecipeJournal.toDateKey(date);
+        const cooked = this.getEntry(recipeName).cooked;
+        if (cooked.includes(day)) return false;
+
+        this.updateEntry(recipeName, { cooked: [...cooked, day].sort() });
+        return true;
+    }
+
+    /**
+     * @param {string} recipeName - Rezeptname
+     * @param {string} day - Tag wie in getEntry().cooked
+     */
+    removeCooked(recipeName, day) {
+        const cooked = this.getEntry(recipeName).cooked.filter(entry => entry !== day);
+        this.updateEntry(recipeName, { cooked });
+    }
+
+    /**
+     * @param {string} recipeName - Rezeptname
+     * @returns {string|null} Letzter Kochtag ("2026-10-18") oder null
+     */
+    getLastCooked(recipeName) {
+        const cooked = this.getEntry(recipeName).cooked;
+        return cooked.length > 0 ? cooked[cooked.length - 1] : null;
+    }
+
+    /**
+     * @param {string} recipeName - Rezeptname
+     * @param {Date} today - Bezugstag
+     * @returns {number|null} Tage seit dem letzten Kochen, null wenn nie gekocht
+     */
+    getDaysSinceCooked(recipeName, today = new Date()) {
+        const last = this.getLastCooked(recipeName);
+        if (!last) return null;
+
+        const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+        return Math.round((todayStart - RecipeJournal.fromDateKey(last)) / 86400000);
+    }
+
+    /**
+     * Verlauf über alle Rezepte
+     * @param {number} limit - Maximale Anzahl Einträge
+     * @returns {Array<{recipeName: string, date: string}>} Neueste zuerst
+     */
+    getHistory(limit = Infinity) {
+        const history = [];
+        for (const [recipeName, entry] of Object.entries(this.entries)) {
+            for (const date of entry.cooked || []) history.push({ recipeName, date });
+        }
+        return history
+            .sort((a, b) => b.date.localeCompare(a.date) || a.recipeName.localeCompare(b.recipeName, 'de'))
+            .slice(0, limit);
+    }
+
+    /**
+     * @param {Array} recipes - Rezepte
+     * @returns {Array} Nur Favoriten (Reihenfolge bleibt)
+     */
+    filterFavorites(recipes) {
+        return recipes.filter(recipe => this.isFavorite(recipe.name));
+    }
+
+    /**
+     * Rezepte, die seit STALE_DAYS Tagen oder noch nie gekocht wurden
+     * @param {Array} recipes - Rezepte
+     * @param {Date} today - Bezugstag
+     * @returns {Array} Am längsten nicht gekochte zuerst, nie gekochte am Ende (Platzhalter ausgelassen)
+     */
+    filterNotCookedRecently(recipes, today = new Date()) {
+        const days = new Map(recipes.map(recipe => [recipe, this.getDaysSinceCooked(recipe.name, today)]));
+        return recipes
+            .filter(recipe => !recipe.isPlaceholder)
+            .filter(recipe => days.get(recipe) === null || days.get(recipe) >= RecipeJournal.STALE_DAYS)
+            .sort((a, b) => (days.get(b) ?? -1) - (days.get(a) ?? -1));
+    }
+
+    /**
+     * @param {Date} date - Datum
+     * @returns {string} Lokaler Tag als "YYYY-MM-DD"
+     */
+    static toDateKey(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * @param {string} key - Tag als "YYYY-MM-DD"
+     * @returns {Date} Lokaler Tagesbeginn
+     */
+    static fromDateKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * @param {number} days - Tage seit dem letzten Kochen
+     * @returns {string} "heute", "gestern", "vor 12 Tagen"
+     */
+    static formatDaysAgo(days) {
+        if (days <= 0) return 'heute';
+        if (days === 1) return 'gestern';
+        return `vor ${days} Tagen`;
+    }
+}
+
+// Globale Instanz erstellen
+const recipeJournal = new RecipeJournal();
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipeJournal;
+}
@@ -0,0 +1,174 @@
+/**
+ * RecipeOverrides - Lokale Änderungen an importierten Rezepten
+ * Gespeichert wird nur, was vom Original (Excel, JSON, CSV) abweicht - pro Original-Name.
+ * Beim erneuten Import werden die Änderungen wieder angewendet; das bearbeitete Rezept
+ * trägt die ersetzten Original-Werte in `original` (zum Anzeigen und Zurücksetzen).
+ */
+
+class RecipeOverrides {
+    /**
+     * Felder, die in der App bearbeitet werden können
+     * @returns {string[]}
+     */
+    static get FIELDS() {
+        return ['name', 'category', 'categories', 'tags', 'servings', 'ingredients', 'instructions', 'notes', 'isPlaceholder'];
+    }
+
+    /**
+     * Anzeigenamen der Felder (Änderungsübersicht)
+     * @returns {Object}
+     */
+    static get FIELD_LABELS() {
+        return {
+            name: 'Titel',
+            category: 'Kategorie',
+            categories: 'Kategorien',
+            tags: 'Tags',
+            servings: 'Portionen',
+            ingredients: 'Zutaten',
+            instructions: 'Zubereitung',
+            notes: 'Bemerkungen',
+            isPlaceholder: 'Platzhalter'
+        };
+    }
+
+    constructor() {
+        this.storageKey = 'recipeOverrides';
+        // Original-Name → { changes: {Feld: Wert}, images: boolean, modifiedAt: ISO-Datum }
+        this.overrides = {};
+        this.load();
+    }
+
+    /**
+     * Lädt die Änderungen aus dem LocalStorage
+     */
+    load() {
+        this.overrides = {};
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (stored && stored.overrides && typeof stored.overrides === 'object') {
+                this.overrides = stored.overrides;
+            }
+        } catch (error) {
+            console.warn('Lokale Rezept-Änderungen konnten nicht geladen werden:', error);
+        }
+    }
+
+    /**
+     * Speichert die Änderungen im LocalStorage
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify({ overrides: this.overrides }));
+    }
+
+    /**
+     * @param {string} sourceName - Name des Rezepts im Original
+     * @returns {{changes: Object, images: boolean, modifiedAt: string}|null}
+     */
+    get(sourceName) {
+        const override = this.overrides[sourceName];
+        return override ? JSON.parse(JSON.stringify(override)) : null;
+    }
+
+    /**
+     * @returns {Array<{sourceName: string, changes: Object, images: boolean, modifiedAt: string}>} Neueste zuerst
+     */
+    getAll() {
+        return Object.entries(this.overrides)
+            .map(([sourceName, override]) => ({ sourceName, ...this.get(sourceName) }))
+            .sort((a, b) => String(b.modifiedAt).localeCompare(String(a.modifiedAt)));
+    }
+
+    /**
+     * Setzt die Änderungen eines Rezepts (ersetzt vorherige)
+     * Ohne Änderungen und ohne eigene Bilder wird der Eintrag entfernt.
+     * @param {string} sourceName - Name des Rezepts im Original
+     * @param {Object} changes - Abweichende Felder (siehe diff())
+     * @param {boolean} images - Bilder wurden in der App ersetzt
+     */
+    set(sourceName, changes, images = false) {
+        if (Object.keys(changes).length === 0 && !images) {
+            delete this.overrides[sourceName];
+        } else {
+            this.overrides[sourceName] = { changes, images, modifiedAt: new Date().toISOString() };
+        }
+        this.save();
+    }
+
+    /**
+     * @param {string} sourceName - Name des Rezepts im Original
+     */
+    remove(sourceName) {
+        delete this.overrides[sourceName];
+        this.save();
+    }
+
+    /**
+     * Wendet die gespeicherten Änderungen auf frisch importierte Rezepte an
+     * @param {Array} recipes - Rezepte wie importiert
+     * @returns {Array} Rezepte mit Änderungen (gleiche Reihenfolge)
+     */
+    applyAll(recipes) {
+        return recipes.map(recipe => {
+            const override = this.overrides[recipe.name];
+            return override ? RecipeOverrides.apply(recipe, override) : recipe;
+        });
+    }
+
+    /**
+     * @param {Object} source - Rezept wie importiert
+     * @param {{changes: Object}} override - Gespeicherte Änderungen
+     * @returns {Object} Bearbeitetes Rezept; `original` enthält die ersetzten Werte
+     */
+    static apply(source, override) {
+        const fields = Object.keys(override.changes || {});
+        if (fields.length === 0) return { ...source };
+
+        const original = {};
+        fields.forEach(field => {
+            original[field] = source[field] ?? null;
+        });
+        return { ...source, ...JSON.parse(JSON.stringify(override.changes)), original };
+    }
+
+    /**
+     * @param {Object} recipe - Bearbeitetes Rezept
+     * @returns {Object} Rezept wie importiert (ohne `original`)
+     */
+    static revert(recipe) {
+        const { original, ...rest } = recipe;
+        return { ...rest, ...(original || {}) };
+    }
+
+    /**
+     * @param {Object} recipe - Rezept (bearbeitet oder nicht)
+     * @returns {string} Name des Rezepts im Original
+     */
+    static getSourceName(recipe) {
+        return recipe.original && recipe.original.name !== undefined ? recipe.original.name : recipe.name;
+    }
+
+    /**
+     * @param {Object} source - Rezept wie importiert
+     * @param {Object} edited - Rezept mit allen Bearbeitungen
+     * @returns {Object} Nur die abweichenden Felder
+     */
+    static diff(source, edited) {
+        const changes = {};
+        for (const field of RecipeOverrides.FIELDS) {
+            if (!(field in edited)) continue;
+            if (JSON.stringify(source[field] ?? null) !== JSON.stringify(edited[field] ?? null)) {
+                changes[field] = JSON.parse(JSON.stringify(edited[field] ?? null));
+            }
+        }
+        return changes;
+    }
+}
+
+// Globale Instanz erstellen
+const recipeOverrides = new RecipeOverrides();
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipeOverrides;
+}
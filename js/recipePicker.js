@@ -0,0 +1,189 @@
+/**
+ * RecipePicker - Gewichtete Zufallsauswahl
+ * Kürzlich angesehene und gekochte Rezepte kommen seltener dran, Favoriten und
+ * gut bewertete öfter, Platzhalter nie. Gewichtung ist einstellbar (LocalStorage).
+ */
+
+class RecipePicker {
+    /**
+     * Standard-Gewichtung
+     * favoriteBoost: Faktor für Favoriten
+     * ratingWeight: pro Stern über/unter 3 (5 Sterne → ×1,5, 1 Stern → ×0,5)
+     * recentCount: so viele zuletzt angesehene Rezepte werden gebremst
+     * recentPenalty: Faktor für das vorletzte Rezept, steigt bis 1 beim ältesten
+     * cookedDays: so lange nach dem Kochen wird gebremst
+     * cookedPenalty: Faktor direkt nach dem Kochen, steigt bis 1 nach cookedDays
+     * @returns {Object}
+     */
+    static get DEFAULT_SETTINGS() {
+        return {
+            favoriteBoost: 3,
+            ratingWeight: 0.25,
+            recentCount: 10,
+            recentPenalty: 0.2,
+            cookedDays: 14,
+            cookedPenalty: 0.1
+        };
+    }
+
+    constructor() {
+        this.storageKey = 'recipePicker';
+        // Zuletzt angesehene Rezepte, neuestes zuerst
+        this.recent = [];
+        this.settings = RecipePicker.DEFAULT_SETTINGS;
+        this.load();
+    }
+
+    /**
+     * Lädt Verlauf und Gewichtung aus dem LocalStorage
+     */
+    load() {
+        this.recent = [];
+        this.settings = RecipePicker.DEFAULT_SETTINGS;
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (stored) {
+                this.recent = Array.isArray(stored.recent) ? stored.recent : [];
+                this.settings = { ...RecipePicker.DEFAULT_SETTINGS, ...stored.settings };
+            }
+        } catch (error) {
+            console.warn('Zufallsauswahl-Einstellungen konnten nicht geladen werden:', error);
+        }
+    }
+
+    /**
+     * Speichert Verlauf und Gewichtung im LocalStorage
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            recent: this.recent,
+            settings: this.settings
+        }));
+    }
+
+    /**
+     * @returns {Object} Aktuelle Gewichtung (siehe DEFAULT_SETTINGS)
+     */
+    getSettings() {
+        return { ...this.settings };
+    }
+
+    /**
+     * @param {Object} changes - Zu ändernde Werte (unbekannte Schlüssel werden ignoriert)
+     */
+    updateSettings(changes) {
+        for (const key of Object.keys(RecipePicker.DEFAULT_SETTINGS)) {
+            const value = Number(changes[key]);
+            if (key in changes && Number.isFinite(value) && value >= 0) {
+                this.settings[key] = value;
+            }
+        }
+        this.save();
+    }
+
+    resetSettings() {
+        this.settings = RecipePicker.DEFAULT_SETTINGS;
+        this.save();
+    }
+
+    /**
+     * Merkt ein angezeigtes Rezept (Detail-Seite)
+     * @param {string} recipeName - Rezeptname
+     */
+    remember(recipeName) {
+        this.recent = [recipeName, ...this.recent.filter(name => name !== recipeName)]
+            .slice(0, Math.max(1, this.settings.recentCount));
+        this.save();
+    }
+
+    /**
+     * Gewicht eines Rezepts für die Auswahl
+     * @param {Object} recipe - Rezept
+     * @param {Date} today - Bezugstag
+     * @returns {number} 0 = nie auswählen
+     */
+    getWeight(recipe, today = new Date()) {
+        if (!recipe || recipe.isPlaceholder) return 0;
+
+        const settings = this.settings;
+        let weight = 1;
+
+        // Zuletzt angesehen: das letzte gar nicht, ältere zunehmend weniger gebremst
+        const recentIndex = this.recent.indexOf(recipe.name);
+        if (recentIndex === 0) return 0;
+        if (recentIndex > 0 && recentIndex < settings.recentCount) {
+            weight *= settings.recentPenalty + (1 - settings.recentPenalty) * (recentIndex / settings.recentCount);
+        }
+
+        if (typeof recipeJournal !== 'undefined') {
+            const entry = recipeJournal.getEntry(recipe.name);
+            if (entry.favorite) weight *= settings.favoriteBoost;
+            if (entry.rating) weight *= Math.max(0, 1 + (entry.rating - 3) * settings.ratingWeight);
+
+            const days = recipeJournal.getDaysSinceCooked(recipe.name, today);
+            if (days !== null && days < settings.cookedDays) {
+                weight *= settings.cookedPenalty + (1 - settings.cookedPenalty) * (days / settings.cookedDays);
+            }
+        }
+
+        return weight;
+    }
+
+    /**
+     * Wählt ein Rezept gewichtet aus
+     * @param {Array} recipes - Kandidaten (z.B. aktuell gefilterte Rezepte)
+     * @returns {Object|null} Rezept oder null wenn keine Kandidaten
+     */
+    pick(recipes) {
+        return this.pickShortlist(recipes, 1)[0] || null;
+    }
+
+    /**
+     * Wählt mehrere verschiedene Rezepte gewichtet aus (z.B. für das Glücksrad)
+     * @param {Array} recipes - Kandidaten
+     * @param {number} count - Anzahl
+     * @returns {Array} Bis zu count Rezepte, ohne Platzhalter
+     */
+    pickShortlist(recipes, count = 3) {
+        const candidates = recipes.filter(recipe => !recipe.isPlaceholder);
+        let weights = candidates.map(recipe => this.getWeight(recipe));
+
+        // Nur das zuletzt angesehene übrig - dann lieber das als gar nichts
+        if (weights.every(weight => weight === 0)) weights = candidates.map(() => 1);
+
+        return RecipePicker.weightedSample(candidates, weights, count);
+    }
+
+    /**
+     * Ziehen ohne Zurücklegen
+     * @param {Array} items - Elemente
+     * @param {number[]} weights - Gewicht pro Element (0 = nie)
+     * @param {number} count - Anzahl
+     * @returns {Array}
+     */
+    static weightedSample(items, weights, count) {
+        const pool = items.map((item, index) => ({ item, weight: weights[index] })).filter(entry => entry.weight > 0);
+        const result = [];
+
+        while (result.length < count && pool.length > 0) {
+            const total = pool.reduce((sum, entry) => sum + entry.weight, 0);
+            let threshold = Math.random() * total;
+            let index = 0;
+            while (index < pool.length - 1 && threshold >= pool[index].weight) {
+                threshold -= pool[index].weight;
+                index++;
+            }
+            result.push(pool.splice(index, 1)[0].item);
+        }
+
+        return result;
+    }
+}
+
+// Globale Instanz erstellen
+const recipePicker = new RecipePicker();
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipePicker;
+}
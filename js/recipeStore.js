@@ -0,0 +1,200 @@
+/**
+ * RecipeStore - IndexedDB Manager für Rezept-Daten
+ * Ersetzt die bisherige Speicherung als JSON-String im LocalStorage
+ */
+
+class RecipeStore {
+    constructor() {
+        this.database = typeof recipeDatabase !== 'undefined' ? recipeDatabase : null;
+        this.storeName = 'recipes';
+        this.metaStoreName = 'meta';
+        this.db = null;
+    }
+
+    /**
+     * Initialisiert die IndexedDB (gemeinsame Datenbank, siehe database.js)
+     * @returns {Promise<void>}
+     */
+    async init() {
+        if (!this.database) {
+            throw new Error('IndexedDB konnte nicht geöffnet werden');
+        }
+        this.db = await this.database.open();
+    }
+
+    /**
+     * Ersetzt alle gespeicherten Rezepte (eine Transaktion - alles oder nichts)
+     * @param {Array} recipes - Alle Rezepte
+     * @returns {Promise<void>}
+     */
+    async saveAll(recipes) {
+        if (!this.db) {
+            await this.init();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, this.metaStoreName], 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+
+            store.clear();
+            recipes.forEach(recipe => store.put(recipe));
+
+            transaction.objectStore(this.metaStoreName).put({
+                key: 'recipes_timestamp',
+                value: new Date().toISOString()
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(new Error(`Fehler beim Speichern der Rezepte: ${transaction.error?.message || 'unbekannt'}`));
+            transaction.onabort = () => reject(new Error(`Speichern abgebrochen: ${transaction.error?.message || 'Speicher voll?'}`));
+        });
+    }
+
+    /**
+     * Schreibt nur geänderte Rezepte und löscht entfernte (eine Transaktion)
+     * @param {Array} putRecipes - Neue oder geänderte Rezepte
+     * @param {Array<number>} deleteIds - IDs der zu löschenden Rezepte
+     * @returns {Promise<void>}
+     */
+    async applyChanges(putRecipes, deleteIds) {
+        if (!this.db) {
+            await this.init();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, this.metaStoreName], 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+
+            deleteIds.forEach(id => store.delete(id));
+            putRecipes.forEach(recipe => store.put(recipe));
+
+            transaction.objectStore(this.metaStoreName).put({
+                key: 'recipes_timestamp',
+                value: new Date().toISOString()
+            });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(new Error(`Fehler beim Speichern der Rezepte: ${transaction.error?.message || 'unbekannt'}`));
+            transaction.onabort = () => reject(new Error(`Speichern abgebrochen: ${transaction.error?.message || 'Speicher voll?'}`));
+        });
+    }
+
+    /**
+     * Lädt alle gespeicherten Rezepte
+     * @returns {Promise<Array>} Array mit allen Rezepten (leer wenn keine vorhanden)
+     */
+    async getAll() {
+        if (!this.db) {
+            await this.init();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const store = transaction.objectStore(this.storeName);
+            const request = store.getAll();
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(new Error('Fehler beim Laden der Rezepte'));
+        });
+    }
+
+    /**
+     * Gibt die Anzahl gespeicherter Rezepte zurück
+     * @returns {Promise<number>}
+     */
+    async getCount() {
+        if (!this.db) {
+            await this.init();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName], 'readonly');
+            const store = transaction.objectStore(this.storeName);
+            const request = store.count();
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(new Error('Fehler beim Zählen der Rezepte'));
+        });
+    }
+
+    /**
+     * Liest einen Wert aus dem Meta-Store
+     * @param {string} key - Schlüssel
+     * @returns {Promise<*>} Gespeicherter Wert oder null
+     */
+    async getMeta(key) {
+        if (!this.db) {
+            await this.init();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.metaStoreName], 'readonly');
+            const request = transaction.objectStore(this.metaStoreName).get(key);
+
+            request.onsuccess = () => resolve(request.result ? request.result.value : null);
+            request.onerror = () => reject(new Error(`Fehler beim Laden von ${key}`));
+        });
+    }
+
+    /**
+     * Löscht alle Rezepte und Metadaten
+     * @returns {Promise<void>}
+     */
+    async clearAll() {
+        if (!this.db) {
+            await this.init();
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction([this.storeName, this.metaStoreName], 'readwrite');
+            transaction.objectStore(this.storeName).clear();
+            transaction.objectStore(this.metaStoreName).clear();
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(new Error('Fehler beim Löschen aller Rezepte'));
+        });
+    }
+
+    /**
+     * Einmalige Migration: Übernimmt Rezepte aus dem alten LocalStorage-Format
+     * Die LocalStorage-Einträge werden erst nach erfolgreichem Speichern entfernt.
+     * @returns {Promise<boolean>} True wenn Rezepte migriert wurden
+     */
+    async migrateFromLocalStorage() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem('recipes');
+        } catch (error) {
+            return false;
+        }
+        if (!stored) return false;
+
+        let recipes;
+        try {
+            recipes = JSON.parse(stored);
+        } catch (error) {
+            console.error('Alte Rezept-Daten im LocalStorage sind beschädigt:', error);
+            return false;
+        }
+
+        // Nur migrieren wenn IndexedDB noch leer ist - nie neuere Daten überschreiben
+        let migrated = false;
+        if (Array.isArray(recipes) && recipes.length > 0 && await this.getCount() === 0) {
+            await this.saveAll(recipes);
+            migrated = true;
+            console.log(`${recipes.length} Rezepte aus LocalStorage nach IndexedDB migriert`);
+        }
+
+        localStorage.removeItem('recipes');
+        localStorage.removeItem('recipes_timestamp');
+        return migrated;
+    }
+}
+
+// Globale Instanz erstellen
+const recipeStore = new RecipeStore();
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipeStore;
+}
@@ -0,0 +1,171 @@
+/**
+ * RecipeTags - Mehrere Kategorien und freie Tags pro Rezept
+ * Kategorien sind hierarchisch ("Mittagessen - Salzig" gehört zu "Mittagessen"),
+ * Tags ("vegetarisch", "schnell", "Ofen") werden ohne Groß/Klein verglichen.
+ * Ältere gespeicherte Rezepte haben nur `category` - alle Zugriffe laufen deshalb hierüber.
+ */
+
+class RecipeTags {
+    /**
+     * Trenner zwischen Haupt- und Unterkategorie
+     * @returns {string}
+     */
+    static get CATEGORY_SEPARATOR() {
+        return ' - ';
+    }
+
+    /**
+     * @returns {string}
+     */
+    static get DEFAULT_CATEGORY() {
+        return 'Ohne Kategorie';
+    }
+
+    /**
+     * @param {Object} recipe - Rezept
+     * @returns {string[]} Alle Kategorien, die erste ist `recipe.category`
+     */
+    static getCategories(recipe) {
+        if (Array.isArray(recipe.categories) && recipe.categories.length > 0) return recipe.categories;
+        return recipe.category ? [recipe.category] : [];
+    }
+
+    /**
+     * @param {Object} recipe - Rezept
+     * @returns {string[]}
+     */
+    static getTags(recipe) {
+        return Array.isArray(recipe.tags) ? recipe.tags : [];
+    }
+
+    /**
+     * @param {string} category - "Mittagessen - Salzig"
+     * @returns {string} "Mittagessen"
+     */
+    static getMainCategory(category) {
+        const separator = category.indexOf(RecipeTags.CATEGORY_SEPARATOR);
+        return separator === -1 ? category : category.slice(0, separator);
+    }
+
+    /**
+     * @param {string} category - "Mittagessen - Salzig"
+     * @returns {string} "Salzig" ('' ohne Unterkategorie)
+     */
+    static getSubCategory(category) {
+        const separator = category.indexOf(RecipeTags.CATEGORY_SEPARATOR);
+        return separator === -1 ? '' : category.slice(separator + RecipeTags.CATEGORY_SEPARATOR.length);
+    }
+
+    /**
+     * Hauptkategorie schließt alle Unterkategorien ein
+     * @param {Object} recipe - Rezept
+     * @param {string|null} category - "Mittagessen", "Mittagessen - Salzig" oder null/'Alle'
+     * @returns {boolean}
+     */
+    static matchesCategory(recipe, category) {
+        if (!category || category === 'Alle') return true;
+
+        const prefix = category + RecipeTags.CATEGORY_SEPARATOR;
+        return RecipeTags.getCategories(recipe).some(entry => entry === category || entry.startsWith(prefix));
+    }
+
+    /**
+     * @param {Object} recipe - Rezept
+     * @param {string[]} tags - Gesuchte Tags
+     * @returns {boolean} Hat das Rezept alle Tags (UND)?
+     */
+    static hasAllTags(recipe, tags) {
+        const own = new Set(RecipeTags.getTags(recipe).map(RecipeTags.normalizeTag));
+        return tags.every(tag => own.has(RecipeTags.normalizeTag(tag)));
+    }
+
+    /**
+     * @param {string} tag - Tag
+     * @returns {string} Vergleichsform ("#Vegetarisch " → "vegetarisch")
+     */
+    static normalizeTag(tag) {
+        return String(tag).trim().replace(/^#+/, '').replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    /**
+     * Liest Tags aus Freitext ("vegetarisch, schnell; #Ofen") oder einer Liste
+     * Doppelte (auch in anderer Schreibweise) fallen weg, die erste Schreibweise bleibt.
+     * @param {string|string[]|null} value - Tags
+     * @returns {string[]}
+     */
+    static parseTags(value) {
+        const items = Array.isArray(value) ? value : String(value ?? '').split(/[,;\n]/);
+        const tags = items
+            .map(item => String(item ?? '').trim().replace(/^#+/, '').replace(/\s+/g, ' '))
+            .filter(Boolean);
+        return RecipeTags.unique(tags, RecipeTags.normalizeTag);
+    }
+
+    /**
+     * Liest Kategorien aus einer Liste oder Text ("Hauptgericht, Pasta")
+     * @param {string|string[]|null} value - Kategorien
+     * @returns {string[]}
+     */
+    static parseCategories(value) {
+        const items = Array.isArray(value) ? value : String(value ?? '').split(/[,;]/);
+        return RecipeTags.unique(items.map(item => String(item ?? '').trim()).filter(Boolean), item => item);
+    }
+
+    /**
+     * @param {string[]} items - Einträge
+     * @param {Function} key - Vergleichsschlüssel
+     * @returns {string[]} Ohne Duplikate, Reihenfolge bleibt
+     */
+    static unique(items, key) {
+        const seen = new Set();
+        return items.filter(item => {
+            const itemKey = key(item);
+            if (seen.has(itemKey)) return false;
+            seen.add(itemKey);
+            return true;
+        });
+    }
+
+    /**
+     * Gruppiert Kategorien nach Hauptkategorie (für den hierarchischen Filter)
+     * @param {string[]} categories - Alle Kategorien (generator.getAllCategories())
+     * @returns {Array<{main: string, categories: string[]}>} Alphabetisch; categories = Unterkategorien (voller Name)
+     */
+    static getCategoryTree(categories) {
+        const tree = new Map();
+        for (const category of categories) {
+            const main = RecipeTags.getMainCategory(category);
+            if (!tree.has(main)) tree.set(main, []);
+            if (category !== main) tree.get(main).push(category);
+        }
+
+        return Array.from(tree.entries())
+            .map(([main, subs]) => ({ main, categories: subs.sort((a, b) => a.localeCompare(b, 'de')) }))
+            .sort((a, b) => a.main.localeCompare(b.main, 'de'));
+    }
+
+    /**
+     * Zählt Tags über mehrere Rezepte (Schreibweisen werden zusammengefasst)
+     * @param {Array} recipes - Rezepte
+     * @returns {Array<{tag: string, count: number}>} Häufigste zuerst
+     */
+    static countTags(recipes) {
+        const counts = new Map();
+        for (const recipe of recipes) {
+            for (const tag of RecipeTags.getTags(recipe)) {
+                const key = RecipeTags.normalizeTag(tag);
+                const entry = counts.get(key) || { tag, count: 0 };
+                entry.count++;
+                counts.set(key, entry);
+            }
+        }
+
+        return Array.from(counts.values())
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, 'de'));
+    }
+}
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecipeTags;
+}
@@ -0,0 +1,309 @@
+/**
+ * SearchIndex - Volltextsuche über Name, Kategorien, Tags, Zutaten, Anleitung und Notizen
+ * Deutsch-freundliche Normalisierung (Umlaute, ß, einfache Wortstämme),
+ * Tippfehler-Toleranz und Gewichtung (Treffer im Titel > Zutat > Anleitung).
+ */
+
+class SearchIndex {
+    /**
+     * Gewichtung pro Feld
+     * @returns {Object}
+     */
+    static get FIELD_WEIGHTS() {
+        return {
+            name: 10,
+            category: 4,
+            tag: 4,
+            ingredient: 5,
+            instruction: 2,
+            notes: 1
+        };
+    }
+
+    /**
+     * @param {Array} recipes - Zu indizierende Rezepte
+     */
+    constructor(recipes) {
+        this.recipes = recipes;
+        // Wortstamm → Map(recipeId → { score, fields: Set })
+        this.postings = new Map();
+        this.build();
+    }
+
+    /**
+     * Baut den invertierten Index
+     */
+    build() {
+        for (const recipe of this.recipes) {
+            this.addField(recipe, 'name', recipe.name);
+            for (const category of recipe.categories || [recipe.category]) {
+                this.addField(recipe, 'category', category);
+            }
+            for (const tag of recipe.tags || []) {
+                this.addField(recipe, 'tag', tag);
+            }
+
+            for (const ingredient of recipe.ingredients || []) {
+                this.addField(recipe, 'ingredient', ingredient.product);
+            }
+            // Platzhalter haben nur einen generischen Hinweistext als Anleitung
+            if (!recipe.isPlaceholder) {
+                for (const instruction of recipe.instructions || []) {
+                    this.addField(recipe, 'instruction', instruction.text);
+                }
+            }
+            for (const note of recipe.notes || []) {
+                this.addField(recipe, 'notes', note);
+            }
+        }
+    }
+
+    /**
+     * @param {Object} recipe - Rezept
+     * @param {string} field - Feldname (siehe FIELD_WEIGHTS)
+     * @param {string} text - Inhalt
+     */
+    addField(recipe, field, text) {
+        const weight = SearchIndex.FIELD_WEIGHTS[field];
+
+        for (const token of SearchIndex.tokenize(text)) {
+            const stem = SearchIndex.stem(token);
+            if (!this.postings.has(stem)) this.postings.set(stem, new Map());
+
+            const entries = this.postings.get(stem);
+            const entry = entries.get(recipe.id) || { score: 0, fields: new Set() };
+            // Pro Feld nur einmal zählen - zehnmal "Salz" in der Anleitung macht kein Salz-Rezept
+            if (!entry.fields.has(field)) {
+                entry.score += weight;
+                entry.fields.add(field);
+            }
+            entries.set(recipe.id, entry);
+        }
+    }
+
+    /**
+     * Sucht Rezepte - alle Suchwörter müssen vorkommen (UND)
+     * @param {string} query - Suchbegriff(e)
+     * @returns {Array<{recipe: Object, score: number, fields: Set<string>, stems: Set<string>}>} Nach Relevanz sortiert
+     */
+    search(query) {
+        const queryStems = SearchIndex.tokenize(query).map(token => SearchIndex.stem(token));
+        if (queryStems.length === 0) return [];
+
+        let results = null;
+
+        for (const queryStem of queryStems) {
+            const hits = new Map();
+
+            for (const [term, quality] of this.matchTerms(queryStem)) {
+                for (const [recipeId, entry] of this.postings.get(term)) {
+                    const hit = hits.get(recipeId) || { score: 0, fields: new Set(), stems: new Set() };
+                    hit.score = Math.max(hit.score, entry.score * quality);
+                    entry.fields.forEach(field => hit.fields.add(field));
+                    hit.stems.add(term);
+                    hits.set(recipeId, hit);
+                }
+            }
+
+            if (results === null) {
+                results = hits;
+            } else {
+                // UND-Verknüpfung: nur Rezepte behalten, die auch dieses Wort enthalten
+                for (const [recipeId, result] of results) {
+                    const hit = hits.get(recipeId);
+                    if (!hit) {
+                        results.delete(recipeId);
+                        continue;
+                    }
+                    result.score += hit.score;
+                    hit.fields.forEach(field => result.fields.add(field));
+                    hit.stems.forEach(stem => result.stems.add(stem));
+                }
+            }
+        }
+
+        const byId = new Map(this.recipes.map(recipe => [recipe.id, recipe]));
+        return Array.from(results, ([recipeId, result]) => ({ recipe: byId.get(recipeId), ...result }))
+            .filter(result => result.recipe)
+            .sort((a, b) => b.score - a.score || a.recipe.name.localeCompare(b.recipe.name, 'de'));
+    }
+
+    /**
+     * Findet passende Index-Wörter zu einem Suchwort
+     * Exakt 1.0, Wortanfang 0.8 (ab 3 Zeichen), Tippfehler 0.6 (ab 4 Zeichen),
+     * Wortteil 0.5 (ab 4 Zeichen, z.B. "suppe" in "Zucchinisuppe")
+     * @param {string} queryStem - Normalisierter Wortstamm
+     * @returns {Map<string, number>} Index-Wort → Qualität
+     */
+    matchTerms(queryStem) {
+        const matches = new Map();
+        const query = SearchIndex.fold(queryStem);
+        const maxDistance = query.length >= 8 ? 2 : (query.length >= 4 ? 1 : 0);
+
+        for (const term of this.postings.keys()) {
+            const folded = SearchIndex.fold(term);
+
+            if (folded === query) {
+                matches.set(term, 1);
+            } else if (query.length >= 3 && folded.startsWith(query)) {
+                matches.set(term, 0.8);
+            } else if (maxDistance > 0 && Math.abs(folded.length - query.length) <= maxDistance &&
+                SearchIndex.editDistance(folded, query, maxDistance) <= maxDistance) {
+                matches.set(term, 0.6);
+            } else if (query.length >= 4 && folded.includes(query)) {
+                matches.set(term, 0.5);
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Vergleichsform ohne Umlaut-Umschreibung: "kaese" und "kase" sind gleich
+     * @param {string} stem - Normalisierter Wortstamm
+     * @returns {string}
+     */
+    static fold(stem) {
+        return stem.replace(/([aou])e/g, '$1');
+    }
+
+    /**
+     * Normalisiert Text: Kleinschreibung, Umlaute → ae/oe/ue, ß → ss, Akzente entfernen
+     * @param {string} text - Text
+     * @returns {string}
+     */
+    static normalize(text) {
+        return String(text ?? '')
+            .toLowerCase()
+            .replace(/ä/g, 'ae')
+            .replace(/ö/g, 'oe')
+            .replace(/ü/g, 'ue')
+            .replace(/ß/g, 'ss')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '');
+    }
+
+    /**
+     * Zerlegt Text in normalisierte Wörter (mind. 2 Zeichen)
+     * @param {string} text - Text
+     * @returns {string[]}
+     */
+    static tokenize(text) {
+        return SearchIndex.normalize(text)
+            .split(/[^a-z0-9]+/)
+            .filter(token => token.length >= 2);
+    }
+
+    /**
+     * Wortenden, deren -s zum Wort gehört (Reis, Milchreis, Mais) - als "rei" passte
+     * der Vorrat "Reis" sonst zu "Brei"
+     * @returns {string[]}
+     */
+    static get STEM_KEEP_S() {
+        return ['eis', 'ais'];
+    }
+
+    /**
+     * Sehr einfacher deutscher Wortstamm: Plural-/Flexionsendungen abschneiden
+     * Kartoffeln → kartoffel, Tomaten/Tomate → tomat, Zwiebeln → zwiebel, Reis → reis
+     * @param {string} token - Normalisiertes Wort
+     * @returns {string}
+     */
+    static stem(token) {
+        if (SearchIndex.STEM_KEEP_S.some(ending => token.endsWith(ending))) return token;
+
+        for (const suffix of ['ern', 'en', 'er', 'es', 'e', 'n', 's']) {
+            if (token.endsWith(suffix) && token.length - suffix.length >= 3) {
+                return token.slice(0, -suffix.length);
+            }
+        }
+        return token;
+    }
+
+    /**
+     * Levenshtein-Distanz mit Abbruch, sobald maxDistance überschritten ist
+     * @param {string} a - Wort 1
+     * @param {string} b - Wort 2
+     * @param {number} maxDistance - Obergrenze
+     * @returns {number} Distanz (maxDistance + 1 wenn größer)
+     */
+    static editDistance(a, b, maxDistance) {
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > maxDistance) return maxDistance + 1;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Markiert Treffer in einem Text mit <mark> (HTML-escaped)
+     * @param {string} text - Originaltext
+     * @param {Set<string>} stems - Getroffene Wortstämme (aus search())
+     * @returns {string} HTML
+     */
+    static highlight(text, stems) {
+        return String(text ?? '')
+            .split(/([\p{L}\p{N}]+)/u)
+            .map(part => {
+                const escaped = SearchIndex.escapeHTML(part);
+                const tokens = SearchIndex.tokenize(part);
+                const isHit = tokens.length === 1 && stems && stems.has(SearchIndex.stem(tokens[0]));
+                return isHit ? `<mark>${escaped}</mark>` : escaped;
+            })
+            .join('');
+    }
+
+    /**
+     * Kurzer Textausschnitt rund um den ersten Treffer (für Anleitung/Notizen)
+     * @param {string} text - Originaltext
+     * @param {Set<string>} stems - Getroffene Wortstämme
+     * @param {number} radius - Zeichen vor/nach dem Treffer
+     * @returns {string|null} Markiertes HTML oder null ohne Treffer
+     */
+    static snippet(text, stems, radius = 40) {
+        text = String(text ?? '');
+        const words = text.split(/([\p{L}\p{N}]+)/u);
+        let position = 0;
+
+        for (const word of words) {
+            const tokens = SearchIndex.tokenize(word);
+            if (tokens.length === 1 && stems.has(SearchIndex.stem(tokens[0]))) {
+                const start = Math.max(0, position - radius);
+                const end = Math.min(text.length, position + word.length + radius);
+                return (start > 0 ? '…' : '') +
+                    SearchIndex.highlight(text.slice(start, end), stems) +
+                    (end < text.length ? '…' : '');
+            }
+            position += word.length;
+        }
+
+        return null;
+    }
+
+    /**
+     * @param {string} text - Text
+     * @returns {string} HTML-escaped
+     */
+    static escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchIndex;
+}
@@ -0,0 +1,93 @@
+/**
+ * ServiceWorkerManager - Registriert den Service Worker und meldet Updates
+ * Neue Versionen werden erst nach Bestätigung durch den User aktiviert
+ */
+
+class ServiceWorkerManager {
+    /**
+     * Registriert den Service Worker (nur bei http/https)
+     * @param {string} swUrl - Pfad zu sw.js relativ zur aktuellen Seite
+     * @param {string} scope - Scope des Service Workers (App-Root)
+     * @returns {Promise<ServiceWorkerRegistration|null>}
+     */
+    static async register(swUrl, scope) {
+        if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') {
+            return null;
+        }
+
+        try {
+            // Erster Besuch: clients.claim() löst controllerchange aus, das ist kein Update
+            const hadController = Boolean(navigator.serviceWorker.controller);
+            const registration = await navigator.serviceWorker.register(swUrl, { scope: scope });
+            // Wird gesetzt, wenn dieser Tab SKIP_WAITING sendet
+            let updateRequested = false;
+            const onUpdate = () => {
+                updateRequested = true;
+            };
+
+            // Bereits wartende Version (z.B. von einem früheren Besuch)
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdateBanner(registration.waiting, onUpdate);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const newWorker = registration.installing;
+                if (!newWorker) return;
+
+                newWorker.addEventListener('statechange', () => {
+                    // Nur melden wenn bereits eine alte Version die Seite kontrolliert
+                    if (newWorker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdateBanner(newWorker, onUpdate);
+                    }
+                });
+            });
+
+            // Neue Version hat übernommen → Seite einmalig neu laden, aber nur in dem Tab,
+            // der "Aktualisieren" geklickt hat (andere Tabs verlieren sonst z.B. offene Bearbeitungen)
+            let reloading = false;
+            navigator.serviceWorker.addEventListener('controllerchange', () => {
+                if (reloading || !hadController || !updateRequested) return;
+                reloading = true;
+                window.location.reload();
+            });
+
+            return registration;
+        } catch (error) {
+            console.warn('Service Worker konnte nicht registriert werden:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Zeigt Hinweis "Neue Version verfügbar" mit Button zum Aktualisieren
+     * @param {ServiceWorker} worker - Der wartende Service Worker
+     * @param {Function} onUpdate - Optional: wird vor dem Aktivieren aufgerufen
+     */
+    static showUpdateBanner(worker, onUpdate = null) {
+        if (document.getElementById('updateBanner')) return;
+
+        const banner = document.createElement('div');
+        banner.id = 'updateBanner';
+        banner.className = 'update-banner';
+        banner.innerHTML = `
+            <span>✨ Eine neue Version ist verfügbar</span>
+            <button class="update-banner-btn" id="updateBannerReload">Aktualisieren</button>
+            <button class="update-banner-close" id="updateBannerClose" title="Später">✕</button>
+        `;
+
+        document.body.appendChild(banner);
+
+        document.getElementById('updateBannerReload').addEventListener('click', () => {
+            if (onUpdate) onUpdate();
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        });
+        document.getElementById('updateBannerClose').addEventListener('click', () => {
+            banner.remove();
+        });
+    }
+}
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ServiceWorkerManager;
+}
@@ -0,0 +1,296 @@
+/**
+ * SheetLayout - Layout-Profile für Rezept-Sheets
+ * Beschreibt, wo Labels, Zutaten-Spalten und Anleitung in einem Sheet stehen.
+ * Spalten sind 0-basiert (0 = A, 3 = D).
+ *
+ * Label-Vergleich:
+ * - servings / createdDate / modifiedDate / notes / costs / tags: Zelle *enthält* das Label
+ * - ingredients.header / endMarkers / instructions.headers: Zelle ist *exakt* das Label
+ */
+
+class SheetLayout {
+    /**
+     * Standard-Profil: Die bisherige Rezepte.xlsx-Vorlage
+     * @returns {Object} Layout-Profil
+     */
+    static get DEFAULT_PROFILE() {
+        return {
+            id: 'standard',
+            name: 'Standard-Vorlage (Rezepte.xlsx)',
+            indexSheet: 'Inhaltsverzeichnis',
+            skipSheets: ['Inhaltsverzeichnis', 'Vorlage'],
+            servings: { label: 'Anzahl Personen', labelColumn: 0, valueColumns: [3, 1] },
+            createdDate: { label: 'Erstelldatum', labelColumn: 3, valueColumn: 6 },
+            modifiedDate: { label: 'Geändert am', labelColumn: 3, valueColumn: 6 },
+            ingredients: {
+                header: [
+                    { column: 0, label: 'Menge' },
+                    { column: 3, label: 'Produkt' }
+                ],
+                columns: { amount: 0, unit: 2, product: 3, note: 4, price: 5 },
+                endMarkers: [
+                    { column: 0, label: 'Zubereitung' },
+                    { column: 4, label: 'Total Warenkosten' }
+                ]
+            },
+            costs: { label: 'Total Warenkosten', labelColumn: 4, valueColumns: [5, 6] },
+            tags: { label: 'Tags', labelColumn: 0, valueColumns: [3, 1] },
+            instructions: {
+                headers: ['Zubereitung', 'Anleitung'],
+                headerColumn: 0,
+                columns: { step: 0, text: 1 }
+            },
+            notes: { labels: ['Bemerkung', 'Notiz'], labelColumn: 0, column: 0 }
+        };
+    }
+
+    /**
+     * Mitgelieferte Profile (Standard zuerst - gewinnt bei Gleichstand)
+     * @returns {Array<Object>}
+     */
+    static get BUILTIN_PROFILES() {
+        const compact = this.mergeProfile(this.DEFAULT_PROFILE, {
+            id: 'kompakt',
+            name: 'Kompakt (Menge | Einheit | Produkt | Bemerkung in A-D)',
+            servings: { label: 'Portionen', labelColumn: 0, valueColumns: [1] },
+            createdDate: { label: 'Erstellt', labelColumn: 0, valueColumn: 1 },
+            modifiedDate: { label: 'Geändert', labelColumn: 0, valueColumn: 1 },
+            ingredients: {
+                header: [
+                    { column: 0, label: 'Menge' },
+                    { column: 2, label: 'Produkt' }
+                ],
+                columns: { amount: 0, unit: 1, product: 2, note: 3, price: 4 },
+                endMarkers: [
+                    { column: 0, label: 'Zubereitung' },
+                    { column: 0, label: 'Anleitung' }
+                ]
+            }
+        });
+
+        return [this.DEFAULT_PROFILE, compact];
+    }
+
+    /**
+     * Alle Profile: mitgelieferte + eigene (LocalStorage)
+     * @returns {Array<Object>}
+     */
+    static getProfiles() {
+        return [...this.BUILTIN_PROFILES, ...this.loadCustomProfiles()];
+    }
+
+    /**
+     * Lädt eigene Profile aus dem LocalStorage
+     * @returns {Array<Object>}
+     */
+    static loadCustomProfiles() {
+        try {
+            const stored = localStorage.getItem('layoutProfiles');
+            const profiles = stored ? JSON.parse(stored) : [];
+            return profiles.map(profile => this.mergeProfile(this.DEFAULT_PROFILE, profile));
+        } catch (error) {
+            console.warn('Eigene Layout-Profile konnten nicht geladen werden:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Fügt ein eigenes Profil hinzu (oder ersetzt eines mit gleicher id)
+     * Fehlende Angaben werden aus dem Standard-Profil übernommen.
+     * @param {Object|string} profile - Profil als Objekt oder JSON-String
+     * @returns {Object} Vollständiges Profil
+     * @throws {Error} Bei ungültigem Profil
+     */
+    static addProfile(profile) {
+        const parsed = typeof profile === 'string' ? JSON.parse(profile) : profile;
+
+        if (!parsed || typeof parsed !== 'object' || !parsed.id || !parsed.name) {
+            throw new Error('Layout-Profil braucht mindestens "id" und "name"');
+        }
+        if (this.BUILTIN_PROFILES.some(builtin => builtin.id === parsed.id)) {
+            throw new Error(`Profil-ID "${parsed.id}" ist reserviert`);
+        }
+
+        const complete = this.mergeProfile(this.DEFAULT_PROFILE, parsed);
+        this.assertValid(complete);
+
+        const stored = JSON.parse(localStorage.getItem('layoutProfiles') || '[]')
+            .filter(existing => existing.id !== parsed.id);
+        stored.push(parsed);
+        localStorage.setItem('layoutProfiles', JSON.stringify(stored));
+
+        return complete;
+    }
+
+    /**
+     * Entfernt ein eigenes Profil
+     * @param {string} id - Profil-ID
+     */
+    static removeProfile(id) {
+        const stored = JSON.parse(localStorage.getItem('layoutProfiles') || '[]')
+            .filter(existing => existing.id !== id);
+        localStorage.setItem('layoutProfiles', JSON.stringify(stored));
+    }
+
+    /**
+     * Prüft ein vollständiges Profil auf Pflichtangaben
+     * @param {Object} profile - Layout-Profil
+     * @throws {Error} Bei fehlenden oder ungültigen Angaben
+     */
+    static assertValid(profile) {
+        const isColumn = (value) => Number.isInteger(value) && value >= 0;
+        const columns = profile.ingredients.columns;
+
+        if (!Array.isArray(profile.ingredients.header) || profile.ingredients.header.length === 0) {
+            throw new Error('ingredients.header muss mindestens ein Label enthalten');
+        }
+        if (!['amount', 'unit', 'product', 'note'].every(role => isColumn(columns[role]))) {
+            throw new Error('ingredients.columns braucht amount, unit, product und note als Spaltenindex');
+        }
+        if (!Array.isArray(profile.instructions.headers) || profile.instructions.headers.length === 0) {
+            throw new Error('instructions.headers muss mindestens ein Label enthalten');
+        }
+        if (!isColumn(profile.instructions.columns.step) || !isColumn(profile.instructions.columns.text)) {
+            throw new Error('instructions.columns braucht step und text als Spaltenindex');
+        }
+    }
+
+    /**
+     * Wählt das am besten passende Profil für ein Workbook
+     * Bewertet pro Profil, wie viele Rezept-Sheets dessen Kopfzeilen enthalten.
+     * @param {Object} workbook - SheetJS Workbook
+     * @param {Array<Object>} profiles - Optional: Kandidaten (default: alle)
+     * @returns {Object} Bestes Profil (Standard bei Gleichstand oder ohne Treffer)
+     */
+    static detectProfile(workbook, profiles = null) {
+        const candidates = profiles || this.getProfiles();
+        let best = candidates[0] || this.DEFAULT_PROFILE;
+        let bestScore = -1;
+
+        for (const profile of candidates) {
+            const sheetNames = workbook.SheetNames
+                .filter(name => !this.isSkippedSheet(name, profile))
+                .slice(0, 10);
+
+            let score = 0;
+            for (const sheetName of sheetNames) {
+                const data = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, defval: '' });
+                score += this.scoreSheet(data, profile);
+            }
+
+            if (score > bestScore) {
+                best = profile;
+                bestScore = score;
+            }
+        }
+
+        console.log(`Layout-Profil erkannt: ${best.name} (Score ${bestScore})`);
+        return best;
+    }
+
+    /**
+     * Bewertet, wie gut ein Sheet zu einem Profil passt
+     * @param {Array<Array>} data - Sheet als Zeilen-Array
+     * @param {Object} profile - Layout-Profil
+     * @returns {number} Punkte (Zutaten-Kopf 3, Anleitung 2, Portionen 1)
+     */
+    static scoreSheet(data, profile) {
+        let ingredients = false;
+        let instructions = false;
+        let servings = false;
+
+        for (const row of data) {
+            if (!ingredients && this.isIngredientHeader(row, profile)) ingredients = true;
+            if (!instructions && this.isInstructionHeader(row, profile)) instructions = true;
+            if (!servings && this.cellIncludes(row, profile.servings.labelColumn, profile.servings.label)) servings = true;
+        }
+
+        return (ingredients ? 3 : 0) + (instructions ? 2 : 0) + (servings ? 1 : 0);
+    }
+
+    /**
+     * Ist die Zeile die Zutaten-Kopfzeile?
+     * @param {Array} row - Zeile
+     * @param {Object} profile - Layout-Profil
+     * @returns {boolean}
+     */
+    static isIngredientHeader(row, profile) {
+        return profile.ingredients.header.every(({ column, label }) => row[column] === label);
+    }
+
+    /**
+     * Beendet die Zeile die Zutatenliste?
+     * @param {Array} row - Zeile
+     * @param {Object} profile - Layout-Profil
+     * @returns {boolean}
+     */
+    static isIngredientEnd(row, profile) {
+        return profile.ingredients.endMarkers.some(({ column, label }) => row[column] === label);
+    }
+
+    /**
+     * Ist die Zeile die Überschrift der Anleitung?
+     * @param {Array} row - Zeile
+     * @param {Object} profile - Layout-Profil
+     * @returns {boolean}
+     */
+    static isInstructionHeader(row, profile) {
+        return profile.instructions.headers.includes(row[profile.instructions.headerColumn]);
+    }
+
+    /**
+     * Ist das Sheet kein Rezept? Das Inhaltsverzeichnis zählt immer dazu,
+     * auch wenn ein eigenes Profil es nicht in skipSheets aufführt.
+     * @param {string} sheetName - Sheet-Name
+     * @param {Object} profile - Layout-Profil
+     * @returns {boolean}
+     */
+    static isSkippedSheet(sheetName, profile) {
+        return sheetName === profile.indexSheet || profile.skipSheets.includes(sheetName);
+    }
+
+    /**
+     * Ist die Zeile die Überschrift der Bemerkungen/Notizen?
+     * @param {Array} row - Zeile
+     * @param {Object} profile - Layout-Profil
+     * @returns {boolean}
+     */
+    static isNotesHeader(row, profile) {
+        const cell = String(row[profile.notes.labelColumn] ?? '');
+        return cell !== '' && profile.notes.labels.every(label => cell.includes(label));
+    }
+
+    /**
+     * Enthält die Zelle das Label?
+     * @param {Array} row - Zeile
+     * @param {number} column - Spaltenindex
+     * @param {string} label - Gesuchter Text
+     * @returns {boolean}
+     */
+    static cellIncludes(row, column, label) {
+        return Boolean(row[column]) && String(row[column]).includes(label);
+    }
+
+    /**
+     * Überlagert ein (Teil-)Profil über ein Basis-Profil (tief, Arrays werden ersetzt)
+     * @param {Object} base - Basis-Profil
+     * @param {Object} override - Abweichende Angaben
+     * @returns {Object} Neues Profil
+     */
+    static mergeProfile(base, override) {
+        const result = { ...base };
+        for (const [key, value] of Object.entries(override || {})) {
+            if (value && typeof value === 'object' && !Array.isArray(value) && base[key] && typeof base[key] === 'object') {
+                result[key] = this.mergeProfile(base[key], value);
+            } else {
+                result[key] = value;
+            }
+        }
+        return result;
+    }
+}
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SheetLayout;
+}
@@ -0,0 +1,272 @@
+/**
+ * ShoppingList - Einkaufsliste aus mehreren Rezepten
+ * Gleiche Zutaten werden zusammengefasst, verträgliche Einheiten addiert
+ * (g/kg, ml/l, TL/EL) und die Einträge nach Supermarkt-Gang gruppiert.
+ */
+
+class ShoppingList {
+    /**
+     * Supermarkt-Gänge in Lauf-Reihenfolge mit Stichwörtern
+     * Ein Stichwort passt auch als Ende eines Worts ("Sahne" → "Schlagsahne").
+     * @returns {Array<{name: string, keywords: string[]}>}
+     */
+    static get AISLES() {
+        return [
+            { name: '🥦 Obst & Gemüse', keywords: ['Apfel', 'Banane', 'Zitrone', 'Limette', 'Orange', 'Beere', 'Tomate', 'Gurke', 'Paprika', 'Zucchini', 'Aubergine', 'Zwiebel', 'Knoblauch', 'Kartoffel', 'Karotte', 'Möhre', 'Salat', 'Spinat', 'Brokkoli', 'Blumenkohl', 'Kohl', 'Lauch', 'Porree', 'Sellerie', 'Pilz', 'Champignon', 'Kürbis', 'Avocado', 'Ingwer', 'Chili', 'Petersilie', 'Schnittlauch', 'Basilikum', 'Koriander', 'Dill', 'Rucola', 'Frühlingszwiebel', 'Mais', 'Erbse', 'Bohne', 'Süßkartoffel', 'Rote Bete'] },
+            { name: '🍞 Brot & Backwaren', keywords: ['Brot', 'Brötchen', 'Toast', 'Baguette', 'Wrap', 'Tortilla', 'Naan', 'Fladenbrot', 'Blätterteig', 'Pizzateig'] },
+            { name: '🥩 Fleisch & Fisch', keywords: ['Fleisch', 'Hack', 'Hackfleisch', 'Hähnchen', 'Huhn', 'Pute', 'Rind', 'Schwein', 'Speck', 'Schinken', 'Wurst', 'Salami', 'Chorizo', 'Steak', 'Filet', 'Lachs', 'Thunfisch', 'Fisch', 'Garnele', 'Shrimp'] },
+            { name: '🧀 Kühlregal', keywords: ['Milch', 'Sahne', 'Schmand', 'Crème fraîche', 'Butter', 'Joghurt', 'Quark', 'Käse', 'Mozzarella', 'Parmesan', 'Feta', 'Frischkäse', 'Mascarpone', 'Ricotta', 'Ei', 'Eier', 'Tofu', 'Gnocchi'] },
+            { name: '🍝 Nudeln, Reis & Getreide', keywords: ['Nudel', 'Pasta', 'Spaghetti', 'Penne', 'Lasagne', 'Reis', 'Couscous', 'Bulgur', 'Quinoa', 'Haferflocken', 'Linse', 'Kichererbse'] },
+            { name: '🥫 Konserven & Saucen', keywords: ['Dose', 'Passata', 'Tomatenmark', 'Brühe', 'Fond', 'Sojasauce', 'Ketchup', 'Senf', 'Mayonnaise', 'Pesto', 'Kokosmilch', 'Sauce', 'Soße'] },
+            { name: '🧂 Gewürze & Öle', keywords: ['Salz', 'Pfeffer', 'Paprikapulver', 'Curry', 'Kreuzkümmel', 'Kümmel', 'Zimt', 'Muskat', 'Oregano', 'Thymian', 'Rosmarin', 'Gewürz', 'Öl', 'Olivenöl', 'Rapsöl', 'Sonnenblumenöl', 'Essig', 'Balsamico'] },
+            { name: '🧁 Backzutaten', keywords: ['Mehl', 'Zucker', 'Puderzucker', 'Backpulver', 'Natron', 'Hefe', 'Vanille', 'Kakao', 'Schokolade', 'Speisestärke', 'Mandel', 'Nuss', 'Rosine', 'Honig'] },
+            { name: '❄️ Tiefkühl', keywords: ['TK', 'Tiefkühl', 'Eis'] },
+            { name: '🥤 Getränke', keywords: ['Wein', 'Bier', 'Saft', 'Wasser', 'Rum', 'Sekt'] }
+        ];
+    }
+
+    /** Gang für alles, was keinem Stichwort zugeordnet werden kann */
+    static get OTHER_AISLE() {
+        return '🛒 Sonstiges';
+    }
+
+    constructor() {
+        this.storageKey = 'shoppingList';
+        // Ausgewählte Rezepte mit gewünschter Portionenzahl
+        this.selections = [];
+        // Abgehakte Einträge (Schlüssel aus build())
+        this.checked = [];
+        this.load();
+    }
+
+    /**
+     * Lädt die Liste aus dem LocalStorage
+     */
+    load() {
+        this.selections = [];
+        this.checked = [];
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (stored) {
+                this.selections = Array.isArray(stored.selections) ? stored.selections : [];
+                this.checked = Array.isArray(stored.checked) ? stored.checked : [];
+            }
+        } catch (error) {
+            console.warn('Einkaufsliste konnte nicht geladen werden:', error);
+        }
+    }
+
+    /**
+     * Speichert die Liste im LocalStorage
+     */
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            selections: this.selections,
+            checked: this.checked
+        }));
+    }
+
+    /**
+     * @returns {Array<{recipeName: string, portions: number|null}>} Ausgewählte Rezepte
+     */
+    getSelections() {
+        return this.selections.map(selection => ({ ...selection }));
+    }
+
+    /**
+     * Fügt ein Rezept hinzu - steht es schon auf der Liste, werden die Portionen addiert
+     * @param {string} recipeName - Rezeptname
+     * @param {number|null} portions - Gewünschte Portionen (null = wie im Rezept)
+     */
+    addRecipe(recipeName, portions = null) {
+        const existing = this.selections.find(selection => selection.recipeName === recipeName);
+        if (existing) {
+            if (existing.portions !== null && portions !== null) {
+                existing.portions += portions;
+            }
+        } else {
+            this.selections.push({ recipeName, portions });
+        }
+        this.save();
+    }
+
+    /**
+     * @param {string} recipeName - Rezeptname
+     * @param {number} portions - Neue Portionenzahl (mind. 1)
+     */
+    setPortions(recipeName, portions) {
+        const selection = this.selections.find(entry => entry.recipeName === recipeName);
+        if (!selection) return;
+
+        selection.portions = Math.max(1, portions);
+        this.save();
+    }
+
+    /**
+     * @param {string} recipeName - Rezeptname
+     */
+    removeRecipe(recipeName) {
+        this.selections = this.selections.filter(selection => selection.recipeName !== recipeName);
+        this.save();
+    }
+
+    /**
+     * Übernimmt eine Umbenennung
+     * @param {string} oldName - Bisheriger Rezeptname
+     * @param {string} newName - Neuer Rezeptname
+     */
+    renameRecipe(oldName, newName) {
+        this.selections.forEach(selection => {
+            if (selection.recipeName === oldName) selection.recipeName = newName;
+        });
+        this.save();
+    }
+
+    /**
+     * Leert die Liste komplett
+     */
+    clear() {
+        this.selections = [];
+        this.checked = [];
+        this.save();
+    }
+
+    /**
+     * @param {string} key - Eintrag aus build()
+     * @returns {boolean} Neuer Zustand
+     */
+    toggleChecked(key) {
+        const isChecked = this.checked.includes(key);
+        this.checked = isChecked ? this.checked.filter(entry => entry !== key) : [...this.checked, key];
+        this.save();
+        return !isChecked;
+    }
+
+    /**
+     * Hebt alle Haken auf
+     */
+    uncheckAll() {
+        this.checked = [];
+        this.save();
+    }
+
+    /**
+     * Erstellt die zusammengefasste Liste
+     * @param {Array} recipes - Alle Rezepte (zum Nachschlagen der Auswahl)
+     * @returns {Array<{aisle: string, items: Array<{key: string, product: string, amounts: string, recipes: string[], checked: boolean}>}>}
+     *          Gänge in Lauf-Reihenfolge, leere Gänge ausgelassen
+     */
+    build(recipes) {
+        const byName = new Map(recipes.map(recipe => [recipe.name, recipe]));
+        const items = new Map();
+
+        for (const selection of this.selections) {
+            const recipe = byName.get(selection.recipeName);
+            if (!recipe || recipe.isPlaceholder) continue;
+
+            const servings = parseFloat(recipe.servings);
+            const factor = selection.portions !== null && servings > 0 ? selection.portions / servings : 1;
+
+            for (const ingredient of recipe.ingredients || []) {
+                const product = String(ingredient.product ?? '').split(',')[0].trim();
+                const key = Pantry.normalizeIngredient(product).join(' ');
+                if (!key) continue;
+
+                if (!items.has(key)) {
+                    items.set(key, { key, product, quantities: new Map(), labels: new Map(), texts: [], recipes: new Set() });
+                }
+                const item = items.get(key);
+                item.recipes.add(recipe.name);
+
+                // Bei Bereichen ("1-2") lieber etwas mehr kaufen
+                const quantity = Quantity.parse(ingredient.amount);
+                const unit = Quantity.normalizeUnit(ingredient.unit);
+                if (quantity === null) {
+                    // "etwas", "nach Geschmack" - nicht addierbar, nur einmal aufführen
+                    const text = [ingredient.amount, ingredient.unit].map(part => String(part ?? '').trim()).filter(Boolean).join(' ');
+                    if (text && !item.texts.includes(text)) item.texts.push(text);
+                    continue;
+                }
+
+                const conversion = Quantity.UNITS[unit];
+                const base = conversion ? conversion.base : unit;
+                const value = quantity.max * factor * (conversion ? conversion.factor : 1);
+                item.quantities.set(base, (item.quantities.get(base) || 0) + value);
+                if (!item.labels.has(base)) item.labels.set(base, String(ingredient.unit ?? '').trim());
+            }
+        }
+
+        const groups = new Map();
+        for (const item of items.values()) {
+            const aisle = ShoppingList.getAisle(item.key);
+            if (!groups.has(aisle)) groups.set(aisle, []);
+
+            const amounts = [
+                ...Array.from(item.quantities, ([unit, value]) => ShoppingList.formatQuantity(value, unit, item.labels.get(unit))),
+                ...item.texts
+            ];
+            groups.get(aisle).push({
+                key: item.key,
+                product: item.product,
+                amounts: amounts.join(' + '),
+                recipes: Array.from(item.recipes),
+                checked: this.checked.includes(item.key)
+            });
+        }
+
+        const order = [...ShoppingList.AISLES.map(aisle => aisle.name), ShoppingList.OTHER_AISLE];
+        return order
+            .filter(aisle => groups.has(aisle))
+            .map(aisle => ({
+                aisle,
+                items: groups.get(aisle).sort((a, b) => a.product.localeCompare(b.product, 'de'))
+            }));
+    }
+
+    /**
+     * Ordnet eine Zutat einem Gang zu
+     * @param {string} key - Normalisierte Zutat (Pantry.normalizeIngredient)
+     * @returns {string} Gang
+     */
+    static getAisle(key) {
+        const words = key.split(' ');
+
+        // Spezifischere (längere) Stichwörter zuerst: "Paprikapulver" vor "Paprika"
+        let best = null;
+        for (const aisle of ShoppingList.AISLES) {
+            for (const keyword of aisle.keywords) {
+                const keywordKey = Pantry.normalizeIngredient(keyword);
+                const length = keywordKey.join('').length;
+                if (Pantry.matches(keywordKey, words) && (!best || length > best.length)) {
+                    best = { name: aisle.name, length };
+                }
+            }
+        }
+
+        return best ? best.name : ShoppingList.OTHER_AISLE;
+    }
+
+    /**
+     * Formatiert eine Summe in der passenden Einheit (1500 g → "1,5 kg", 6 TL → "2 EL")
+     * @param {number} value - Menge in der Basiseinheit
+     * @param {string} unit - Basiseinheit bzw. normalisierte Einheit
+     * @param {string} label - Einheit wie im Rezept (für nicht umrechenbare Einheiten wie "Dose")
+     * @returns {string}
+     */
+    static formatQuantity(value, unit, label = unit) {
+        const converted = Quantity.convert(value, unit);
+        const amount = Quantity.formatNumber(converted.value, converted.unit);
+
+        // Umrechenbare Einheiten einheitlich, alle anderen wie im Rezept ("Dose", "Bund")
+        const text = Quantity.UNITS[converted.unit] ? Quantity.UNITS[converted.unit].label : (converted.unit ? label : '');
+        return text ? `${amount} ${text}` : amount;
+    }
+}
+
+// Globale Instanz erstellen
+const shoppingList = new ShoppingList();
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShoppingList;
+}
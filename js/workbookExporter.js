@@ -0,0 +1,429 @@
+/**
+ * WorkbookExporter - Schreibt die Rezept-Sammlung zurück in eine Rezepte.xlsx
+ * Erzeugt genau die Struktur, die WorkbookParser.extractCategories() und extractRecipeDetails()
+ * mit dem Standard-Profil erwarten, und bettet die Bilder aus dem ImageStore
+ * als Drawings ein (Gegenstück zu XMLParser.createSheetImageMapping).
+ */
+
+class WorkbookExporter {
+    /**
+     * Exportiert alle Rezepte (inkl. Bilder) als .xlsx
+     * @param {Array} recipes - Alle Rezepte
+     * @param {ImageStore} imageStore - Optional: Quelle für die Bilder
+     * @param {Function} progressCallback - Optional: Fortschritts-Callback
+     * @returns {Promise<{blob: Blob, renamed: Array<{name: string, sheetName: string}>}>}
+     */
+    static async exportWorkbook(recipes, imageStore = null, progressCallback = null) {
+        if (progressCallback) progressCallback({ phase: 'data', progress: 0, message: 'Erstelle Sheets...' });
+
+        const { workbook, sheets, renamed } = this.buildWorkbook(recipes);
+        const data = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+
+        if (!imageStore || typeof JSZip === 'undefined') {
+            return { blob: this.toBlob(data), renamed };
+        }
+
+        if (progressCallback) progressCallback({ phase: 'images', progress: 20, message: 'Bette Bilder ein...' });
+
+        const zip = await JSZip.loadAsync(data);
+        const withImages = sheets.filter(sheet => sheet.recipe.hasImage);
+        let drawingIndex = 0;
+        let mediaIndex = 0;
+
+        for (let i = 0; i < withImages.length; i++) {
+            const { recipe, sheetIndex } = withImages[i];
+            const { blobs, transforms, anchors } = await imageStore.getImagesWithTransforms(recipe.name);
+
+            if (blobs.length > 0) {
+                drawingIndex++;
+                const images = [];
+                for (let j = 0; j < blobs.length; j++) {
+                    mediaIndex++;
+                    const extension = this.getExtension(blobs[j].type);
+                    const fileName = `image${mediaIndex}.${extension}`;
+                    zip.file(`xl/media/${fileName}`, await blobs[j].arrayBuffer());
+                    images.push({
+                        fileName,
+                        transform: transforms[j],
+                        anchor: anchors[j],
+                        size: await this.getDisplaySize(blobs[j], transforms[j])
+                    });
+                }
+                await this.addDrawing(zip, sheetIndex, drawingIndex, images);
+            }
+
+            if (progressCallback) {
+                const progress = 20 + Math.floor(((i + 1) / withImages.length) * 70);
+                progressCallback({ phase: 'images', progress, message: `Bilder ${i + 1}/${withImages.length} eingebettet...` });
+            }
+        }
+
+        const blob = await zip.generateAsync({
+            type: 'blob',
+            mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+            compression: 'DEFLATE'
+        });
+
+        if (progressCallback) progressCallback({ phase: 'complete', progress: 100, message: 'Export fertig!' });
+        return { blob, renamed };
+    }
+
+    /**
+     * Baut das SheetJS-Workbook: Inhaltsverzeichnis + ein Sheet pro Rezept
+     * Platzhalter (nur im Inhaltsverzeichnis) bekommen kein eigenes Sheet.
+     * @param {Array} recipes - Alle Rezepte
+     * @returns {{workbook: Object, sheets: Array<{recipe: Object, sheetName: string, sheetIndex: number}>, renamed: Array}}
+     */
+    static buildWorkbook(recipes) {
+        const layout = SheetLayout.DEFAULT_PROFILE;
+        const workbook = XLSX.utils.book_new();
+        const usedNames = new Set(layout.skipSheets.map(name => name.toLowerCase()));
+        const sorted = [...recipes].sort((a, b) => a.name.localeCompare(b.name, 'de'));
+
+        // Sheet-Namen vorab vergeben - das Inhaltsverzeichnis muss dieselben Namen verwenden
+        const sheets = [];
+        const renamed = [];
+        const tocNames = new Map();
+        for (const recipe of sorted) {
+            if (recipe.isPlaceholder) {
+                tocNames.set(recipe, recipe.name);
+                continue;
+            }
+            const sheetName = this.toSheetName(recipe.name, usedNames);
+            if (sheetName !== recipe.name) {
+                renamed.push({ name: recipe.name, sheetName });
+            }
+            tocNames.set(recipe, sheetName);
+            sheets.push({ recipe, sheetName, sheetIndex: 0 });
+        }
+
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(this.buildTableOfContents(sorted, tocNames)), layout.indexSheet);
+
+        for (const sheet of sheets) {
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(this.buildRecipeSheet(sheet.recipe, layout)), sheet.sheetName);
+            // 1-basiert wie xl/worksheets/sheetN.xml
+            sheet.sheetIndex = workbook.SheetNames.length;
+        }
+
+        return { workbook, sheets, renamed };
+    }
+
+    /**
+     * Inhaltsverzeichnis: Zeile 1 Hauptkategorie, Zeile 2 Unterkategorie, ab Zeile 3 Rezeptnamen
+     * Eine Spalte pro Kategorie ("Snacks - Salzig" → "Snacks" | "Salzig"); Rezepte mit
+     * mehreren Kategorien stehen in jeder ihrer Spalten.
+     * @param {Array} recipes - Sortierte Rezepte
+     * @param {Map<Object, string>} tocNames - Rezept → Name im Inhaltsverzeichnis
+     * @returns {Array<Array>} Zeilen
+     */
+    static buildTableOfContents(recipes, tocNames) {
+        const byCategory = new Map();
+        for (const recipe of recipes) {
+            const categories = RecipeTags.getCategories(recipe);
+            for (const category of categories.length > 0 ? categories : [RecipeTags.DEFAULT_CATEGORY]) {
+                if (!byCategory.has(category)) byCategory.set(category, []);
+                byCategory.get(category).push(tocNames.get(recipe));
+            }
+        }
+
+        const categories = Array.from(byCategory.keys()).sort((a, b) => a.localeCompare(b, 'de'));
+        const rows = [[], []];
+
+        categories.forEach((category, col) => {
+            rows[0][col] = RecipeTags.getMainCategory(category);
+            rows[1][col] = RecipeTags.getSubCategory(category);
+
+            byCategory.get(category).forEach((name, index) => {
+                if (!rows[index + 2]) rows[index + 2] = [];
+                rows[index + 2][col] = name;
+            });
+        });
+
+        return rows.map(row => Array.from({ length: categories.length }, (_, col) => row[col] ?? ''));
+    }
+
+    /**
+     * Rezept-Sheet im Layout des Standard-Profils (siehe README "Rezept-Aufbau")
+     * @param {Object} recipe - Rezept
+     * @param {Object} layout - Layout-Profil (Spaltenpositionen)
+     * @returns {Array<Array>} Zeilen
+     */
+    static buildRecipeSheet(recipe, layout) {
+        const rows = [];
+        const addRow = (cells = {}) => {
+            const row = [];
+            for (const [column, value] of Object.entries(cells)) {
+                row[Number(column)] = value;
+            }
+            rows.push(Array.from(row, cell => cell ?? ''));
+        };
+        const columns = layout.ingredients.columns;
+
+        // Labels ohne Wert nur schreiben, wenn es sie im Original gab (null = Label fehlte)
+        addRow({ 0: recipe.name });
+        addRow(recipe.createdDate == null ? {} : {
+            [layout.createdDate.labelColumn]: layout.createdDate.label,
+            [layout.createdDate.valueColumn]: recipe.createdDate
+        });
+        addRow(recipe.modifiedDate == null ? {} : {
+            [layout.modifiedDate.labelColumn]: layout.modifiedDate.label,
+            [layout.modifiedDate.valueColumn]: recipe.modifiedDate
+        });
+        addRow();
+        addRow(recipe.servings == null ? {} : {
+            [layout.servings.labelColumn]: `${layout.servings.label}:`,
+            [layout.servings.valueColumns[0]]: recipe.servings
+        });
+        addRow(layout.tags && recipe.tags && recipe.tags.length > 0 ? {
+            [layout.tags.labelColumn]: `${layout.tags.label}:`,
+            [layout.tags.valueColumns[0]]: recipe.tags.join(', ')
+        } : {});
+
+        // Zutaten: Kopfzeile + eine Zeile pro Zutat
+        const header = { [columns.unit]: 'Einheit', [columns.note]: 'Bemerkung' };
+        if (columns.price !== undefined) header[columns.price] = 'Preis';
+        layout.ingredients.header.forEach(({ column, label }) => { header[column] = label; });
+        addRow(header);
+
+        for (const ingredient of recipe.ingredients || []) {
+            const row = {
+                [columns.amount]: ingredient.amount ?? '',
+                [columns.unit]: ingredient.unit ?? '',
+                [columns.product]: ingredient.product ?? '',
+                [columns.note]: ingredient.note ?? ''
+            };
+            if (columns.price !== undefined && ingredient.price != null) row[columns.price] = ingredient.price;
+            addRow(row);
+        }
+        if (layout.costs && recipe.totalCost != null) {
+            addRow({
+                [layout.costs.labelColumn]: layout.costs.label,
+                [layout.costs.valueColumns[0]]: recipe.totalCost
+            });
+        }
+        addRow();
+
+        // Zubereitung - die Überschrift beendet gleichzeitig die Zutatenliste
+        addRow({ [layout.instructions.headerColumn]: layout.instructions.headers[0] });
+        for (const instruction of recipe.instructions || []) {
+            addRow({
+                [layout.instructions.columns.step]: instruction.step,
+                [layout.instructions.columns.text]: instruction.text
+            });
+        }
+
+        // Bemerkungen/Notizen - eine Zeile pro Notiz, bis zur nächsten leeren Zeile
+        if (recipe.notes && recipe.notes.length > 0) {
+            addRow();
+            addRow({ [layout.notes.labelColumn]: layout.notes.labels.join('/') });
+            recipe.notes.forEach(note => addRow({ [layout.notes.column]: note }));
+        }
+
+        return rows;
+    }
+
+    /**
+     * Macht aus einem Rezeptnamen einen gültigen, eindeutigen Sheet-Namen
+     * Excel: max. 31 Zeichen, keine \ / ? * [ ] :, eindeutig ohne Groß-/Kleinschreibung
+     * @param {string} name - Rezeptname
+     * @param {Set<string>} usedNames - Bereits vergebene Namen (lowercase), wird ergänzt
+     * @returns {string} Sheet-Name
+     */
+    static toSheetName(name, usedNames) {
+        const base = String(name)
+            .replace(/[\\/?*[\]:]/g, '-')
+            .replace(/^'+|'+$/g, '')
+            .trim()
+            .slice(0, 31)
+            .trim() || 'Rezept';
+
+        let candidate = base;
+        let counter = 2;
+        while (usedNames.has(candidate.toLowerCase())) {
+            const suffix = ` (${counter++})`;
+            candidate = base.slice(0, 31 - suffix.length).trim() + suffix;
+        }
+
+        usedNames.add(candidate.toLowerCase());
+        return candidate;
+    }
+
+    /**
+     * Hängt ein Drawing mit allen Bildern an ein Sheet
+     * @param {JSZip} zip - Das von SheetJS geschriebene Workbook
+     * @param {number} sheetIndex - 1-basierter Sheet-Index
+     * @param {number} drawingIndex - Fortlaufende Drawing-Nummer
+     * @param {Array<{fileName: string, transform: Object, anchor: Object|null, size: Object}>} images - Bilder
+     * @returns {Promise<void>}
+     */
+    static async addDrawing(zip, sheetIndex, drawingIndex, images) {
+        const drawingName = `drawing${drawingIndex}.xml`;
+
+        zip.file(`xl/drawings/${drawingName}`, this.buildDrawingXML(images));
+        zip.file(`xl/drawings/_rels/${drawingName}.rels`, this.buildRelationshipsXML(
+            images.map((image, index) => ({
+                id: `rId${index + 1}`,
+                type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image',
+                target: `../media/${image.fileName}`
+            }))
+        ));
+
+        // Sheet → Drawing (SheetJS schreibt für reine Daten-Sheets keine Relationships)
+        const sheetPath = `xl/worksheets/sheet${sheetIndex}.xml`;
+        zip.file(`xl/worksheets/_rels/sheet${sheetIndex}.xml.rels`, this.buildRelationshipsXML([{
+            id: 'rId1',
+            type: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/drawing',
+            target: `../drawings/${drawingName}`
+        }]));
+
+        // <drawing> muss laut Schema vor legacyDrawing/tableParts/extLst stehen
+        const sheetXML = await zip.file(sheetPath).async('text');
+        const insertAt = sheetXML.search(/<(legacyDrawing|legacyDrawingHF|picture|oleObjects|controls|webPublishItems|tableParts|extLst)[\s>/]|<\/worksheet>/);
+        zip.file(sheetPath, sheetXML.slice(0, insertAt) + '<drawing r:id="rId1"/>' + sheetXML.slice(insertAt));
+
+        // Content-Types: Drawing registrieren, fehlende Bildformate ergänzen
+        let contentTypes = await zip.file('[Content_Types].xml').async('text');
+        const additions = [`<Override PartName="/xl/drawings/${drawingName}" ContentType="application/vnd.openxmlformats-officedocument.drawing+xml"/>`];
+        for (const image of images) {
+            const extension = XMLParser.getFileExtension(image.fileName);
+            if (!contentTypes.includes(`Extension="${extension}"`) && !additions.some(entry => entry.includes(`Extension="${extension}"`))) {
+                additions.unshift(`<Default Extension="${extension}" ContentType="${XMLParser.getMimeType(extension)}"/>`);
+            }
+        }
+        contentTypes = contentTypes.replace('</Types>', additions.join('') + '</Types>');
+        zip.file('[Content_Types].xml', contentTypes);
+    }
+
+    /**
+     * Drawing-XML: Bilder an ihrer gespeicherten Position im Sheet - so bleiben die
+     * Bild-Kennungen ("Zeile:Spalte", z.B. für festgelegte Titelbilder) beim erneuten Import gleich.
+     * Bilder ohne Position kommen untereinander rechts neben das Rezept (ab Spalte I).
+     * Rotation, Spiegelung und Zuschnitt werden so geschrieben, wie
+     * XMLParser.extractSingleImageTransform() sie wieder liest.
+     * @param {Array<{fileName: string, transform: Object, anchor: Object|null, size: Object}>} images - Bilder
+     * @returns {string} XML
+     */
+    static buildDrawingXML(images) {
+        const EMU_PER_PIXEL = 9525;
+        const DEFAULT_COLUMN = 8;
+
+        const usedCells = new Set(images
+            .filter(image => image.anchor && image.anchor.from)
+            .map(image => `${image.anchor.from.row}:${image.anchor.from.col}`));
+        let nextRow = 1;
+        const freePosition = () => {
+            while (usedCells.has(`${nextRow}:${DEFAULT_COLUMN}`)) nextRow += 16;
+            const from = { col: DEFAULT_COLUMN, colOff: 0, row: nextRow, rowOff: 0 };
+            nextRow += 16;
+            return from;
+        };
+
+        const anchors = images.map((image, index) => {
+            const transform = image.transform || XMLParser.getDefaultTransform();
+            const crop = transform.crop || {};
+            const anchor = image.anchor && image.anchor.from ? image.anchor : null;
+            const from = anchor ? anchor.from : freePosition();
+            // Gespeicherte Größe (EMU) wie im Original, sonst aus dem Bild
+            const cx = anchor && anchor.width && anchor.height ? anchor.width : Math.round(image.size.width * EMU_PER_PIXEL);
+            const cy = anchor && anchor.width && anchor.height ? anchor.height : Math.round(image.size.height * EMU_PER_PIXEL);
+
+            const xfrmAttributes = [
+                transform.rotation ? ` rot="${Math.round(transform.rotation * 60000)}"` : '',
+                transform.flipH ? ' flipH="1"' : '',
+                transform.flipV ? ' flipV="1"' : ''
+            ].join('');
+
+            const cropAttributes = [['l', crop.left], ['t', crop.top], ['r', crop.right], ['b', crop.bottom]]
+                .filter(([, value]) => value)
+                .map(([key, value]) => ` ${key}="${Math.round(value * 1000)}"`)
+                .join('');
+
+            return `<xdr:oneCellAnchor>` +
+                `<xdr:from><xdr:col>${from.col}</xdr:col><xdr:colOff>${from.colOff || 0}</xdr:colOff><xdr:row>${from.row}</xdr:row><xdr:rowOff>${from.rowOff || 0}</xdr:rowOff></xdr:from>` +
+                `<xdr:ext cx="${cx}" cy="${cy}"/>` +
+                `<xdr:pic>` +
+                `<xdr:nvPicPr><xdr:cNvPr id="${index + 2}" name="Bild ${index + 1}"/><xdr:cNvPicPr><a:picLocks noChangeAspect="1"/></xdr:cNvPicPr></xdr:nvPicPr>` +
+                `<xdr:blipFill><a:blip r:embed="rId${index + 1}"/><a:srcRect${cropAttributes}/><a:stretch><a:fillRect/></a:stretch></xdr:blipFill>` +
+                `<xdr:spPr><a:xfrm${xfrmAttributes}><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></xdr:spPr>` +
+                `</xdr:pic>` +
+                `<xdr:clientData/>` +
+                `</xdr:oneCellAnchor>`;
+        });
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" ' +
+            'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" ' +
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+            anchors.join('') +
+            '</xdr:wsDr>';
+    }
+
+    /**
+     * Relationships-XML (.rels)
+     * @param {Array<{id: string, type: string, target: string}>} relationships - Einträge
+     * @returns {string} XML
+     */
+    static buildRelationshipsXML(relationships) {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+            '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+            relationships.map(rel => `<Relationship Id="${rel.id}" Type="${rel.type}" Target="${rel.target}"/>`).join('') +
+            '</Relationships>';
+    }
+
+    /**
+     * Anzeigegröße eines Bildes im Sheet (max. 320px, Seitenverhältnis nach Zuschnitt)
+     * @param {Blob} blob - Bild
+     * @param {Object} transform - Transformation (für den Zuschnitt)
+     * @returns {Promise<{width: number, height: number}>} Pixel
+     */
+    static async getDisplaySize(blob, transform) {
+        const MAX_SIZE = 320;
+        let width = MAX_SIZE;
+        let height = Math.round(MAX_SIZE * 0.75);
+
+        if (typeof createImageBitmap === 'function') {
+            try {
+                const bitmap = await createImageBitmap(blob);
+                const crop = (transform && transform.crop) || {};
+                width = bitmap.width * (1 - ((crop.left || 0) + (crop.right || 0)) / 100);
+                height = bitmap.height * (1 - ((crop.top || 0) + (crop.bottom || 0)) / 100);
+                bitmap.close();
+            } catch (error) {
+                console.warn('Bildgröße konnte nicht ermittelt werden:', error);
+            }
+        }
+
+        const scale = Math.min(1, MAX_SIZE / Math.max(width, height, 1));
+        return { width: Math.round(width * scale), height: Math.round(height * scale) };
+    }
+
+    /**
+     * Dateiendung für einen Bild-MIME-Type (Gegenstück zu XMLParser.getMimeType)
+     * @param {string} mimeType - z.B. 'image/jpeg'
+     * @returns {string} z.B. 'jpeg'
+     */
+    static getExtension(mimeType) {
+        const extensions = {
+            'image/png': 'png',
+            'image/jpeg': 'jpeg',
+            'image/gif': 'gif',
+            'image/bmp': 'bmp',
+            'image/webp': 'webp'
+        };
+
+        return extensions[mimeType] || 'png';
+    }
+
+    /**
+     * @param {ArrayBuffer|Uint8Array} data - Von XLSX.write erzeugte Daten
+     * @returns {Blob}
+     */
+    static toBlob(data) {
+        return new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    }
+}
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkbookExporter;
+}
@@ -0,0 +1,350 @@
+/**
+ * WorkbookParser - Liest Rezepte und Bilder aus einer Rezepte.xlsx
+ * Reine Auswertung ohne DOM, IndexedDB und LocalStorage: läuft im Web Worker
+ * (workbookWorker.js) und dort, wo kein Worker startet (z.B. file://), im Hauptthread.
+ * Lokale Änderungen anwenden und Speichern übernimmt der RecipeGenerator.
+ */
+
+class WorkbookParser {
+    /**
+     * @param {ArrayBuffer} buffer - Inhalt der .xlsx - SheetJS und JSZip lesen denselben Puffer
+     * @param {Array<Object>|null} profiles - Layout-Profile (SheetLayout.getProfiles() - im Worker gibt es keinen LocalStorage)
+     */
+    constructor(buffer, profiles = null) {
+        this.buffer = buffer;
+        this.profiles = profiles;
+        this.workbook = null;
+        this.layout = null;
+        this.zip = null;
+    }
+
+    /**
+     * Liest alle Rezepte aus dem Workbook (ohne Bilder, ohne lokale Änderungen)
+     * @param {Function} onProgress - Optional: ({completed, total}) pro Sheet
+     * @returns {{recipes: Array, validationReport: Object|null}} Rezepte inkl. Placeholder in Sheet-Reihenfolge
+     */
+    parseRecipes(onProgress = null) {
+        const recipes = [];
+        
+        this.workbook = XLSX.read(new Uint8Array(this.buffer), { type: 'array' });
+        
+        // Passendes Layout-Profil für dieses Workbook wählen
+        this.layout = SheetLayout.detectProfile(this.workbook, this.profiles);
+        
+        // Prüfbericht für Abweichungen von der Vorlage
+        const validationReport = typeof ImportValidator !== 'undefined'
+            ? ImportValidator.validateWorkbook(this.workbook, this.layout)
+            : null;
+        
+        // Extrahiere Kategorien aus Inhaltsverzeichnis
+        const { categoryMap, allRecipeNames } = this.extractCategories();
+        
+        // Set für vorhandene Sheets
+        const existingSheets = new Set();
+        
+        // Extrahiere Rezept-Details für vorhandene Sheets
+        const sheetCount = this.workbook.SheetNames.length;
+        this.workbook.SheetNames.forEach((sheetName, index) => {
+            if (onProgress) onProgress({ completed: index, total: sheetCount });
+            if (!SheetLayout.isSkippedSheet(sheetName, this.layout)) {
+                existingSheets.add(sheetName);
+                const recipeDetails = this.extractRecipeDetails(sheetName);
+                const categories = categoryMap[sheetName] || [RecipeTags.DEFAULT_CATEGORY];
+                recipes.push({
+                    id: index,
+                    name: sheetName,
+                    sheetName: sheetName,
+                    hasImage: false, // Wird später aktualisiert
+                    category: categories[0],
+                    categories,
+                    isPlaceholder: false,
+                    source: 'xlsx',
+                    ...recipeDetails
+                });
+            }
+        });
+
+        if (onProgress) onProgress({ completed: sheetCount, total: sheetCount });
+
+        // Erstelle Placeholder-Rezepte für Rezepte die nur im Inhaltsverzeichnis stehen
+        let placeholderId = this.workbook.SheetNames.length;
+        for (const recipeName of allRecipeNames) {
+            if (!existingSheets.has(recipeName)) {
+                // Rezept steht im Inhaltsverzeichnis, hat aber kein Sheet
+                const categories = categoryMap[recipeName] || [RecipeTags.DEFAULT_CATEGORY];
+                recipes.push({
+                    id: placeholderId++,
+                    name: recipeName,
+                    sheetName: null,
+                    hasImage: false,
+                    category: categories[0],
+                    categories,
+                    tags: [],
+                    isPlaceholder: true,
+                    source: 'xlsx',
+                    servings: null,
+                    ingredients: [],
+                    instructions: [{
+                        step: 1,
+                        text: 'Dieses Rezept ist noch nicht verfügbar. Es steht im Inhaltsverzeichnis, hat aber noch kein detailliertes Sheet.'
+                    }],
+                    createdDate: null,
+                    modifiedDate: null,
+                    totalCost: null
+                });
+                console.log(`Placeholder erstellt für: ${recipeName}`);
+            }
+        }
+
+        return { recipes, validationReport };
+    }
+
+    /**
+     * Extrahiert Kategorien aus dem Inhaltsverzeichnis-Sheet
+     * Steht ein Rezept in mehreren Spalten, bekommt es alle diese Kategorien (in Spaltenreihenfolge).
+     * @returns {Object} { categoryMap: Map von RecipeName → Kategorien[], allRecipeNames: Set aller Rezeptnamen }
+     */
+    extractCategories() {
+        const categoryMap = {};
+        const allRecipeNames = new Set();
+        
+        const indexSheet = this.layout.indexSheet;
+        
+        if (!this.workbook || !this.workbook.Sheets[indexSheet]) {
+            console.warn(`${indexSheet}-Sheet nicht gefunden`);
+            return { categoryMap, allRecipeNames };
+        }
+        
+        const sheet = this.workbook.Sheets[indexSheet];
+        const data = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+        
+        if (data.length < 3) {
+            console.warn('Inhaltsverzeichnis hat zu wenige Zeilen');
+            return { categoryMap, allRecipeNames };
+        }
+        
+        // Analysiere Spalten für Kategorien
+        const columnCategories = {};
+        
+        // Row 0: Hauptkategorien (Snacks, Mittagessen, Nachtisch)
+        // Row 1: Unterkategorien (Salzig, Süß)
+        // Row 2+: Rezeptnamen
+        
+        for (let col = 0; col < data[0].length; col++) {
+            const mainCategory = data[0][col];
+            const subCategory = data[1][col];
+            
+            if (mainCategory && mainCategory.trim() !== '') {
+                // Erstelle Kategorie-String
+                if (subCategory && subCategory.trim() !== '') {
+                    columnCategories[col] = `${mainCategory} - ${subCategory}`;
+                } else {
+                    columnCategories[col] = mainCategory;
+                }
+            }
+        }
+        
+        // Extrahiere Rezeptnamen ab Zeile 2
+        for (let row = 2; row < data.length; row++) {
+            for (let col = 0; col < data[row].length; col++) {
+                const recipeName = data[row][col];
+                
+                if (recipeName && recipeName.trim() !== '' && columnCategories[col]) {
+                    const cleanName = recipeName.trim();
+                    if (!categoryMap[cleanName]) categoryMap[cleanName] = [];
+                    if (!categoryMap[cleanName].includes(columnCategories[col])) {
+                        categoryMap[cleanName].push(columnCategories[col]);
+                    }
+                    allRecipeNames.add(cleanName);
+                }
+            }
+        }
+        
+        console.log(`Kategorien extrahiert: ${Object.keys(categoryMap).length} Rezepte kategorisiert`);
+        return { categoryMap, allRecipeNames };
+    }
+
+    /**
+     * Extrahiert Details aus einem Rezept-Sheet
+     * @param {string} sheetName - Name des Sheets
+     * @returns {Object} Rezept-Details (Zutaten, Anleitung, etc.)
+     */
+    extractRecipeDetails(sheetName) {
+        if (!this.workbook) return {};
+        
+        const sheet = this.workbook.Sheets[sheetName];
+        if (!sheet) return {};
+        
+        // Konvertiere Sheet zu JSON
+        const data = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+        
+        const details = {
+            servings: null,
+            ingredients: [],
+            instructions: [],
+            notes: [],
+            tags: [],
+            createdDate: null,
+            modifiedDate: null,
+            totalCost: null
+        };
+        
+        const layout = this.layout;
+        const columns = layout.ingredients.columns;
+        
+        // Durchsuche die Daten
+        for (let i = 0; i < data.length; i++) {
+            const row = data[i];
+            
+            // Anzahl Personen (erste befüllte Wert-Spalte gewinnt)
+            if (SheetLayout.cellIncludes(row, layout.servings.labelColumn, layout.servings.label)) {
+                const valueColumn = layout.servings.valueColumns.find(col => row[col]);
+                details.servings = valueColumn !== undefined ? row[valueColumn] : null;
+            }
+            
+            // Erstelldatum
+            if (SheetLayout.cellIncludes(row, layout.createdDate.labelColumn, layout.createdDate.label)) {
+                details.createdDate = row[layout.createdDate.valueColumn];
+            }
+            
+            // Geändert am
+            if (SheetLayout.cellIncludes(row, layout.modifiedDate.labelColumn, layout.modifiedDate.label)) {
+                details.modifiedDate = row[layout.modifiedDate.valueColumn];
+            }
+            
+            // Tags ("vegetarisch, schnell")
+            if (layout.tags && SheetLayout.cellIncludes(row, layout.tags.labelColumn, layout.tags.label)) {
+                const valueColumn = layout.tags.valueColumns.find(col => row[col]);
+                details.tags = valueColumn !== undefined ? RecipeTags.parseTags(row[valueColumn]) : [];
+            }
+            
+            // Total Warenkosten (erste Wert-Spalte mit einem Betrag gewinnt)
+            if (layout.costs && SheetLayout.cellIncludes(row, layout.costs.labelColumn, layout.costs.label)) {
+                details.totalCost = layout.costs.valueColumns
+                    .map(col => RecipeCosts.parsePrice(row[col]))
+                    .find(value => value !== null) ?? null;
+            }
+            
+            // Zutaten (nach Kopfzeile bis Ende-Markierung)
+            if (SheetLayout.isIngredientHeader(row, layout)) {
+                let j = i + 1;
+                while (j < data.length && !SheetLayout.isIngredientEnd(data[j], layout)) {
+                    const ingredientRow = data[j];
+                    if (ingredientRow[columns.product]) { // Produkt vorhanden
+                        details.ingredients.push({
+                            amount: ingredientRow[columns.amount] || '',
+                            unit: ingredientRow[columns.unit] || '',
+                            product: ingredientRow[columns.product] || '',
+                            note: ingredientRow[columns.note] || '',
+                            price: columns.price !== undefined ? RecipeCosts.parsePrice(ingredientRow[columns.price]) : null
+                        });
+                    }
+                    j++;
+                }
+            }
+            
+            // Bemerkungen/Notizen (eigener Bereich nach Zubereitung)
+            if (SheetLayout.isNotesHeader(row, layout)) {
+                // Gefunden! "Bemerkungen/Notizen" Header
+                // Lese alle folgenden Zeilen bis zur nächsten leeren Zeile
+                let j = i + 1;
+                while (j < data.length) {
+                    const noteRow = data[j];
+                    const noteText = noteRow[layout.notes.column];
+                    
+                    // Stoppe bei leerer Zeile oder wenn alle Spalten leer sind
+                    if (!noteText || String(noteText).trim() === '') {
+                        // Prüfe ob wirklich komplett leer
+                        const hasContent = noteRow.some(cell => cell && String(cell).trim() !== '');
+                        if (!hasContent) {
+                            break;
+                        }
+                    }
+                    
+                    // Füge Notiz/Link hinzu wenn nicht leer
+                    if (noteText && String(noteText).trim() !== '') {
+                        details.notes.push(String(noteText).trim());
+                    }
+                    
+                    j++;
+                }
+                break;
+            }
+            
+            // Zubereitung/Anleitung
+            if (SheetLayout.isInstructionHeader(row, layout)) {
+                let j = i + 1;
+                while (j < data.length) {
+                    const stepRow = data[j];
+                    const stepNum = stepRow[layout.instructions.columns.step];
+                    const stepText = stepRow[layout.instructions.columns.text];
+                    
+                    if (stepNum && stepText && !isNaN(stepNum)) {
+                        details.instructions.push({
+                            step: Number(stepNum),
+                            text: String(stepText)
+                        });
+                    } else if (!stepNum && !stepText) {
+                        break; // Ende der Anleitung
+                    }
+                    j++;
+                }
+            }
+        }
+        
+        return details;
+    }
+
+    /**
+     * Liest die Bilder der Rezept-Sheets (Zuordnung siehe XMLParser.createSheetImageMapping())
+     * @param {Set<string>|null} sheetNames - Nur diese Sheets (null = alle)
+     * @param {Function} onSheet - ({sheetName, images: Array<{data: ArrayBuffer, type: string, transform: Object, anchor: Object}>})
+     *                             pro Sheet mit Bildern
+     * @param {Function} onProgress - Optional: ({completed, total}) pro Sheet
+     * @returns {Promise<number>} Anzahl gelesener Bilder
+     */
+    async extractImages(sheetNames, onSheet, onProgress = null) {
+        if (!this.zip) {
+            this.zip = await JSZip.loadAsync(this.buffer);
+        }
+
+        const mapping = await XMLParser.createSheetImageMapping(this.zip);
+        const entries = Object.entries(mapping)
+            .filter(([sheetName]) => !sheetNames || sheetNames.has(sheetName));
+        let imageCount = 0;
+
+        for (let i = 0; i < entries.length; i++) {
+            if (onProgress) onProgress({ completed: i, total: entries.length });
+
+            const [sheetName, imageData] = entries[i];
+            const images = [];
+            for (const imgData of imageData) {
+                const imageFile = this.zip.file(imgData.path);
+                if (!imageFile) {
+                    console.warn(`Bild nicht gefunden: ${imgData.path}`);
+                    continue;
+                }
+
+                images.push({
+                    data: await imageFile.async('arraybuffer'),
+                    type: XMLParser.getMimeType(XMLParser.getFileExtension(imgData.path)),
+                    transform: imgData.transform,
+                    anchor: imgData.anchor || null
+                });
+            }
+
+            if (images.length > 0) {
+                imageCount += images.length;
+                onSheet({ sheetName, images });
+            }
+        }
+
+        if (onProgress) onProgress({ completed: entries.length, total: entries.length });
+        return imageCount;
+    }
+}
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkbookParser;
+}
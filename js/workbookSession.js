@@ -0,0 +1,293 @@
+/**
+ * WorkbookSession - Geöffnete Rezepte.xlsx für einen Import
+ * Die Datei wird genau einmal gelesen; SheetJS und JSZip laufen im Web Worker
+ * (workbookWorker.js), damit die Seite beim Import großer Workbooks bedienbar bleibt.
+ * Startet kein Worker (z.B. file://), rechnet derselbe WorkbookParser im Hauptthread.
+ * Abbrechen über AbortSignal beendet den Worker; gespeichert wird hier nichts.
+ */
+
+// Worker neben diesem Skript - Seiten liegen in / und in pages/, ein seitenrelativer Pfad
+// würde unter pages/ ins Leere zeigen (document.currentScript gibt es nur beim Laden)
+const WORKBOOK_WORKER_URL = typeof document !== 'undefined' && document.currentScript
+    ? new URL('workbookWorker.js', document.currentScript.src).href
+    : 'js/workbookWorker.js';
+
+class WorkbookSession {
+    /**
+     * @returns {string} Absolute URL des Workers
+     */
+    static get WORKER_URL() {
+        return WORKBOOK_WORKER_URL;
+    }
+
+    /**
+     * Abschnitte des Gesamtfortschritts in Prozent [von, bis] - in dieser Reihenfolge
+     * read: Datei lesen, workbook: Rezepte, images: Bilder aus dem ZIP,
+     * thumbnails: Vorschaubilder berechnen, save: in IndexedDB schreiben
+     * @returns {Object}
+     */
+    static get PHASES() {
+        return {
+            read: [0, 5],
+            workbook: [5, 35],
+            images: [35, 60],
+            thumbnails: [60, 95],
+            save: [95, 100],
+            complete: [100, 100]
+        };
+    }
+
+    /**
+     * Fortschritts-Ereignis für die onProgress-Callbacks des Imports
+     * @param {string} phase - Abschnitt aus PHASES
+     * @param {number} completed - Erledigte Schritte im Abschnitt
+     * @param {number} total - Schritte im Abschnitt
+     * @param {string} message - Anzeigetext
+     * @returns {{phase: string, completed: number, total: number, progress: number, message: string}}
+     *          progress = Gesamtfortschritt 0-100 (steigt über alle Abschnitte)
+     */
+    static createProgress(phase, completed, total, message) {
+        const [start, end] = WorkbookSession.PHASES[phase] || [0, 100];
+        const fraction = total > 0 ? Math.min(1, completed / total) : 0;
+        return {
+            phase,
+            completed,
+            total,
+            progress: Math.round(start + (end - start) * fraction),
+            message
+        };
+    }
+
+    /**
+     * Liest die Datei und startet den Worker (oder den Parser im Hauptthread)
+     * @param {File|Blob} file - Die Excel-Datei
+     * @param {Object} options - { signal: AbortSignal, onProgress: Function }
+     * @returns {Promise<WorkbookSession>}
+     */
+    static async open(file, { signal = null, onProgress = null } = {}) {
+        if (signal) signal.throwIfAborted();
+        if (onProgress) onProgress(WorkbookSession.createProgress('read', 0, 1, 'Lese Datei...'));
+
+        const buffer = await file.arrayBuffer();
+        if (signal) signal.throwIfAborted();
+
+        const session = new WorkbookSession(file);
+        await session.start(buffer);
+        if (signal && signal.aborted) {
+            session.close();
+            signal.throwIfAborted();
+        }
+
+        if (onProgress) onProgress(WorkbookSession.createProgress('read', 1, 1, 'Datei gelesen'));
+        return session;
+    }
+
+    /**
+     * @param {File|Blob} file - Die Excel-Datei (zum Wiedererkennen, siehe isFor())
+     */
+    constructor(file) {
+        this.file = file;
+        this.worker = null;
+        this.parser = null;
+        this.pending = new Map();
+        this.nextId = 0;
+        this.recipesPromise = null;
+        this.closed = false;
+    }
+
+    /**
+     * @param {File|Blob} file - Datei
+     * @returns {boolean} Gehört die Sitzung zu dieser Datei (und ist noch offen)?
+     */
+    isFor(file) {
+        return !this.closed && this.file === file;
+    }
+
+    /**
+     * Übergibt den Puffer an den Worker - erst nach dessen "ready", damit er bei einem
+     * Fehlstart noch für den Parser im Hauptthread da ist
+     * @param {ArrayBuffer} buffer - Dateiinhalt
+     * @returns {Promise<void>}
+     */
+    async start(buffer) {
+        const profiles = SheetLayout.getProfiles();
+        this.worker = await WorkbookSession.startWorker();
+
+        if (!this.worker) {
+            this.parser = new WorkbookParser(buffer, profiles);
+            return;
+        }
+
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.close(new Error(event.message || 'Fehler im Import-Worker'));
+        };
+        this.worker.postMessage({ type: 'open', buffer, profiles }, [buffer]);
+    }
+
+    /**
+     * @returns {Promise<Worker|null>} Bereiter Worker oder null (nicht verfügbar / Skripte nicht ladbar)
+     */
+    static startWorker() {
+        if (typeof Worker === 'undefined') return Promise.resolve(null);
+
+        let worker;
+        try {
+            worker = new Worker(WorkbookSession.WORKER_URL);
+        } catch (error) {
+            console.warn('Import-Worker nicht verfügbar, lese im Hauptthread:', error);
+            return Promise.resolve(null);
+        }
+
+        return new Promise(resolve => {
+            worker.onmessage = (event) => {
+                if (event.data && event.data.type === 'ready') resolve(worker);
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                console.warn('Import-Worker konnte nicht starten, lese im Hauptthread:', event.message);
+                worker.terminate();
+                resolve(null);
+            };
+        });
+    }
+
+    /**
+     * Liest die Rezepte (einmal pro Sitzung, danach aus dem Zwischenspeicher)
+     * @param {Object} options - { signal: AbortSignal, onProgress: Function }
+     * @returns {Promise<{recipes: Array, validationReport: Object|null}>} Siehe WorkbookParser.parseRecipes()
+     */
+    parseRecipes({ signal = null, onProgress = null } = {}) {
+        if (!this.recipesPromise) {
+            if (onProgress) onProgress(WorkbookSession.createProgress('workbook', 0, 1, 'Lese Rezepte...'));
+
+            const progress = ({ completed, total }) => {
+                if (onProgress) {
+                    onProgress(WorkbookSession.createProgress('workbook', completed, total, `Lese Rezepte ${completed}/${total}...`));
+                }
+            };
+            this.recipesPromise = this.request('parse', {}, { signal, onProgress: progress });
+            // Abgebrochen oder fehlgeschlagen: beim nächsten Aufruf neu versuchen
+            this.recipesPromise.catch(() => {
+                this.recipesPromise = null;
+            });
+        }
+        return this.recipesPromise;
+    }
+
+    /**
+     * Liest die Bilder der Rezept-Sheets
+     * @param {Set<string>|null} sheetNames - Nur diese Sheets (null = alle)
+     * @param {Object} options - { signal, onProgress, onSheet: ({sheetName, images}) pro Sheet mit Bildern,
+     *                           images = Array<{data: ArrayBuffer, type: string, transform: Object, anchor: Object}> }
+     * @returns {Promise<number>} Anzahl gelesener Bilder
+     */
+    extractImages(sheetNames, { signal = null, onProgress = null, onSheet = () => {} } = {}) {
+        if (onProgress) onProgress(WorkbookSession.createProgress('images', 0, 1, 'Analysiere Bilder...'));
+
+        const progress = ({ completed, total }) => {
+            if (onProgress) {
+                onProgress(WorkbookSession.createProgress('images', completed, total, `Lese Bilder ${completed}/${total} Rezepte...`));
+            }
+        };
+        const names = sheetNames ? Array.from(sheetNames) : null;
+        return this.request('images', { sheetNames: names }, { signal, onProgress: progress, onSheet });
+    }
+
+    /**
+     * Schickt einen Auftrag an den Worker bzw. führt ihn im Hauptthread aus
+     * @param {string} type - 'parse' oder 'images'
+     * @param {Object} payload - Zusätzliche Felder der Nachricht
+     * @param {Object} handlers - { signal, onProgress, onSheet }
+     * @returns {Promise<*>} Ergebnis des Auftrags
+     */
+    request(type, payload, { signal = null, onProgress = null, onSheet = null } = {}) {
+        if (signal && signal.aborted) return Promise.reject(signal.reason);
+        if (this.closed) return Promise.reject(new Error('Arbeitsmappe ist bereits geschlossen'));
+        if (this.parser) return this.runInline(type, payload, { signal, onProgress, onSheet });
+
+        const id = ++this.nextId;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => this.close(signal.reason);
+            const settle = (callback) => (value) => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                this.pending.delete(id);
+                callback(value);
+            };
+
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+            this.pending.set(id, { resolve: settle(resolve), reject: settle(reject), onProgress, onSheet });
+            this.worker.postMessage({ type, id, ...payload });
+        });
+    }
+
+    /**
+     * Fallback ohne Worker - blockiert die Seite, liefert aber dasselbe Ergebnis
+     * @param {string} type - 'parse' oder 'images'
+     * @param {Object} payload - Wie bei request()
+     * @param {Object} handlers - { signal, onProgress, onSheet }
+     * @returns {Promise<*>}
+     */
+    async runInline(type, payload, { signal = null, onProgress = null, onSheet = null } = {}) {
+        if (type === 'parse') {
+            const result = this.parser.parseRecipes(onProgress);
+            if (signal) signal.throwIfAborted();
+            return result;
+        }
+
+        const sheetNames = payload.sheetNames ? new Set(payload.sheetNames) : null;
+        return this.parser.extractImages(sheetNames, (sheet) => {
+            if (signal) signal.throwIfAborted();
+            if (onSheet) onSheet(sheet);
+        }, onProgress);
+    }
+
+    /**
+     * @param {Object} message - Antwort des Workers (siehe workbookWorker.js)
+     */
+    handleMessage(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+
+        switch (message.type) {
+            case 'progress':
+                if (request.onProgress) request.onProgress(message);
+                break;
+            case 'sheet':
+                if (request.onSheet) request.onSheet({ sheetName: message.sheetName, images: message.images });
+                break;
+            case 'result':
+                request.resolve(message.result);
+                break;
+            case 'error':
+                request.reject(new Error(message.message));
+                break;
+        }
+    }
+
+    /**
+     * Beendet den Worker; offene Aufträge schlagen mit reason fehl
+     * @param {*} reason - Grund (AbortError beim Abbrechen)
+     */
+    close(reason = null) {
+        if (this.closed) return;
+        this.closed = true;
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.parser = null;
+
+        const error = reason || new Error('Arbeitsmappe wurde geschlossen');
+        for (const request of Array.from(this.pending.values())) {
+            request.reject(error);
+        }
+    }
+}
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkbookSession;
+}
@@ -0,0 +1,64 @@
+/**
+ * Web Worker für den Excel-Import (gesteuert von WorkbookSession)
+ * Hält den Dateiinhalt und beantwortet Aufträge mit dem WorkbookParser.
+ *
+ * Nachrichten an den Worker:
+ *   { type: 'open', buffer, profiles }      - Datei übernehmen (buffer wird übertragen)
+ *   { type: 'parse', id }                    - Rezepte lesen
+ *   { type: 'images', id, sheetNames }       - Bilder lesen (sheetNames = null: alle)
+ * Nachrichten vom Worker:
+ *   { type: 'ready' }                        - Skripte geladen
+ *   { type: 'progress', id, completed, total }
+ *   { type: 'sheet', id, sheetName, images } - Bilder eines Sheets (ArrayBuffer werden übertragen)
+ *   { type: 'result', id, result }
+ *   { type: 'error', id, message }
+ */
+
+importScripts(
+    'lib/xlsx.full.min.js',
+    'lib/jszip.min.js',
+    'xmlLite.js',
+    'xmlParser.js',
+    'sheetLayout.js',
+    'recipeTags.js',
+    'quantity.js',
+    'recipeCosts.js',
+    'importValidator.js',
+    'workbookParser.js'
+);
+
+let parser = null;
+
+self.onmessage = async (event) => {
+    const message = event.data;
+
+    if (message.type === 'open') {
+        parser = new WorkbookParser(message.buffer, message.profiles);
+        return;
+    }
+
+    const { id } = message;
+    const onProgress = ({ completed, total }) => self.postMessage({ type: 'progress', id, completed, total });
+
+    try {
+        if (!parser) {
+            throw new Error('Keine Datei geöffnet');
+        }
+
+        if (message.type === 'parse') {
+            self.postMessage({ type: 'result', id, result: parser.parseRecipes(onProgress) });
+        } else if (message.type === 'images') {
+            const sheetNames = message.sheetNames ? new Set(message.sheetNames) : null;
+            const count = await parser.extractImages(sheetNames, ({ sheetName, images }) => {
+                self.postMessage({ type: 'sheet', id, sheetName, images }, images.map(image => image.data));
+            }, onProgress);
+            self.postMessage({ type: 'result', id, result: count });
+        } else {
+            throw new Error(`Unbekannter Auftrag: ${message.type}`);
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+    }
+};
+
+self.postMessage({ type: 'ready' });
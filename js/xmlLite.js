@@ -0,0 +1,267 @@
+/**
+ * XMLLite - Kleiner XML-Parser ohne DOMParser (Web Worker haben keinen)
+ * Liefert Knoten mit dem Ausschnitt der DOM-API, den XMLParser verwendet:
+ * childNodes, parentNode, localName, namespaceURI, attributes, getAttribute(),
+ * hasAttribute(), getElementsByTagNameNS(), getElementsByTagName(), textContent.
+ * Gedacht für die XML-Teile einer .xlsx (wohlgeformt, UTF-8) - kein DTD, keine Validierung.
+ */
+
+class XMLLite {
+    /**
+     * @returns {Object} Fest vergebene Namespaces der Präfixe xml und xmlns
+     */
+    static get RESERVED_NAMESPACES() {
+        return {
+            xml: 'http://www.w3.org/XML/1998/namespace',
+            xmlns: 'http://www.w3.org/2000/xmlns/'
+        };
+    }
+
+    /**
+     * @returns {Object} Vordefinierte Entities
+     */
+    static get ENTITIES() {
+        return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+    }
+
+    /**
+     * @param {number} nodeType - 1 = Element, 3 = Text, 9 = Dokument
+     * @param {string} nodeName - Qualifizierter Name ("xdr:pic"), "#text" bzw. "#document"
+     * @param {XMLLite|null} parentNode - Elternknoten
+     */
+    constructor(nodeType, nodeName, parentNode = null) {
+        this.nodeType = nodeType;
+        this.nodeName = nodeName;
+        this.parentNode = parentNode;
+        this.childNodes = [];
+        this.attributes = [];
+        this.namespaces = {};
+        this.data = '';
+
+        const separator = nodeName.indexOf(':');
+        this.prefix = nodeType === 1 && separator !== -1 ? nodeName.slice(0, separator) : null;
+        this.localName = nodeType === 1 ? nodeName.slice(separator + 1) : null;
+        this.tagName = nodeType === 1 ? nodeName : undefined;
+        this.namespaceURI = null;
+        if (nodeType === 9) this.documentElement = null;
+    }
+
+    /**
+     * Parst einen XML-String
+     * @param {string} xmlString - XML als String
+     * @returns {XMLLite} Dokument-Knoten (documentElement = Wurzel-Element)
+     * @throws {Error} Bei nicht wohlgeformtem XML
+     */
+    static parse(xmlString) {
+        const doc = new XMLLite(9, '#document');
+        const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE(?:[^>[]|\[[\s\S]*?\])*>|<\/([^\s>]+)\s*>|<([^\s/>!?]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+        let current = doc;
+        let lastIndex = 0;
+        let match;
+
+        while ((match = pattern.exec(xmlString)) !== null) {
+            XMLLite.appendText(current, xmlString.slice(lastIndex, match.index));
+            lastIndex = pattern.lastIndex;
+
+            const [token, cdata, closingName, openingName, attributeText, selfClosing] = match;
+            if (cdata !== undefined) {
+                if (current === doc) throw new Error('XML ungültig: Text außerhalb des Wurzel-Elements');
+                current.appendChild(XMLLite.createText(cdata, current));
+            } else if (closingName !== undefined) {
+                if (current.nodeName !== closingName) {
+                    throw new Error(`XML ungültig: </${closingName}> schließt <${current.nodeName}>`);
+                }
+                current = current.parentNode;
+            } else if (openingName !== undefined) {
+                if (current === doc && doc.documentElement) {
+                    throw new Error('XML ungültig: mehr als ein Wurzel-Element');
+                }
+                const element = XMLLite.createElement(openingName, attributeText, current);
+                current.appendChild(element);
+                if (!selfClosing) current = element;
+            } else if (token.startsWith('<!DOCTYPE') && doc.documentElement) {
+                throw new Error('XML ungültig: DOCTYPE nach dem Wurzel-Element');
+            }
+        }
+
+        XMLLite.appendText(current, xmlString.slice(lastIndex));
+        if (current !== doc) throw new Error(`XML ungültig: <${current.nodeName}> wird nicht geschlossen`);
+        if (!doc.documentElement) throw new Error('XML ungültig: kein Wurzel-Element');
+        return doc;
+    }
+
+    /**
+     * @param {string} name - Qualifizierter Name
+     * @param {string} attributeText - Attribute wie im Start-Tag
+     * @param {XMLLite} parentNode - Elternknoten (für Namespaces)
+     * @returns {XMLLite} Element mit aufgelösten Namespaces
+     */
+    static createElement(name, attributeText, parentNode) {
+        const element = new XMLLite(1, name, parentNode);
+        const attributePattern = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+
+        while ((match = attributePattern.exec(attributeText)) !== null) {
+            const attributeName = match[1];
+            if (element.attributes.some(attribute => attribute.name === attributeName)) {
+                throw new Error(`XML ungültig: Attribut ${attributeName} doppelt in <${name}>`);
+            }
+            const value = XMLLite.decodeEntities(match[2] ?? match[3]);
+            const separator = attributeName.indexOf(':');
+            const prefix = separator === -1 ? null : attributeName.slice(0, separator);
+
+            if (attributeName === 'xmlns') element.namespaces[''] = value;
+            if (prefix === 'xmlns') element.namespaces[attributeName.slice(separator + 1)] = value;
+
+            element.attributes.push({ name: attributeName, prefix, localName: attributeName.slice(separator + 1), value, namespaceURI: null });
+        }
+
+        // Erst nach allen xmlns-Attributen auflösen - Reihenfolge im Tag ist egal
+        element.namespaceURI = element.lookupNamespaceURI(element.prefix || '');
+        if (element.prefix && element.namespaceURI === null) {
+            throw new Error(`XML ungültig: Präfix ${element.prefix} ohne Namespace`);
+        }
+        for (const attribute of element.attributes) {
+            if (attribute.name === 'xmlns') {
+                attribute.namespaceURI = XMLLite.RESERVED_NAMESPACES.xmlns;
+            } else if (attribute.prefix) {
+                attribute.namespaceURI = element.lookupNamespaceURI(attribute.prefix);
+                if (attribute.namespaceURI === null) {
+                    throw new Error(`XML ungültig: Präfix ${attribute.prefix} ohne Namespace`);
+                }
+            }
+        }
+
+        return element;
+    }
+
+    /**
+     * @param {string} data - Text (bereits dekodiert)
+     * @param {XMLLite} parentNode - Elternknoten
+     * @returns {XMLLite} Text-Knoten
+     */
+    static createText(data, parentNode) {
+        const text = new XMLLite(3, '#text', parentNode);
+        text.data = data;
+        return text;
+    }
+
+    /**
+     * Hängt Text zwischen zwei Tags an (Leerraum außerhalb des Wurzel-Elements fällt weg)
+     * @param {XMLLite} parentNode - Aktueller Knoten
+     * @param {string} raw - Text wie im XML
+     */
+    static appendText(parentNode, raw) {
+        if (!raw) return;
+        if (raw.includes('<')) throw new Error('XML ungültig: unerwartetes "<"');
+
+        if (parentNode.nodeType === 9) {
+            if (raw.trim()) throw new Error('XML ungültig: Text außerhalb des Wurzel-Elements');
+            return;
+        }
+        parentNode.appendChild(XMLLite.createText(XMLLite.decodeEntities(raw), parentNode));
+    }
+
+    /**
+     * @param {string} text - Text mit Entities ("&amp;", "&#228;", "&#xE4;")
+     * @returns {string}
+     */
+    static decodeEntities(text) {
+        if (!text.includes('&')) return text;
+
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (entity, code) => {
+            if (code[0] === '#') {
+                const value = code[1] === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return String.fromCodePoint(value);
+            }
+            if (!(code in XMLLite.ENTITIES)) throw new Error(`XML ungültig: unbekanntes Entity ${entity}`);
+            return XMLLite.ENTITIES[code];
+        });
+    }
+
+    /**
+     * @param {XMLLite} child - Neuer Kind-Knoten
+     */
+    appendChild(child) {
+        this.childNodes.push(child);
+        if (this.nodeType === 9 && child.nodeType === 1) this.documentElement = child;
+    }
+
+    /**
+     * @param {string} prefix - Präfix ('' = Standard-Namespace)
+     * @returns {string|null} Namespace-URI
+     */
+    lookupNamespaceURI(prefix) {
+        if (prefix in XMLLite.RESERVED_NAMESPACES) return XMLLite.RESERVED_NAMESPACES[prefix];
+
+        for (let node = this; node; node = node.parentNode) {
+            if (prefix in node.namespaces) return node.namespaces[prefix] || null;
+        }
+        return null;
+    }
+
+    /**
+     * @param {string} name - Qualifizierter Attributname ("r:id")
+     * @returns {string|null}
+     */
+    getAttribute(name) {
+        const attribute = this.attributes.find(entry => entry.name === name);
+        return attribute ? attribute.value : null;
+    }
+
+    /**
+     * @param {string} name - Qualifizierter Attributname
+     * @returns {boolean}
+     */
+    hasAttribute(name) {
+        return this.attributes.some(entry => entry.name === name);
+    }
+
+    /**
+     * @param {string} namespaceURI - Namespace oder '*'
+     * @param {string} localName - Lokaler Name oder '*'
+     * @returns {XMLLite[]} Alle Nachfahren in Dokument-Reihenfolge
+     */
+    getElementsByTagNameNS(namespaceURI, localName) {
+        return this.collectElements(element =>
+            (namespaceURI === '*' || element.namespaceURI === namespaceURI) &&
+            (localName === '*' || element.localName === localName));
+    }
+
+    /**
+     * @param {string} name - Qualifizierter Name oder '*'
+     * @returns {XMLLite[]} Alle Nachfahren in Dokument-Reihenfolge
+     */
+    getElementsByTagName(name) {
+        return this.collectElements(element => name === '*' || element.nodeName === name);
+    }
+
+    /**
+     * @param {Function} predicate - Filter für Elemente
+     * @returns {XMLLite[]}
+     */
+    collectElements(predicate) {
+        const result = [];
+        const stack = [...this.childNodes].reverse();
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (node.nodeType !== 1) continue;
+            if (predicate(node)) result.push(node);
+            for (let i = node.childNodes.length - 1; i >= 0; i--) stack.push(node.childNodes[i]);
+        }
+        return result;
+    }
+
+    /**
+     * @returns {string} Verketteter Text aller Nachfahren
+     */
+    get textContent() {
+        if (this.nodeType === 3) return this.data;
+        return this.childNodes.map(child => child.textContent).join('');
+    }
+}
+
+// Export für Verwendung in anderen Dateien
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = XMLLite;
+}
@@ -1,140 +1,479 @@
 /**
  * XMLParser - Helper für XML-Parsing in Excel-Dateien
+ * Bilder werden über die Relationships (.rels) den Sheets zugeordnet - so wie Excel
+ * selbst, damit auch mit LibreOffice gespeicherte Dateien oder verschobene/gelöschte
+ * Sheets die richtigen Bilder bekommen.
  */
 
 class XMLParser {
     /**
      * Parst XML-String zu DOM
+     * Im Web Worker (kein DOMParser) übernimmt XMLLite mit derselben Teil-API.
      * @param {string} xmlString - XML als String
-     * @returns {Document} XML Document
+     * @returns {Document|XMLLite} XML Document
      */
     static parseXML(xmlString) {
+        if (typeof DOMParser === 'undefined') {
+            return XMLLite.parse(xmlString);
+        }
         const parser = new DOMParser();
         return parser.parseFromString(xmlString, 'text/xml');
     }
 
+    /**
+     * Relationship-Typen (Ende der Type-URI - gilt für Transitional und Strict OOXML)
+     * @returns {Object}
+     */
+    static get RELATIONSHIP_TYPES() {
+        return {
+            officeDocument: '/officeDocument',
+            worksheet: '/worksheet',
+            drawing: '/drawing',
+            image: '/image'
+        };
+    }
+
+    /**
+     * Anker-Elemente in einem Drawing (xdr:twoCellAnchor usw.)
+     * @returns {string[]}
+     */
+    static get ANCHOR_ELEMENTS() {
+        return ['twoCellAnchor', 'oneCellAnchor', 'absoluteAnchor'];
+    }
+
+    /**
+     * Standardgröße einer Zelle in EMU (English Metric Units, 9525 pro Pixel)
+     * Excel-Standard: Spalte 64 px, Zeile 20 px. Dient nur zum Umrechnen zwischen Zellen
+     * und absoluten Positionen - echte Spaltenbreiten stehen im Sheet und bleiben unbeachtet.
+     * @returns {{column: number, row: number}}
+     */
+    static get DEFAULT_CELL_EMU() {
+        return { column: 609600, row: 190500 };
+    }
+
+    /**
+     * Sucht Elemente nach lokalem Namen - unabhängig vom Präfix (xdr:, a:, ohne)
+     * @param {Document|Element} parent - Startknoten
+     * @param {string} localName - z.B. 'pic', 'blip'
+     * @returns {Element[]} In Dokument-Reihenfolge
+     */
+    static getElements(parent, localName) {
+        return Array.from(parent.getElementsByTagNameNS('*', localName));
+    }
+
+    /**
+     * @param {Element} parent - Element
+     * @param {string} localName - Lokaler Name
+     * @returns {Element[]} Nur direkte Kind-Elemente
+     */
+    static getChildren(parent, localName = null) {
+        return Array.from(parent.childNodes).filter(node =>
+            node.nodeType === 1 && (localName === null || node.localName === localName));
+    }
+
+    /**
+     * Liest ein Relationship-Attribut (r:id, r:embed) - unabhängig vom Präfix
+     * @param {Element} element - Element
+     * @param {string} localName - 'id', 'embed' oder 'link'
+     * @returns {string|null}
+     */
+    static getRelationshipAttribute(element, localName) {
+        for (const attribute of Array.from(element.attributes)) {
+            if (attribute.localName === localName && /\/relationships$/.test(attribute.namespaceURI || '')) {
+                return attribute.value;
+            }
+        }
+        return null;
+    }
+
     /**
      * Extrahiert Sheet-Namen und IDs aus workbook.xml
      * @param {string} workbookXML - Inhalt von xl/workbook.xml
-     * @returns {Array<{name: string, sheetId: string, index: number}>}
+     * @returns {Array<{name: string, sheetId: string, rId: string, index: number}>}
      */
     static extractSheetInfo(workbookXML) {
         const doc = this.parseXML(workbookXML);
-        const sheets = doc.getElementsByTagName('sheet');
-        const sheetInfo = [];
-
-        for (let i = 0; i < sheets.length; i++) {
-            const sheet = sheets[i];
-            sheetInfo.push({
-                name: sheet.getAttribute('name'),
-                sheetId: sheet.getAttribute('sheetId'),
-                rId: sheet.getAttribute('r:id'),
-                index: i + 1
-            });
-        }
+        const sheets = this.getElements(doc, 'sheet');
+
+        return sheets.map((sheet, i) => ({
+            name: sheet.getAttribute('name'),
+            sheetId: sheet.getAttribute('sheetId'),
+            rId: this.getRelationshipAttribute(sheet, 'id'),
+            index: i + 1
+        }));
+    }
+
+    /**
+     * Pfad der Relationships zu einem Part ("xl/workbook.xml" → "xl/_rels/workbook.xml.rels")
+     * @param {string} partPath - Pfad im ZIP
+     * @returns {string}
+     */
+    static getRelsPath(partPath) {
+        const slash = partPath.lastIndexOf('/');
+        return `${partPath.slice(0, slash + 1)}_rels/${partPath.slice(slash + 1)}.rels`;
+    }
 
-        return sheetInfo;
+    /**
+     * Löst ein Relationship-Ziel zum Pfad im ZIP auf
+     * Relative Ziele gelten ab dem Ordner des Quell-Parts, absolute ("/xl/media/image1.png")
+     * ab der Wurzel des Pakets.
+     * @param {string} sourcePath - Part, zu dem die Relationships gehören ("xl/worksheets/sheet1.xml")
+     * @param {string} target - Target-Attribut ("../drawings/drawing1.xml")
+     * @returns {string} z.B. "xl/drawings/drawing1.xml"
+     */
+    static resolveTarget(sourcePath, target) {
+        let decoded = target.replace(/\\/g, '/');
+        try {
+            decoded = decodeURIComponent(decoded);
+        } catch (error) {
+            // Kein gültiges URI-Escaping - Ziel unverändert verwenden
+        }
+        const parts = decoded.startsWith('/')
+            ? []
+            : sourcePath.split('/').slice(0, -1);
+
+        for (const segment of decoded.split('/')) {
+            if (segment === '..') {
+                parts.pop();
+            } else if (segment && segment !== '.') {
+                parts.push(segment);
+            }
+        }
+        return parts.join('/');
     }
 
     /**
-     * Extrahiert Drawing-Referenz aus Sheet-Relationships
-     * @param {string} relsXML - Inhalt von xl/worksheets/_rels/sheet*.xml.rels
-     * @returns {string|null} Drawing-Pfad oder null
+     * Parst eine .rels-Datei
+     * @param {string} relsXML - Inhalt der .rels-Datei
+     * @param {string} sourcePath - Part, zu dem die Relationships gehören
+     * @returns {Map<string, {type: string, path: string|null, external: boolean}>} rId → Ziel (path null bei externen Zielen)
      */
-    static extractDrawingPath(relsXML) {
+    static parseRelationships(relsXML, sourcePath) {
         const doc = this.parseXML(relsXML);
-        const relationships = doc.getElementsByTagName('Relationship');
+        const relationships = new Map();
 
-        for (let i = 0; i < relationships.length; i++) {
-            const rel = relationships[i];
+        for (const rel of this.getElements(doc, 'Relationship')) {
             const target = rel.getAttribute('Target');
-            
-            if (target && target.includes('drawing')) {
-                // Konvertiere relativen Pfad zu absolutem
-                return 'xl/' + target.replace('../', '');
-            }
+            const external = rel.getAttribute('TargetMode') === 'External';
+            relationships.set(rel.getAttribute('Id'), {
+                type: rel.getAttribute('Type') || '',
+                path: target && !external ? this.resolveTarget(sourcePath, target) : null,
+                external
+            });
         }
 
+        return relationships;
+    }
+
+    /**
+     * Liest die Relationships eines Parts aus dem ZIP
+     * @param {JSZip} zip - JSZip Instanz
+     * @param {string} partPath - Pfad des Parts
+     * @returns {Promise<Map>} Wie parseRelationships(), leer wenn keine .rels-Datei existiert
+     */
+    static async readRelationships(zip, partPath) {
+        const relsFile = this.findFile(zip, this.getRelsPath(partPath));
+        if (!relsFile) return new Map();
+
+        return this.parseRelationships(await relsFile.async('text'), partPath);
+    }
+
+    /**
+     * Sucht eine Datei im ZIP (Groß-/Kleinschreibung egal - Pfade in OOXML sind case-insensitive)
+     * @param {JSZip} zip - JSZip Instanz
+     * @param {string} path - Pfad
+     * @returns {Object|null} JSZip-Datei
+     */
+    static findFile(zip, path) {
+        const file = zip.file(path);
+        if (file) return file;
+
+        const lower = path.toLowerCase();
+        const match = Object.keys(zip.files).find(name => name.toLowerCase() === lower);
+        return match ? zip.file(match) : null;
+    }
+
+    /**
+     * @param {Map} relationships - Ergebnis von parseRelationships()
+     * @param {string} type - Wert aus RELATIONSHIP_TYPES
+     * @returns {Object|null} Erstes internes Ziel dieses Typs
+     */
+    static findRelationship(relationships, type) {
+        for (const rel of relationships.values()) {
+            if (rel.type.endsWith(type) && !rel.external) return rel;
+        }
         return null;
     }
 
     /**
-     * Extrahiert Bild-Referenzen aus Drawing-Relationships
-     * @param {string} drawingRelsXML - Inhalt von xl/drawings/_rels/drawing*.xml.rels
-     * @returns {Array<string>} Array von Bild-Pfaden
+     * Findet den Pfad von workbook.xml über _rels/.rels (LibreOffice & Co. legen ihn nicht immer gleich ab)
+     * @param {JSZip} zip - JSZip Instanz
+     * @returns {Promise<string>}
      */
-    static extractImagePaths(drawingRelsXML) {
-        const doc = this.parseXML(drawingRelsXML);
-        const relationships = doc.getElementsByTagName('Relationship');
-        const imagePaths = [];
+    static async getWorkbookPath(zip) {
+        const rootRels = await this.readRelationships(zip, '');
+        const officeDocument = this.findRelationship(rootRels, this.RELATIONSHIP_TYPES.officeDocument);
+        return officeDocument && this.findFile(zip, officeDocument.path) ? officeDocument.path : 'xl/workbook.xml';
+    }
 
-        for (let i = 0; i < relationships.length; i++) {
-            const rel = relationships[i];
-            const target = rel.getAttribute('Target');
-            const type = rel.getAttribute('Type');
+    /**
+     * Welches Drawing gehört zum Sheet? Das <drawing r:id> im Sheet entscheidet -
+     * die Relationships enthalten z.B. auch vmlDrawing für Kommentare.
+     * @param {string} sheetXML - Inhalt des Sheets
+     * @param {Map} sheetRels - Relationships des Sheets
+     * @returns {string|null} Pfad des Drawings
+     */
+    static extractDrawingPath(sheetXML, sheetRels) {
+        const drawing = this.getElements(this.parseXML(sheetXML), 'drawing')[0];
+        const rId = drawing ? this.getRelationshipAttribute(drawing, 'id') : null;
+        const rel = rId ? sheetRels.get(rId) : this.findRelationship(sheetRels, this.RELATIONSHIP_TYPES.drawing);
 
-            if (target && (target.includes('image') || type && type.includes('image'))) {
-                // Konvertiere relativen Pfad zu absolutem
-                const imagePath = 'xl/' + target.replace('../', '');
-                imagePaths.push(imagePath);
+        return rel && rel.path && rel.type.endsWith(this.RELATIONSHIP_TYPES.drawing) ? rel.path : null;
+    }
+
+    /**
+     * Sammelt alle Bilder eines Drawings mit Transformation und Position
+     * Jedes <pic> wird über sein r:embed dem Bild zugeordnet - nicht über die Reihenfolge.
+     * Berücksichtigt alle Anker-Arten und Bilder in Gruppen.
+     * @param {string} drawingXML - Inhalt des Drawings
+     * @param {Map} drawingRels - Relationships des Drawings
+     * @returns {Array<{path: string, transform: Object, anchor: Object}>} Nach Position im Sheet
+     *          (zeilenweise von oben links), jedes Bild einmal
+     */
+    static extractDrawingImages(drawingXML, drawingRels) {
+        const doc = this.parseXML(drawingXML);
+        const images = [];
+
+        for (const anchor of this.collectAnchors(doc.documentElement)) {
+            const position = this.extractAnchor(anchor);
+
+            for (const { pic, groups } of this.collectPictures(anchor, [])) {
+                const blip = this.getElements(pic, 'blip')[0];
+                const rId = blip ? this.getRelationshipAttribute(blip, 'embed') : null;
+                const rel = rId ? drawingRels.get(rId) : null;
+
+                // Verknüpfte (r:link) oder fehlende Bilder gibt es im ZIP nicht
+                if (!rel || !rel.path || !rel.type.endsWith(this.RELATIONSHIP_TYPES.image)) continue;
+
+                images.push({
+                    path: rel.path,
+                    transform: this.combineGroupTransforms(this.extractSingleImageTransform(pic), groups),
+                    anchor: this.getPictureAnchor(pic, position)
+                });
             }
         }
 
-        return imagePaths;
+        // Dasselbe Bild mehrfach eingefügt → nur das erste (oberste) behalten
+        const seen = new Set();
+        return images
+            .sort((a, b) => this.compareAnchors(a.anchor, b.anchor))
+            .filter(image => {
+                if (seen.has(image.path)) return false;
+                seen.add(image.path);
+                return true;
+            });
     }
 
     /**
-     * Erstellt vollständiges Sheet → Image Mapping mit Transformationen
-     * @param {JSZip} zip - JSZip Instanz der Excel-Datei
-     * @returns {Promise<Object>} Map von SheetName → Array von {path, transform}
+     * Anker-Elemente eines Drawings - auch in mc:AlternateContent verpackte
+     * @param {Element} root - <xdr:wsDr>
+     * @returns {Element[]} In Dokument-Reihenfolge
      */
-    static async createSheetImageMapping(zip) {
-        const mapping = {};
+    static collectAnchors(root) {
+        const anchors = [];
+
+        for (const child of this.getChildren(root)) {
+            if (this.ANCHOR_ELEMENTS.includes(child.localName)) {
+                anchors.push(child);
+            } else if (child.localName === 'AlternateContent') {
+                const branch = this.getChildren(child)
+                    .find(entry => (entry.localName === 'Choice' || entry.localName === 'Fallback') &&
+                        this.getChildren(entry).some(anchor => this.ANCHOR_ELEMENTS.includes(anchor.localName)));
+                if (branch) anchors.push(...this.collectAnchors(branch));
+            }
+        }
 
-        try {
-            // 1. Lese workbook.xml für Sheet-Namen
-            const workbookXML = await zip.file('xl/workbook.xml').async('text');
-            const sheets = this.extractSheetInfo(workbookXML);
+        return anchors;
+    }
 
-            // 2. Für jedes Sheet: Finde zugehöriges Bild
-            for (const sheet of sheets) {
-                const sheetIndex = sheet.index;
-                const relsPath = `xl/worksheets/_rels/sheet${sheetIndex}.xml.rels`;
+    /**
+     * Liest Position und Größe eines Ankers
+     * twoCellAnchor: von Zelle bis Zelle, oneCellAnchor: ab Zelle mit fester Größe,
+     * absoluteAnchor: feste Position (auf die Standard-Zellgröße umgerechnet).
+     * @param {Element} anchor - Anker-Element
+     * @returns {{type: string, from: Object, to: Object|null, width: number, height: number}}
+     *          from/to = {col, row, colOff, rowOff} (0-basiert, Versatz in EMU), width/height in EMU (0 = unbekannt)
+     */
+    static extractAnchor(anchor) {
+        const readCell = (element) => {
+            if (!element) return null;
+            const value = (name) => {
+                const child = this.getChildren(element, name)[0];
+                return child ? parseInt(child.textContent) || 0 : 0;
+            };
+            return { col: value('col'), row: value('row'), colOff: value('colOff'), rowOff: value('rowOff') };
+        };
+        const readSize = (element, x, y) => ({
+            x: element ? parseInt(element.getAttribute(x)) || 0 : 0,
+            y: element ? parseInt(element.getAttribute(y)) || 0 : 0
+        });
 
-                // Prüfe ob Relationships existieren
-                const relsFile = zip.file(relsPath);
-                if (!relsFile) continue;
+        const cell = this.DEFAULT_CELL_EMU;
+        let from = readCell(this.getChildren(anchor, 'from')[0]);
+        const to = readCell(this.getChildren(anchor, 'to')[0]);
+        const ext = readSize(this.getChildren(anchor, 'ext')[0], 'cx', 'cy');
+
+        if (anchor.localName === 'absoluteAnchor') {
+            const pos = readSize(this.getChildren(anchor, 'pos')[0], 'x', 'y');
+            from = {
+                col: Math.floor(pos.x / cell.column),
+                row: Math.floor(pos.y / cell.row),
+                colOff: pos.x % cell.column,
+                rowOff: pos.y % cell.row
+            };
+        }
+        from = from || { col: 0, row: 0, colOff: 0, rowOff: 0 };
 
-                // 3. Lese Sheet-Relationships
-                const relsXML = await relsFile.async('text');
-                const drawingPath = this.extractDrawingPath(relsXML);
-                
-                if (!drawingPath) continue;
+        let width = ext.x;
+        let height = ext.y;
+        if (to && !width && !height) {
+            width = Math.max(0, (to.col - from.col) * cell.column + to.colOff - from.colOff);
+            height = Math.max(0, (to.row - from.row) * cell.row + to.rowOff - from.rowOff);
+        }
 
-                // 4. Lese Drawing XML für Transformationen
-                const drawingFile = zip.file(drawingPath);
-                if (!drawingFile) continue;
-                
-                const drawingXML = await drawingFile.async('text');
+        return { type: anchor.localName, from, to, width, height };
+    }
 
-                // 5. Lese Drawing-Relationships für Bild-Pfade
-                const drawingRelsPath = drawingPath.replace('/drawings/', '/drawings/_rels/') + '.rels';
-                const drawingRelsFile = zip.file(drawingRelsPath);
-                
-                if (!drawingRelsFile) continue;
+    /**
+     * Position eines Bildes: die des Ankers, Größe bevorzugt aus dem Bild selbst
+     * (<a:xfrm><a:ext> - bei twoCellAnchor genauer als die Schätzung über Zellen,
+     * bei Gruppen die Größe des einzelnen Bildes)
+     * @param {Element} pic - <xdr:pic>
+     * @param {Object} anchor - Ergebnis von extractAnchor()
+     * @returns {Object} Wie extractAnchor()
+     */
+    static getPictureAnchor(pic, anchor) {
+        const spPr = this.getChildren(pic, 'spPr')[0];
+        const xfrm = spPr ? this.getChildren(spPr, 'xfrm')[0] : null;
+        const ext = xfrm ? this.getChildren(xfrm, 'ext')[0] : null;
+        const width = ext ? parseInt(ext.getAttribute('cx')) || 0 : 0;
+        const height = ext ? parseInt(ext.getAttribute('cy')) || 0 : 0;
 
-                const drawingRelsXML = await drawingRelsFile.async('text');
-                const imagePaths = this.extractImagePaths(drawingRelsXML);
+        return {
+            ...anchor,
+            from: { ...anchor.from },
+            to: anchor.to ? { ...anchor.to } : null,
+            width: width && height ? width : anchor.width,
+            height: width && height ? height : anchor.height
+        };
+    }
 
-                // 6. Extrahiere Transformationen aus Drawing XML
-                const imageTransforms = this.extractImageTransforms(drawingXML, imagePaths.length);
+    /**
+     * Sortierung nach Position im Sheet: zeilenweise, dann von links nach rechts
+     * @param {Object} a - Anker (extractAnchor())
+     * @param {Object} b - Anker
+     * @returns {number}
+     */
+    static compareAnchors(a, b) {
+        return a.from.row - b.from.row || a.from.col - b.from.col ||
+            a.from.rowOff - b.from.rowOff || a.from.colOff - b.from.colOff;
+    }
 
-                // 7. Kombiniere Pfade mit Transformationen
-                if (imagePaths.length > 0) {
-                    mapping[sheet.name] = imagePaths.map((path, index) => ({
-                        path: path,
-                        transform: imageTransforms[index] || this.getDefaultTransform()
-                    }));
+    /**
+     * Sucht Bilder in einem Anker - auch in Gruppen (grpSp) und mc:AlternateContent
+     * @param {Element} element - Anker oder Gruppe
+     * @param {Element[]} groups - Umgebende Gruppen (außen zuerst)
+     * @returns {Array<{pic: Element, groups: Element[]}>}
+     */
+    static collectPictures(element, groups) {
+        const pictures = [];
+
+        for (const child of this.getChildren(element)) {
+            if (child.localName === 'pic') {
+                pictures.push({ pic: child, groups });
+            } else if (child.localName === 'grpSp') {
+                pictures.push(...this.collectPictures(child, [...groups, child]));
+            } else if (child.localName === 'AlternateContent') {
+                // Nur einen Zweig nehmen, sonst steht das Bild doppelt drin
+                const branches = this.getChildren(child).filter(branch => branch.localName === 'Choice' || branch.localName === 'Fallback');
+                for (const branch of branches) {
+                    const found = this.collectPictures(branch, groups);
+                    if (found.length > 0) {
+                        pictures.push(...found);
+                        break;
+                    }
+                }
+            }
+        }
+
+        return pictures;
+    }
+
+    /**
+     * Rechnet Drehung und Spiegelung umgebender Gruppen ein
+     * Näherung: Drehungen addieren sich, Spiegelungen heben sich paarweise auf.
+     * @param {Object} transform - Transformation des Bildes
+     * @param {Element[]} groups - Umgebende grpSp-Elemente
+     * @returns {Object}
+     */
+    static combineGroupTransforms(transform, groups) {
+        for (const group of groups) {
+            const groupProperties = this.getChildren(group, 'grpSpPr')[0];
+            const xfrm = groupProperties ? this.getChildren(groupProperties, 'xfrm')[0] : null;
+            if (!xfrm) continue;
+
+            if (xfrm.hasAttribute('rot')) transform.rotation += parseInt(xfrm.getAttribute('rot')) / 60000;
+            if (xfrm.getAttribute('flipH') === '1') transform.flipH = !transform.flipH;
+            if (xfrm.getAttribute('flipV') === '1') transform.flipV = !transform.flipV;
+        }
+        transform.rotation = ((transform.rotation % 360) + 360) % 360;
+        return transform;
+    }
+
+    /**
+     * Erstellt vollständiges Sheet → Image Mapping mit Transformationen
+     * Folgt den Relationships: workbook → Sheet → Drawing → r:embed → Bild.
+     * @param {JSZip} zip - JSZip Instanz der Excel-Datei
+     * @returns {Promise<Object>} Map von SheetName → Array von {path, transform, anchor} (nach Position)
+     */
+    static async createSheetImageMapping(zip) {
+        const mapping = {};
+
+        try {
+            // 1. workbook.xml und seine Relationships (Sheet-Name → Sheet-Datei)
+            const workbookPath = await this.getWorkbookPath(zip);
+            const workbookXML = await this.findFile(zip, workbookPath).async('text');
+            const sheets = this.extractSheetInfo(workbookXML);
+            const workbookRels = await this.readRelationships(zip, workbookPath);
+
+            for (const sheet of sheets) {
+                try {
+                    // 2. Sheet-Datei über r:id - nicht über die Position im Workbook
+                    const sheetRel = workbookRels.get(sheet.rId);
+                    if (!sheetRel || !sheetRel.path || !sheetRel.type.endsWith(this.RELATIONSHIP_TYPES.worksheet)) continue;
+
+                    const sheetFile = this.findFile(zip, sheetRel.path);
+                    if (!sheetFile) continue;
+
+                    // 3. Drawing des Sheets
+                    const sheetRels = await this.readRelationships(zip, sheetRel.path);
+                    const drawingPath = this.extractDrawingPath(await sheetFile.async('text'), sheetRels);
+                    const drawingFile = drawingPath ? this.findFile(zip, drawingPath) : null;
+                    if (!drawingFile) continue;
+
+                    // 4. Bilder über r:embed zuordnen
+                    const drawingRels = await this.readRelationships(zip, drawingPath);
+                    const images = this.extractDrawingImages(await drawingFile.async('text'), drawingRels)
+                        .filter(image => this.findFile(zip, image.path));
+
+                    if (images.length > 0) {
+                        mapping[sheet.name] = images.map(image => ({
+                            ...image,
+                            path: this.findFile(zip, image.path).name
+                        }));
+                    }
+                } catch (error) {
+                    console.warn(`Bilder von Sheet "${sheet.name}" konnten nicht zugeordnet werden:`, error);
                 }
             }
 
@@ -190,28 +529,6 @@ class XMLParser {
         return mimeTypes[extension.toLowerCase()] || 'image/png';
     }
 
-    /**
-     * Extrahiert Bild-Transformationen aus Drawing XML
-     * @param {string} drawingXML - Inhalt von xl/drawings/drawing*.xml
-     * @param {number} imageCount - Anzahl der erwarteten Bilder
-     * @returns {Array<Object>} Array von Transformations-Objekten
-     */
-    static extractImageTransforms(drawingXML, imageCount) {
-        const transforms = [];
-        const doc = this.parseXML(drawingXML);
-        
-        // Suche alle <xdr:pic> Elemente (einzelne Bilder)
-        const pics = doc.getElementsByTagName('xdr:pic');
-        
-        for (let i = 0; i < pics.length && i < imageCount; i++) {
-            const pic = pics[i];
-            const transform = this.extractSingleImageTransform(pic);
-            transforms.push(transform);
-        }
-        
-        return transforms;
-    }
-
     /**
      * Extrahiert Transformation eines einzelnen Bildes
      * @param {Element} picElement - <xdr:pic> XML Element
@@ -221,48 +538,43 @@ class XMLParser {
         const transform = this.getDefaultTransform();
         
         try {
-            // 1. Suche <xdr:spPr> für Shape-Properties (enthält Rotation/Flip)
-            const spPr = picElement.getElementsByTagName('xdr:spPr')[0];
-            if (spPr) {
-                const xfrm = spPr.getElementsByTagName('a:xfrm')[0];
-                if (xfrm) {
-                    // Rotation aus rot attribute
-                    if (xfrm.hasAttribute('rot')) {
-                        const rotValue = parseInt(xfrm.getAttribute('rot'));
-                        // Excel speichert Rotation in 60000stel Grad
-                        transform.rotation = rotValue / 60000;
-                    }
-                    
-                    // Flip aus flipH und flipV attributes
-                    if (xfrm.hasAttribute('flipH')) {
-                        transform.flipH = xfrm.getAttribute('flipH') === '1';
-                    }
-                    if (xfrm.hasAttribute('flipV')) {
-                        transform.flipV = xfrm.getAttribute('flipV') === '1';
-                    }
+            // 1. <xdr:spPr> für Shape-Properties (enthält Rotation/Flip)
+            const spPr = this.getChildren(picElement, 'spPr')[0];
+            const xfrm = spPr ? this.getChildren(spPr, 'xfrm')[0] : null;
+            if (xfrm) {
+                // Rotation aus rot attribute
+                if (xfrm.hasAttribute('rot')) {
+                    const rotValue = parseInt(xfrm.getAttribute('rot'));
+                    // Excel speichert Rotation in 60000stel Grad
+                    transform.rotation = rotValue / 60000;
+                }
+                
+                // Flip aus flipH und flipV attributes
+                if (xfrm.hasAttribute('flipH')) {
+                    transform.flipH = xfrm.getAttribute('flipH') === '1';
+                }
+                if (xfrm.hasAttribute('flipV')) {
+                    transform.flipV = xfrm.getAttribute('flipV') === '1';
                 }
             }
             
-            // 2. Cropping aus <xdr:blipFill> oder <a:blipFill>
-            const blipFill = picElement.getElementsByTagName('xdr:blipFill')[0];
-            
-            if (blipFill) {
-                const srcRect = blipFill.getElementsByTagName('a:srcRect')[0];
-                if (srcRect && srcRect.attributes.length > 0) {
-                    // srcRect attributes: l, t, r, b (left, top, right, bottom)
-                    // Werte sind in Prozent * 1000 (z.B. 10000 = 10%)
-                    if (srcRect.hasAttribute('l')) {
-                        transform.crop.left = parseInt(srcRect.getAttribute('l')) / 1000;
-                    }
-                    if (srcRect.hasAttribute('t')) {
-                        transform.crop.top = parseInt(srcRect.getAttribute('t')) / 1000;
-                    }
-                    if (srcRect.hasAttribute('r')) {
-                        transform.crop.right = parseInt(srcRect.getAttribute('r')) / 1000;
-                    }
-                    if (srcRect.hasAttribute('b')) {
-                        transform.crop.bottom = parseInt(srcRect.getAttribute('b')) / 1000;
-                    }
+            // 2. Cropping aus <xdr:blipFill>
+            const blipFill = this.getChildren(picElement, 'blipFill')[0];
+            const srcRect = blipFill ? this.getChildren(blipFill, 'srcRect')[0] : null;
+            if (srcRect && srcRect.attributes.length > 0) {
+                // srcRect attributes: l, t, r, b (left, top, right, bottom)
+                // Werte sind in Prozent * 1000 (z.B. 10000 = 10%)
+                if (srcRect.hasAttribute('l')) {
+                    transform.crop.left = parseInt(srcRect.getAttribute('l')) / 1000;
+                }
+                if (srcRect.hasAttribute('t')) {
+                    transform.crop.top = parseInt(srcRect.getAttribute('t')) / 1000;
+                }
+                if (srcRect.hasAttribute('r')) {
+                    transform.crop.right = parseInt(srcRect.getAttribute('r')) / 1000;
+                }
+                if (srcRect.hasAttribute('b')) {
+                    transform.crop.bottom = parseInt(srcRect.getAttribute('b')) / 1000;
                 }
             }
             
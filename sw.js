@@ -0,0 +1,112 @@
+/**
+ * Service Worker - Offline-Cache für die App-Shell
+ * Bei jeder Änderung an den Dateien unten CACHE_VERSION erhöhen,
+ * damit die Seiten "Neue Version verfügbar" anzeigen.
+ */
+
+const CACHE_VERSION = 'v39';
+const CACHE_NAME = `findYourDinner-shell-${CACHE_VERSION}`;
+
+// Alle Dateien, die zum Starten der App nötig sind (relativ zu sw.js)
+const APP_SHELL = [
+    './',
+    'index.html',
+    'pages/recipe-detail.html',
+    'pages/planner.html',
+    'pages/shopping-list.html',
+    'manifest.json',
+    'css/main.css',
+    'css/pinterest.css',
+    'css/mobile.css',
+    'css/chrome-ios.css',
+    'css/detail.css',
+    'js/lib/xlsx.full.min.js',
+    'js/lib/jszip.min.js',
+    'js/xmlLite.js',
+    'js/xmlParser.js',
+    'js/database.js',
+    'js/imageStore.js',
+    'js/importValidator.js',
+    'js/recipeStore.js',
+    'js/sheetLayout.js',
+    'js/recipeTags.js',
+    'js/recipeImporters.js',
+    'js/workbookExporter.js',
+    'js/backupManager.js',
+    'js/searchIndex.js',
+    'js/pantry.js',
+    'js/nutrition.js',
+    'js/mealPlanner.js',
+    'js/shoppingList.js',
+    'js/quantity.js',
+    'js/recipeCosts.js',
+    'js/recipeJournal.js',
+    'js/recipePicker.js',
+    'js/cookingMode.js',
+    'js/kitchenTimers.js',
+    'js/recipeOverrides.js',
+    'js/workbookParser.js',
+    'js/workbookSession.js',
+    'js/workbookWorker.js',
+    'js/recipeGenerator.js',
+    'js/serviceWorkerManager.js',
+    'images/favicon-16x16.png',
+    'images/favicon-32x32.png',
+    'images/icon-180.png',
+    'images/icon-192.png',
+    'images/icon-512.png',
+    'images/icon-192.svg',
+    'images/icon-512.svg'
+];
+
+self.addEventListener('install', (event) => {
+    // Kein skipWaiting() - die neue Version wartet, bis der User sie aktiviert
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    // Alte App-Shell-Versionen entfernen
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('findYourDinner-shell-') && key !== CACHE_NAME)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    // Rezepte.xlsx wird nie gecacht - die Daten liegen bereits in IndexedDB
+    if (url.pathname.endsWith('.xlsx')) return;
+
+    // Cache-first: Die App-Shell wird nur über ein Versions-Update erneuert
+    event.respondWith(
+        caches.match(request, { ignoreSearch: request.mode === 'navigate' }).then(cached => {
+            if (cached) return cached;
+
+            return fetch(request).catch(() => {
+                // Offline-Navigation auf unbekannte URL → Startseite
+                if (request.mode === 'navigate') {
+                    return caches.match('index.html');
+                }
+                return Response.error();
+            });
+        })
+    );
+});